@@ -0,0 +1,385 @@
+/**
+ * AppointmentService - Pure business logic for booking appointments
+ * between clients and providers managed by UserService
+ * No DOM manipulation or UI concerns
+ */
+class AppointmentService {
+    constructor(userService) {
+        this.userService = userService;
+        this.appointments = [];
+        this.nextId = 1;
+        this.observers = []; // For notifying UI of changes
+        this.storageKey = 'appointme_appointments';
+
+        // Keep appointments consistent with the user directory. Trashed users can still be
+        // restored, so their appointments are only cancelled once the record is gone for good
+        // (purged, or dropped by undoing its creation)
+        if (this.userService) {
+            this.userService.subscribe((event, data) => {
+                const isGone = (event === 'userDeleted' && !this.userService.getUserById(data.id, true)) ||
+                    event === 'userPurged';
+                if (isGone) {
+                    this.cancelAppointmentsForUser(data.id, 'User was removed');
+                }
+                if (event === 'usersMerged') {
+                    this.reassignAppointments(data.merged.id, data.updated.id);
+                }
+            });
+        }
+    }
+
+    /**
+     * Observer pattern - allows UI components to listen for changes
+     */
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    unsubscribe(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    notify(event, data) {
+        this.observers.forEach(callback => callback(event, data));
+    }
+
+    /**
+     * Core business logic methods
+     */
+    async createAppointment(appointmentData) {
+        try {
+            const normalized = this.normalizeTimes(appointmentData);
+
+            // Validate participants and times
+            const validation = this.validateAppointment(normalized);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            // Reject double-booking of the provider
+            const conflict = this.findConflict(normalized.providerId, normalized.start, normalized.end);
+            if (conflict) {
+                throw new Error('Provider is already booked at this time');
+            }
+
+            // Create appointment object
+            const newAppointment = {
+                id: this.nextId++,
+                clientId: parseInt(normalized.clientId),
+                providerId: parseInt(normalized.providerId),
+                start: normalized.start,
+                end: normalized.end,
+                notes: normalized.notes || '',
+                status: 'scheduled',
+                createdAt: new Date().toISOString()
+            };
+
+            // Add to collection
+            this.appointments.push(newAppointment);
+
+            // Notify observers
+            this.notify('appointmentCreated', newAppointment);
+            this.notify('appointmentsChanged', this.appointments);
+
+            return { success: true, data: newAppointment };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'create' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async rescheduleAppointment(id, timeData) {
+        try {
+            const appointmentIndex = this.appointments.findIndex(appt => appt.id === parseInt(id));
+            if (appointmentIndex === -1) {
+                throw new Error('Appointment not found');
+            }
+
+            const original = { ...this.appointments[appointmentIndex] };
+            if (original.status !== 'scheduled') {
+                throw new Error('Only scheduled appointments can be rescheduled');
+            }
+
+            // Re-validate with the new times against the same participants
+            const normalized = this.normalizeTimes({ ...original, ...timeData });
+            const validation = this.validateAppointment(normalized);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            // Check for conflicts (excluding this appointment)
+            const conflict = this.findConflict(original.providerId, normalized.start, normalized.end, original.id);
+            if (conflict) {
+                throw new Error('Provider is already booked at this time');
+            }
+
+            // Update appointment
+            this.appointments[appointmentIndex] = {
+                ...original,
+                start: normalized.start,
+                end: normalized.end,
+                notes: timeData.notes !== undefined ? timeData.notes : original.notes,
+                lastModified: new Date().toISOString()
+            };
+
+            // Notify observers
+            this.notify('appointmentRescheduled', {
+                original,
+                updated: this.appointments[appointmentIndex]
+            });
+            this.notify('appointmentsChanged', this.appointments);
+
+            return { success: true, data: this.appointments[appointmentIndex] };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'reschedule' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async cancelAppointment(id, reason = '') {
+        try {
+            const appointmentIndex = this.appointments.findIndex(appt => appt.id === parseInt(id));
+            if (appointmentIndex === -1) {
+                throw new Error('Appointment not found');
+            }
+
+            if (this.appointments[appointmentIndex].status === 'cancelled') {
+                throw new Error('Appointment is already cancelled');
+            }
+
+            // Cancelled appointments are kept for history, they just stop blocking time
+            this.appointments[appointmentIndex] = {
+                ...this.appointments[appointmentIndex],
+                status: 'cancelled',
+                cancellationReason: reason,
+                cancelledAt: new Date().toISOString()
+            };
+
+            // Notify observers
+            this.notify('appointmentCancelled', this.appointments[appointmentIndex]);
+            this.notify('appointmentsChanged', this.appointments);
+
+            return { success: true, data: this.appointments[appointmentIndex] };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'cancel' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async cancelAppointmentsForUser(userId, reason = '') {
+        const upcoming = this.getAppointmentsForUser(userId)
+            .filter(appt => appt.status === 'scheduled' && new Date(appt.end) > new Date());
+
+        for (const appointment of upcoming) {
+            await this.cancelAppointment(appointment.id, reason);
+        }
+
+        return upcoming.length;
+    }
+
+    // Appointments of a user merged into another record move to that record
+    reassignAppointments(fromUserId, toUserId) {
+        const from = parseInt(fromUserId);
+        const to = parseInt(toUserId);
+        let count = 0;
+
+        this.appointments = this.appointments.map(appt => {
+            if (appt.clientId !== from && appt.providerId !== from) return appt;
+            count++;
+            return {
+                ...appt,
+                clientId: appt.clientId === from ? to : appt.clientId,
+                providerId: appt.providerId === from ? to : appt.providerId
+            };
+        });
+
+        if (count) {
+            this.notify('appointmentsChanged', this.appointments);
+        }
+        return count;
+    }
+
+    /**
+     * Query methods
+     */
+    getAllAppointments() {
+        return [...this.appointments]; // Return copy to prevent external mutation
+    }
+
+    getAppointmentById(id) {
+        return this.appointments.find(appt => appt.id === parseInt(id));
+    }
+
+    getAppointmentsForUser(userId) {
+        const id = parseInt(userId);
+        return this.appointments.filter(appt => appt.clientId === id || appt.providerId === id);
+    }
+
+    getAppointmentsForProvider(providerId, from = null, to = null) {
+        const id = parseInt(providerId);
+        return this.appointments.filter(appt =>
+            appt.providerId === id &&
+            (!from || new Date(appt.end) > new Date(from)) &&
+            (!to || new Date(appt.start) < new Date(to))
+        );
+    }
+
+    getUpcomingAppointments(userId = null) {
+        const now = new Date();
+        const source = userId ? this.getAppointmentsForUser(userId) : this.appointments;
+        return source
+            .filter(appt => appt.status === 'scheduled' && new Date(appt.start) > now)
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+    }
+
+    /**
+     * Conflict detection - two appointments overlap when each starts
+     * before the other ends. Cancelled appointments never conflict.
+     */
+    findConflict(providerId, start, end, excludeId = null) {
+        const startTime = new Date(start).getTime();
+        const endTime = new Date(end).getTime();
+
+        return this.appointments.find(appt =>
+            appt.providerId === parseInt(providerId) &&
+            appt.status === 'scheduled' &&
+            appt.id !== excludeId &&
+            new Date(appt.start).getTime() < endTime &&
+            startTime < new Date(appt.end).getTime()
+        );
+    }
+
+    /**
+     * Validation logic
+     */
+    validateAppointment(appointmentData) {
+        const errors = [];
+        const required = ['clientId', 'providerId', 'start', 'end'];
+
+        // Check required fields
+        required.forEach(field => {
+            if (appointmentData[field] === undefined || appointmentData[field] === null || appointmentData[field] === '') {
+                errors.push(`${field} is required`);
+            }
+        });
+
+        // Validate participants against the user directory
+        if (appointmentData.clientId) {
+            const client = this.userService.getUserById(appointmentData.clientId);
+            if (!client) {
+                errors.push('Client not found');
+            } else if (client.userType !== 'client') {
+                errors.push('Selected client is not a client user');
+            }
+        }
+
+        if (appointmentData.providerId) {
+            const provider = this.userService.getUserById(appointmentData.providerId);
+            if (!provider) {
+                errors.push('Provider not found');
+            } else if (provider.userType !== 'provider') {
+                errors.push('Selected provider is not a service provider');
+            } else if (provider.status !== 'active') {
+                errors.push('Provider is not active');
+            }
+        }
+
+        // Validate times
+        if (appointmentData.start && appointmentData.end) {
+            const start = new Date(appointmentData.start);
+            const end = new Date(appointmentData.end);
+            if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+                errors.push('Invalid appointment time');
+            } else if (end <= start) {
+                errors.push('Appointment must end after it starts');
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Helper methods
+     */
+    normalizeTimes(appointmentData) {
+        const normalized = { ...appointmentData };
+
+        // Allow callers to pass a duration in minutes instead of an end time
+        if (!normalized.end && normalized.start && normalized.duration) {
+            const start = new Date(normalized.start);
+            normalized.end = new Date(start.getTime() + parseInt(normalized.duration) * 60000).toISOString();
+        }
+
+        ['start', 'end'].forEach(field => {
+            const date = new Date(normalized[field]);
+            if (normalized[field] && !isNaN(date.getTime())) {
+                normalized[field] = date.toISOString();
+            }
+        });
+
+        delete normalized.duration;
+        return normalized;
+    }
+
+    /**
+     * Data persistence methods (stored alongside appointme_users)
+     */
+    async loadAppointments() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                this.appointments = JSON.parse(stored);
+                this.nextId = Math.max(...this.appointments.map(a => a.id), 0) + 1;
+            }
+
+            this.notify('appointmentsLoaded', this.appointments);
+            return { success: true, data: this.appointments };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'load' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async saveAppointments() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.appointments));
+
+            this.notify('appointmentsSaved', this.appointments);
+            return { success: true };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'save' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Auto-save functionality
+     */
+    enableAutoSave(interval = 30000) { // 30 seconds
+        this.autoSaveInterval = setInterval(() => {
+            this.saveAppointments();
+        }, interval);
+    }
+
+    disableAutoSave() {
+        if (this.autoSaveInterval) {
+            clearInterval(this.autoSaveInterval);
+            this.autoSaveInterval = null;
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppointmentService;
+} else {
+    window.AppointmentService = AppointmentService;
+}
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * AuditService - Persistent audit trail of changes to user records
+ * Listens to UserService events and records who changed which fields
+ * No DOM manipulation or UI concerns
+ */
+class AuditService {
+    constructor(userService) {
+        this.userService = userService;
+        this.entries = [];
+        this.nextId = 1;
+        this.importing = false;
+        this.observers = []; // For notifying UI of changes
+        this.storageKey = 'appointme_audit';
+
+        // Bookkeeping fields that change on every save, values derived from other fields
+        // and secrets never belong in the log; moving to and from the trash is recorded as its own action
+        this.ignoredFields = ['lastModified', 'credentials', 'deletedAt', 'deletedBy', 'phoneE164', 'statusHistory', 'lastActive'];
+
+        this.subscribeToService();
+    }
+
+    /**
+     * Observer pattern - allows UI components to listen for changes
+     */
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    unsubscribe(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    notify(event, data) {
+        this.observers.forEach(callback => callback(event, data));
+    }
+
+    /**
+     * Subscribe to user service events (Observer pattern)
+     */
+    subscribeToService() {
+        this.userService.subscribe((event, data) => {
+            switch (event) {
+                case 'importStarted':
+                    this.importing = true;
+                    break;
+                case 'bulkImport':
+                    this.importing = false;
+                    break;
+                case 'userCreated':
+                    this.record(this.importing ? 'import' : this.userService.isAwaitingOnboarding(data) ? 'invite' : 'create', data.id,
+                        this.diff({}, data));
+                    break;
+                case 'backupRestored':
+                    data.users.forEach(user => this.record('import', user.id, this.diff({}, user)));
+                    break;
+                case 'userOnboarded':
+                    // Made by the invitee, who is not signed in yet
+                    this.record('onboarding', data.updated.id, this.diff(data.original, data.updated), data.updated);
+                    break;
+                case 'userUpdated':
+                    // Automatic lifecycle changes are made by the system, whoever is signed in
+                    this.recordUpdate(data.original, data.updated, data.automatic ? null : undefined);
+                    break;
+                case 'userDeleted':
+                    this.record('delete', data.id, this.diff(data, {}));
+                    break;
+                case 'userRestored':
+                    this.record('restore', data.id, this.diff({}, data));
+                    break;
+                case 'userPurged':
+                    this.record('purge', data.id, []);
+                    break;
+                case 'usersMerged':
+                    this.recordMerge(data.original, data.updated, data.merged);
+                    break;
+                case 'credentialsChanged':
+                    this.record('credentials', data.id, []);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Core business logic methods
+     */
+    recordUpdate(original, updated, actor = undefined) {
+        const changes = this.diff(original, updated).map(change => change.field === 'suspension' ? {
+            ...change,
+            from: this.describeSuspension(change.from),
+            to: this.describeSuspension(change.to)
+        } : change);
+        const statusFields = ['status', 'suspension'];
+        const statusChanges = changes.filter(change => statusFields.includes(change.field));
+        const otherChanges = changes.filter(change => !statusFields.includes(change.field));
+
+        if (otherChanges.length) {
+            this.record('update', updated.id, otherChanges, actor);
+        }
+        if (statusChanges.length) {
+            this.record('status', updated.id, statusChanges, actor);
+        }
+    }
+
+    describeSuspension(suspension) {
+        if (!suspension) return null;
+        return suspension.until ?
+            `${suspension.reason} (until ${new Date(suspension.until).toLocaleDateString()})` :
+            suspension.reason;
+    }
+
+    // Both records get an entry: the kept one lists the values it took over
+    recordMerge(original, updated, merged) {
+        const mergedName = `${merged.firstName} ${merged.lastName} <${merged.email}>`;
+        const keptName = `${updated.firstName} ${updated.lastName} <${updated.email}>`;
+
+        this.record('merge', updated.id, [
+            { field: 'mergedFrom', from: null, to: `#${merged.id} ${mergedName}` },
+            ...this.diff(original, updated)
+        ]);
+        this.record('merge', merged.id, [
+            { field: 'mergedInto', from: null, to: `#${updated.id} ${keptName}` }
+        ]);
+    }
+
+    // actor: the user who made the change, null for the system; defaults to the acting user
+    record(action, userId, changes, actor = this.userService.getActingUser()) {
+        const entry = {
+            id: this.nextId++,
+            userId,
+            action,
+            actorId: actor ? actor.id : null,
+            actorName: actor ? `${actor.firstName} ${actor.lastName}` : 'System',
+            changes,
+            at: new Date().toISOString()
+        };
+
+        this.entries.push(entry);
+
+        this.notify('auditRecorded', entry);
+        this.notify('auditChanged', this.entries);
+        return entry;
+    }
+
+    /**
+     * Field-level differences between two versions of a record
+     * Returns [{ field, from, to }]
+     */
+    diff(before, after) {
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        return Array.from(fields)
+            .filter(field => !this.ignoredFields.includes(field))
+            .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+            .map(field => ({
+                field,
+                from: before[field] === undefined ? null : before[field],
+                to: after[field] === undefined ? null : after[field]
+            }));
+    }
+
+    /**
+     * Query methods
+     */
+    getEntries({ userId = null, actorId = null, action = null, from = null, to = null } = {}) {
+        const fromTime = from ? new Date(from).getTime() : -Infinity;
+        const toTime = to ? new Date(to).getTime() : Infinity;
+
+        return this.entries.filter(entry => {
+            const at = new Date(entry.at).getTime();
+            return (userId === null || entry.userId === parseInt(userId)) &&
+                (actorId === null || entry.actorId === parseInt(actorId)) &&
+                (!action || entry.action === action) &&
+                at >= fromTime && at <= toTime;
+        });
+    }
+
+    getHistory(userId) {
+        return this.getEntries({ userId })
+            .sort((a, b) => new Date(b.at) - new Date(a.at) || b.id - a.id);
+    }
+
+    /**
+     * Data persistence methods
+     */
+    async loadAudit() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                this.entries = JSON.parse(stored);
+                this.nextId = this.entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+            }
+
+            this.notify('auditLoaded', this.entries);
+            return { success: true, data: this.entries };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'load' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async saveAudit() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+
+            this.notify('auditSaved', this.entries);
+            return { success: true };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'save' });
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditService;
+} else {
+    window.AuditService = AuditService;
+}
\ No newline at end of file
@@ -0,0 +1,336 @@
+/**
+ * AuthController - Handles the sign-in screen and the signed-in session bar,
+ * including the onboarding form invited users open from their invite link (?invite=code)
+ * Communicates with AuthService for all authentication logic
+ */
+class AuthController {
+    constructor(authService, options = {}) {
+        this.authService = authService;
+        this.options = {
+            fieldSchemaService: null, // Adds the profile fields of the invited user's type to onboarding
+            idleCheckInterval: 60000, // 1 minute
+            ...options
+        };
+        this.elements = {};
+        this.invitation = null; // { token, user } while an invited user completes their profile
+        this.resolveLogin = null;
+        this.lastTouch = 0;
+        this.init();
+    }
+
+    /**
+     * Initialize controller
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+        this.subscribeToService();
+    }
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            authScreen: document.getElementById('authScreen'),
+            authMessage: document.getElementById('authMessage'),
+            loginForm: document.getElementById('loginForm'),
+            setupForm: document.getElementById('setupForm'),
+            forgotForm: document.getElementById('forgotForm'),
+            resetForm: document.getElementById('resetForm'),
+            inviteForm: document.getElementById('inviteForm'),
+            onboardingForm: document.getElementById('onboardingForm'),
+            onboardingHint: document.getElementById('onboardingHint'),
+            onboardingCustomFields: document.getElementById('onboardingCustomFields'),
+            forgotLink: document.getElementById('forgotLink'),
+            sessionBar: document.getElementById('sessionBar'),
+            currentUserName: document.getElementById('currentUserName'),
+            logoutBtn: document.getElementById('logoutBtn')
+        };
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.loginForm.addEventListener('submit', (e) => this.handleLogin(e));
+        this.elements.setupForm.addEventListener('submit', (e) => this.handleSetup(e));
+        this.elements.forgotForm.addEventListener('submit', (e) => this.handleForgot(e));
+        this.elements.resetForm.addEventListener('submit', (e) => this.handleReset(e));
+        this.elements.inviteForm.addEventListener('submit', (e) => this.handleInvite(e));
+        this.elements.onboardingForm.addEventListener('submit', (e) => this.handleOnboarding(e));
+        this.elements.logoutBtn.addEventListener('click', () => this.authService.logout());
+
+        // Switching between the forms
+        this.elements.authScreen.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-auth-view]');
+            if (link) {
+                e.preventDefault();
+                this.showView(link.dataset.authView);
+            }
+        });
+
+        // Any activity keeps the session alive (at most once every few seconds)
+        ['mousemove', 'keydown', 'click', 'scroll'].forEach(eventName => {
+            document.addEventListener(eventName, () => this.handleActivity(), { passive: true });
+        });
+    }
+
+    /**
+     * Subscribe to service events (Observer pattern)
+     */
+    subscribeToService() {
+        this.authService.subscribe((event, data) => {
+            switch (event) {
+                case 'login':
+                case 'sessionRestored':
+                    this.onSignedIn(data.user);
+                    break;
+                case 'logout':
+                    this.onSignedOut(data.reason);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Resolve once someone is signed in, showing the sign-in screen if needed
+     */
+    authenticate() {
+        return new Promise((resolve) => {
+            this.resolveLogin = resolve;
+
+            const restored = this.authService.restoreSession();
+            const inviteToken = new URLSearchParams(window.location.search).get('invite');
+            if (!restored.success && inviteToken) {
+                this.openInvitation(inviteToken);
+            } else if (!restored.success) {
+                this.showView(this.authService.needsSetup() ? 'setup' : 'login');
+            }
+        });
+    }
+
+    /**
+     * Event handlers
+     */
+    async handleLogin(e) {
+        e.preventDefault();
+        const { email, password } = Object.fromEntries(new FormData(e.target));
+
+        const result = await this.authService.login(email, password);
+        if (!result.success) {
+            this.showMessage(result.error, 'error');
+        }
+    }
+
+    async handleSetup(e) {
+        e.preventDefault();
+        const { email, password, confirmPassword } = Object.fromEntries(new FormData(e.target));
+
+        if (password !== confirmPassword) {
+            this.showMessage('Passwords do not match', 'error');
+            return;
+        }
+
+        const result = await this.authService.completeSetup(email, password);
+        if (!result.success) {
+            this.showMessage(result.error, 'error');
+        }
+    }
+
+    async handleForgot(e) {
+        e.preventDefault();
+        const { email } = Object.fromEntries(new FormData(e.target));
+
+        const result = await this.authService.requestPasswordReset(email);
+        if (!result.success) {
+            this.showMessage(result.error, 'error');
+            return;
+        }
+
+        this.showView('reset');
+        this.showMessage('If that account exists, a reset code has been sent to its email or phone.', 'info');
+    }
+
+    async handleReset(e) {
+        e.preventDefault();
+        const { token, password, confirmPassword } = Object.fromEntries(new FormData(e.target));
+
+        if (password !== confirmPassword) {
+            this.showMessage('Passwords do not match', 'error');
+            return;
+        }
+
+        const result = await this.authService.resetPassword(token, password);
+        if (result.success) {
+            this.showView('login');
+            this.showMessage('Password updated. You can sign in now.', 'success');
+        } else {
+            this.showMessage(result.error, 'error');
+        }
+    }
+
+    async handleInvite(e) {
+        e.preventDefault();
+        const { token } = Object.fromEntries(new FormData(e.target));
+        await this.openInvitation(token);
+    }
+
+    async handleOnboarding(e) {
+        e.preventDefault();
+        const { password, confirmPassword, ...profile } = Object.fromEntries(new FormData(e.target));
+
+        if (password !== confirmPassword) {
+            this.showMessage('Passwords do not match', 'error');
+            return;
+        }
+
+        const result = await this.authService.acceptInvitation(this.invitation.token, profile, password);
+        if (result.success) {
+            // The code is used up; a reload should not offer it again
+            this.invitation = null;
+            window.history.replaceState(null, '', window.location.pathname);
+        } else {
+            this.showMessage(result.error, 'error');
+        }
+    }
+
+    async openInvitation(token) {
+        try {
+            const { user } = await this.authService.getInvitation(token);
+            this.invitation = { token, user };
+
+            this.showView('onboarding');
+            this.elements.onboardingHint.textContent =
+                `Complete your profile to activate your ${user.userType} account for ${user.email}.`;
+            this.renderOnboardingFields(user);
+        } catch (error) {
+            this.showView('invite');
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    handleActivity() {
+        const now = Date.now();
+        if (!this.authService.session || now - this.lastTouch < 5000) return;
+
+        this.lastTouch = now;
+        this.authService.touchSession();
+    }
+
+    /**
+     * Service event handlers (Observer pattern callbacks)
+     */
+    onSignedIn(user) {
+        this.elements.authScreen.style.display = 'none';
+        this.elements.sessionBar.style.display = 'flex';
+        this.elements.currentUserName.textContent = `${user.firstName} ${user.lastName} (${user.userType})`;
+
+        this.startIdleTimer();
+
+        if (this.resolveLogin) {
+            this.resolveLogin(user);
+            this.resolveLogin = null;
+        }
+    }
+
+    onSignedOut(reason) {
+        this.stopIdleTimer();
+
+        // Start from a clean page so no signed-in state survives
+        if (reason === 'idle') {
+            sessionStorage.setItem('appointme_signout_reason', 'You were signed out after a period of inactivity.');
+        }
+        window.location.reload();
+    }
+
+    startIdleTimer() {
+        this.stopIdleTimer();
+        this.idleTimer = setInterval(() => this.authService.checkIdle(), this.options.idleCheckInterval);
+    }
+
+    stopIdleTimer() {
+        if (this.idleTimer) {
+            clearInterval(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    /**
+     * Rendering methods
+     */
+    showView(view) {
+        this.elements.authScreen.style.display = 'flex';
+        this.elements.sessionBar.style.display = 'none';
+        this.showMessage('');
+
+        const forms = {
+            login: this.elements.loginForm,
+            setup: this.elements.setupForm,
+            forgot: this.elements.forgotForm,
+            reset: this.elements.resetForm,
+            invite: this.elements.inviteForm,
+            onboarding: this.elements.onboardingForm
+        };
+        Object.keys(forms).forEach(name => {
+            forms[name].style.display = name === view ? 'block' : 'none';
+        });
+
+        // Resets are only offered when a code can reach the account owner
+        this.elements.forgotLink.style.display = this.authService.canSendCodes() ? '' : 'none';
+
+        const signOutReason = sessionStorage.getItem('appointme_signout_reason');
+        if (signOutReason && view === 'login') {
+            this.showMessage(signOutReason, 'info');
+            sessionStorage.removeItem('appointme_signout_reason');
+        }
+    }
+
+    showMessage(message, type = 'info') {
+        this.elements.authMessage.textContent = message;
+        this.elements.authMessage.className = `auth-message auth-message-${type}`;
+        this.elements.authMessage.style.display = message ? 'block' : 'none';
+    }
+
+    // Admin-defined profile fields of the invited user's type
+    renderOnboardingFields(user) {
+        const schema = this.options.fieldSchemaService;
+        const fields = schema ? schema.getFields(user.userType) : [];
+
+        this.elements.onboardingCustomFields.innerHTML = fields.map(field => {
+            const id = `onboarding-${field.key}`;
+            const required = field.required ? 'required' : '';
+            let input;
+
+            switch (field.type) {
+                case 'textarea':
+                    input = `<textarea id="${id}" name="${field.key}" rows="3" ${required}></textarea>`;
+                    break;
+                case 'select':
+                    input = `
+                        <select id="${id}" name="${field.key}" ${required}>
+                            <option value="">Select ${escapeHtml(field.label.toLowerCase())}</option>
+                            ${field.options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+                        </select>
+                    `;
+                    break;
+                default:
+                    input = `<input type="${field.type}" id="${id}" name="${field.key}" ${required}>`;
+            }
+
+            return `
+                <div class="form-group">
+                    <label for="${id}">${escapeHtml(field.label)}</label>
+                    ${input}
+                </div>
+            `;
+        }).join('');
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthController;
+} else {
+    window.AuthController = AuthController;
+}
\ No newline at end of file
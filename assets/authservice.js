@@ -0,0 +1,579 @@
+/**
+ * AuthService - Pure business logic for sign-in and sessions
+ * Salted PBKDF2 password hashes (WebCrypto) live on the user records,
+ * sessions expire after a period of inactivity; password resets and
+ * invitations are delivered through NotificationService
+ * No DOM manipulation or UI concerns
+ */
+class AuthService {
+    constructor(userService, notificationService = null, options = {}) {
+        this.userService = userService;
+        this.notificationService = notificationService;
+        this.options = {
+            idleTimeout: 30 * 60000, // 30 minutes
+            resetTokenTtl: 60 * 60000, // 1 hour
+            inviteTokenTtl: 7 * 24 * 60 * 60000, // 7 days
+            inviteUrl: '', // Page the invite link opens, e.g. https://example.com/index.html; the token is added as ?invite=
+            minPasswordLength: 8,
+            iterations: 100000,
+            ...options
+        };
+        this.session = null;
+        this.setupCompleted = false; // Recorded by a shared server, see loadSetupState
+        this.observers = []; // For notifying UI of changes
+        this.storageKeys = {
+            sessions: 'appointme_sessions',
+            currentToken: 'appointme_session_token',
+            resets: 'appointme_password_resets',
+            invitations: 'appointme_invitations'
+        };
+
+        if (this.notificationService) {
+            this.notificationService.registerTemplate('passwordReset', {
+                sensitive: true,
+                subject: 'Reset your TalentKit password',
+                body: 'Hi {{firstName}},\n\nUse this code to reset your password: {{resetToken}}\n\nIt expires at {{expiresAt}}. If you did not ask for a reset you can ignore this message.'
+            });
+            this.notificationService.registerTemplate('invitation', {
+                sensitive: true,
+                subject: 'You are invited to TalentKit',
+                body: 'Hello,\n\n{{inviterName}} invited you to join TalentKit as a {{userType}}.\n\nComplete your profile to activate your account: {{inviteLink}}\nOr enter this invitation code on the sign-in page: {{inviteToken}}\n\nThe invitation expires at {{expiresAt}}.'
+            });
+        }
+    }
+
+    /**
+     * Observer pattern - allows UI components to listen for changes
+     */
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    unsubscribe(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    notify(event, data) {
+        this.observers.forEach(callback => callback(event, data));
+    }
+
+    /**
+     * Sign in and out
+     */
+    async login(email, password) {
+        try {
+            const user = this.findUserByEmail(email);
+
+            // Same message for unknown users and wrong passwords
+            if (!user || !user.credentials || !(await this.verifyPassword(password, user.credentials))) {
+                throw new Error('Invalid email or password');
+            }
+
+            // Users who only went idle are let back in; signing in makes them active again
+            if (user.status !== 'active' && !this.userService.isIdle(user)) {
+                throw new Error(this.getStatusError(user));
+            }
+
+            const activity = await this.userService.recordActivity(user.id);
+            const signedIn = activity.success ? activity.data : user;
+            const session = this.createSession(signedIn);
+
+            this.notify('login', { user: signedIn, session });
+            return { success: true, data: { user: signedIn, session } };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'login' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async logout(reason = 'logout') {
+        const session = this.session;
+        if (session) {
+            const sessions = this.readStore(this.storageKeys.sessions);
+            delete sessions[session.token];
+            this.writeStore(this.storageKeys.sessions, sessions);
+        }
+
+        this.session = null;
+        localStorage.removeItem(this.storageKeys.currentToken);
+        this.userService.setActingUser(null);
+
+        this.notify('logout', { session, reason });
+        return { success: true };
+    }
+
+    /**
+     * Resume the session stored in this browser if it has not gone idle
+     */
+    restoreSession() {
+        const token = localStorage.getItem(this.storageKeys.currentToken);
+        const session = token ? this.readStore(this.storageKeys.sessions)[token] : null;
+        const user = session ? this.userService.getUserById(session.userId) : null;
+
+        if (!session || !user || user.status !== 'active' || this.isIdle(session)) {
+            if (token) {
+                this.session = session || null;
+                this.logout('expired');
+            }
+            return { success: false, error: 'No active session' };
+        }
+
+        this.session = session;
+        this.userService.setActingUser(user);
+        this.userService.recordActivity(user.id);
+        this.touchSession();
+
+        this.notify('sessionRestored', { user, session });
+        return { success: true, data: { user, session } };
+    }
+
+    createSession(user) {
+        const now = new Date().toISOString();
+        const session = {
+            token: this.generateToken(),
+            userId: user.id,
+            createdAt: now,
+            lastActivity: now
+        };
+
+        const sessions = this.readStore(this.storageKeys.sessions);
+        sessions[session.token] = session;
+        this.writeStore(this.storageKeys.sessions, sessions);
+        localStorage.setItem(this.storageKeys.currentToken, session.token);
+
+        this.session = session;
+        this.userService.setActingUser(user);
+        return session;
+    }
+
+    /**
+     * Idle timeout - activity extends the session, checkIdle ends it
+     */
+    touchSession() {
+        if (!this.session) return;
+
+        this.session.lastActivity = new Date().toISOString();
+        const sessions = this.readStore(this.storageKeys.sessions);
+        if (sessions[this.session.token]) {
+            sessions[this.session.token].lastActivity = this.session.lastActivity;
+            this.writeStore(this.storageKeys.sessions, sessions);
+        }
+    }
+
+    isIdle(session = this.session, now = new Date()) {
+        return !session || now - new Date(session.lastActivity) > this.options.idleTimeout;
+    }
+
+    checkIdle() {
+        if (this.session && this.isIdle()) {
+            this.logout('idle');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Query methods
+     */
+    getCurrentUser() {
+        return this.session ? this.userService.getUserById(this.session.userId) || null : null;
+    }
+
+    isAuthenticated() {
+        return Boolean(this.getCurrentUser()) && !this.isIdle();
+    }
+
+    /**
+     * First run - no admin can sign in yet, so one admin may choose a password.
+     * With server storage the server remembers that setup happened, since the
+     * password hashes only live in the browser that set them
+     */
+    async loadSetupState() {
+        const storage = this.userService.storage;
+        this.setupCompleted = storage && storage.isSetupCompleted ? await storage.isSetupCompleted() : false;
+        return this.setupCompleted;
+    }
+
+    needsSetup() {
+        return !this.setupCompleted && !this.userService.getUsersByType('admin').some(user => user.credentials);
+    }
+
+    async completeSetup(email, password) {
+        try {
+            if (!this.needsSetup()) {
+                throw new Error('Setup has already been completed');
+            }
+
+            const admin = this.findUserByEmail(email);
+            if (!admin || admin.userType !== 'admin') {
+                throw new Error('Enter the email of an administrator');
+            }
+
+            const validation = this.validatePassword(password);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            // Claimed before the password is set, so only one browser can ever complete setup
+            const storage = this.userService.storage;
+            if (storage && storage.completeSetup) {
+                await storage.completeSetup();
+            }
+            this.setupCompleted = true;
+
+            await this.setPassword(admin.id, password);
+            return await this.login(email, password);
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'setup' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Credential management
+     */
+    async setPassword(userId, password) {
+        const validation = this.validatePassword(password);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join(', '));
+        }
+
+        const credentials = await this.createCredentials(password);
+        const result = await this.userService.setCredentials(userId, credentials);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        await this.userService.saveUsers();
+        return result;
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        try {
+            const user = this.getCurrentUser();
+            if (!user) {
+                throw new Error('You must be signed in');
+            }
+
+            if (!(await this.verifyPassword(currentPassword, user.credentials))) {
+                throw new Error('Current password is incorrect');
+            }
+
+            await this.setPassword(user.id, newPassword);
+
+            this.notify('passwordChanged', { userId: user.id });
+            return { success: true };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'password' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    validatePassword(password) {
+        const errors = [];
+
+        if (!password || password.length < this.options.minPasswordLength) {
+            errors.push(`Password must be at least ${this.options.minPasswordLength} characters`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Password reset - a single-use code sent by email or SMS
+     */
+    // Sign-in codes only go through channels that reach the account owner alone
+    canSendCodes() {
+        return Boolean(this.notificationService) && this.notificationService.getPrivateChannels().length > 0;
+    }
+
+    async requestPasswordReset(email) {
+        // Checked before the lookup so the answer never reveals whether an account exists
+        if (!this.canSendCodes()) {
+            return { success: false, error: 'Password reset is unavailable: no email or SMS delivery is configured' };
+        }
+
+        const user = this.findUserByEmail(email);
+
+        // Never reveal whether an account exists
+        if (user && (user.status === 'active' || this.userService.isIdle(user))) {
+            const token = this.generateToken(6);
+            const expiresAt = new Date(Date.now() + this.options.resetTokenTtl);
+
+            const resets = this.readStore(this.storageKeys.resets);
+            resets[await this.digest(token)] = {
+                userId: user.id,
+                expiresAt: expiresAt.toISOString()
+            };
+            this.writeStore(this.storageKeys.resets, resets);
+
+            await this.notificationService.queueMessage(user.id, 'passwordReset', {
+                resetToken: token,
+                expiresAt: expiresAt.toLocaleString()
+            });
+            await this.notificationService.processQueue();
+
+            this.notify('passwordResetRequested', { userId: user.id });
+        }
+
+        return { success: true };
+    }
+
+    async resetPassword(token, newPassword) {
+        try {
+            const key = await this.digest(String(token || '').trim());
+            const resets = this.readStore(this.storageKeys.resets);
+            const reset = resets[key];
+
+            if (!reset || new Date(reset.expiresAt) < new Date()) {
+                throw new Error('This reset code is invalid or has expired');
+            }
+
+            await this.setPassword(reset.userId, newPassword);
+
+            // Codes are single-use, and old sessions must not survive a reset
+            delete resets[key];
+            this.writeStore(this.storageKeys.resets, resets);
+            this.endSessionsForUser(reset.userId);
+
+            this.notify('passwordReset', { userId: reset.userId });
+            return { success: true };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'reset' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Invitations - a single-use code, sent by email or SMS, that lets the
+     * invitee complete their profile and choose a password, which activates the account
+     */
+    async inviteUser(email, userType) {
+        try {
+            // Checked first so no invitee is created whose code cannot be delivered
+            if (!this.canSendCodes()) {
+                throw new Error('Invitations are unavailable: no email or SMS delivery is configured');
+            }
+
+            const result = await this.userService.inviteUser(email, userType);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const expiresAt = await this.sendInvitation(result.data);
+            await this.userService.saveUsers();
+
+            return { success: true, data: { user: result.data, expiresAt } };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'invite' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    // A new code replaces any earlier one, so only the latest message works
+    async resendInvitation(userId) {
+        try {
+            const user = this.userService.getUserById(userId);
+            if (!user || !this.userService.isAwaitingOnboarding(user)) {
+                throw new Error('This user has no open invitation');
+            }
+            this.userService.assertCan('create', null, user);
+            if (!this.canSendCodes()) {
+                throw new Error('Invitations are unavailable: no email or SMS delivery is configured');
+            }
+
+            const expiresAt = await this.sendInvitation(user);
+            return { success: true, data: { user, expiresAt } };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'invite' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async sendInvitation(user) {
+        const token = this.generateToken(16);
+        const expiresAt = new Date(Date.now() + this.options.inviteTokenTtl);
+
+        const invitations = this.readStore(this.storageKeys.invitations);
+        Object.keys(invitations)
+            .filter(key => invitations[key].userId === user.id || new Date(invitations[key].expiresAt) < new Date())
+            .forEach(key => delete invitations[key]);
+        invitations[await this.digest(token)] = {
+            userId: user.id,
+            expiresAt: expiresAt.toISOString()
+        };
+        this.writeStore(this.storageKeys.invitations, invitations);
+
+        const inviter = this.userService.getActingUser();
+        await this.notificationService.queueMessage(user.id, 'invitation', {
+            inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}` : 'An administrator',
+            inviteToken: token,
+            inviteLink: this.getInviteLink(token),
+            expiresAt: expiresAt.toLocaleString()
+        });
+        await this.notificationService.processQueue();
+
+        this.notify('invitationSent', { userId: user.id, expiresAt: expiresAt.toISOString() });
+        return expiresAt.toISOString();
+    }
+
+    getInviteLink(token) {
+        return this.options.inviteUrl ? `${this.options.inviteUrl}?invite=${encodeURIComponent(token)}` : '';
+    }
+
+    // The invited user a code belongs to, for the onboarding page; throws if the code cannot be used
+    async getInvitation(token) {
+        const key = await this.digest(String(token || '').trim());
+        const invitation = this.readStore(this.storageKeys.invitations)[key];
+        const user = invitation ? this.userService.getUserById(invitation.userId) : null;
+
+        if (!invitation || !user || !this.userService.isAwaitingOnboarding(user) || new Date(invitation.expiresAt) < new Date()) {
+            throw new Error('This invitation is invalid or has expired');
+        }
+        return { key, user, expiresAt: invitation.expiresAt };
+    }
+
+    // Open invitations with their expiry; expired ones can be sent again
+    getInvitations() {
+        const invitations = Object.values(this.readStore(this.storageKeys.invitations));
+        return this.userService.getInvitedUsers().map(user => {
+            const invitation = invitations.find(candidate => candidate.userId === user.id);
+            return {
+                user,
+                expiresAt: invitation ? invitation.expiresAt : null,
+                isExpired: !invitation || new Date(invitation.expiresAt) < new Date()
+            };
+        });
+    }
+
+    async acceptInvitation(token, profile, password) {
+        try {
+            const { key, user } = await this.getInvitation(token);
+
+            const validation = this.validatePassword(password);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            const result = await this.userService.completeOnboarding(user.id, profile);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            await this.setPassword(user.id, password);
+
+            // Codes are single-use
+            const invitations = this.readStore(this.storageKeys.invitations);
+            delete invitations[key];
+            this.writeStore(this.storageKeys.invitations, invitations);
+
+            this.notify('invitationAccepted', { userId: user.id });
+            return await this.login(user.email, password);
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'invite' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    endSessionsForUser(userId) {
+        const sessions = this.readStore(this.storageKeys.sessions);
+        Object.keys(sessions)
+            .filter(token => sessions[token].userId === parseInt(userId))
+            .forEach(token => delete sessions[token]);
+        this.writeStore(this.storageKeys.sessions, sessions);
+    }
+
+    /**
+     * Hashing helpers (WebCrypto)
+     */
+    async createCredentials(password) {
+        const salt = this.toHex(crypto.getRandomValues(new Uint8Array(16)));
+        return {
+            algorithm: 'PBKDF2-SHA256',
+            iterations: this.options.iterations,
+            salt,
+            hash: await this.hashPassword(password, salt, this.options.iterations),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    async verifyPassword(password, credentials) {
+        if (!credentials || typeof password !== 'string') return false;
+
+        const hash = await this.hashPassword(password, credentials.salt, credentials.iterations);
+
+        // Compare every character so timing does not reveal the match length
+        let difference = hash.length ^ credentials.hash.length;
+        for (let i = 0; i < Math.min(hash.length, credentials.hash.length); i++) {
+            difference |= hash.charCodeAt(i) ^ credentials.hash.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    async hashPassword(password, salt, iterations) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: encoder.encode(salt), iterations, hash: 'SHA-256' },
+            key,
+            256
+        );
+        return this.toHex(new Uint8Array(bits));
+    }
+
+    async digest(value) {
+        const bytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+        return this.toHex(new Uint8Array(bytes));
+    }
+
+    generateToken(bytes = 32) {
+        return this.toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+    }
+
+    toHex(bytes) {
+        return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Helper methods
+     */
+    getStatusError(user) {
+        if (user.status === 'pending') {
+            return 'This account has not been activated yet';
+        }
+        if (user.status === 'suspended' && user.suspension) {
+            const until = user.suspension.until ? ` until ${new Date(user.suspension.until).toLocaleDateString()}` : '';
+            return `This account is suspended${until}: ${user.suspension.reason}`;
+        }
+        return 'This account is not active';
+    }
+
+    findUserByEmail(email) {
+        return this.userService.findUserByEmail(email);
+    }
+
+    readStore(key) {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : {};
+    }
+
+    writeStore(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthService;
+} else {
+    window.AuthService = AuthService;
+}
\ No newline at end of file
@@ -0,0 +1,426 @@
+/**
+ * AvailabilityService - Pure business logic for provider working hours
+ * Generates bookable slots from weekly hours, exceptions and buffers
+ * No DOM manipulation or UI concerns
+ */
+class AvailabilityService {
+    constructor(userService, appointmentService = null) {
+        this.userService = userService;
+        this.appointmentService = appointmentService;
+        this.schedules = {}; // Keyed by provider id
+        this.nextExceptionId = 1;
+        this.observers = []; // For notifying UI of changes
+        this.storageKey = 'appointme_availability';
+    }
+
+    /**
+     * Observer pattern - allows UI components to listen for changes
+     */
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    unsubscribe(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    notify(event, data) {
+        this.observers.forEach(callback => callback(event, data));
+    }
+
+    /**
+     * Core business logic methods
+     */
+    async setWeeklyHours(providerId, weeklyHours) {
+        try {
+            this.assertProvider(providerId);
+
+            // weeklyHours is keyed by day of week (0 = Sunday) with a list of { start, end } ranges
+            const validation = this.validateWeeklyHours(weeklyHours);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            const schedule = this.getOrCreateSchedule(providerId);
+            schedule.weeklyHours = this.normalizeWeeklyHours(weeklyHours);
+            schedule.lastModified = new Date().toISOString();
+
+            this.notify('availabilityUpdated', schedule);
+            this.notify('availabilityChanged', this.schedules);
+
+            return { success: true, data: schedule };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'update' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async addException(providerId, exceptionData) {
+        try {
+            this.assertProvider(providerId);
+
+            // Exceptions without hours block the whole day(s), e.g. holidays or time off.
+            // Exceptions with hours replace the weekly hours for those day(s).
+            const validation = this.validateException(exceptionData);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            const schedule = this.getOrCreateSchedule(providerId);
+            const exception = {
+                id: this.nextExceptionId++,
+                startDate: exceptionData.startDate,
+                endDate: exceptionData.endDate || exceptionData.startDate,
+                hours: exceptionData.hours && exceptionData.hours.length ? [...exceptionData.hours] : null,
+                reason: exceptionData.reason || ''
+            };
+
+            schedule.exceptions.push(exception);
+            schedule.lastModified = new Date().toISOString();
+
+            this.notify('availabilityUpdated', schedule);
+            this.notify('availabilityChanged', this.schedules);
+
+            return { success: true, data: exception };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'create' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async removeException(providerId, exceptionId) {
+        try {
+            const schedule = this.schedules[parseInt(providerId)];
+            const exceptionIndex = schedule ?
+                schedule.exceptions.findIndex(exc => exc.id === parseInt(exceptionId)) : -1;
+            if (exceptionIndex === -1) {
+                throw new Error('Exception not found');
+            }
+
+            const removed = schedule.exceptions[exceptionIndex];
+            schedule.exceptions.splice(exceptionIndex, 1);
+            schedule.lastModified = new Date().toISOString();
+
+            this.notify('availabilityUpdated', schedule);
+            this.notify('availabilityChanged', this.schedules);
+
+            return { success: true, data: removed };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'delete' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async setBufferTimes(providerId, { before = 0, after = 0 } = {}) {
+        try {
+            this.assertProvider(providerId);
+
+            if (before < 0 || after < 0 || isNaN(parseInt(before)) || isNaN(parseInt(after))) {
+                throw new Error('Buffer times must be zero or more minutes');
+            }
+
+            const schedule = this.getOrCreateSchedule(providerId);
+            schedule.bufferBefore = parseInt(before);
+            schedule.bufferAfter = parseInt(after);
+            schedule.lastModified = new Date().toISOString();
+
+            this.notify('availabilityUpdated', schedule);
+            this.notify('availabilityChanged', this.schedules);
+
+            return { success: true, data: schedule };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'update' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Query methods
+     */
+    getSchedule(providerId) {
+        return this.schedules[parseInt(providerId)] || null;
+    }
+
+    /**
+     * Working ranges for a single calendar day after applying exceptions
+     * Returns [{ start: Date, end: Date }]
+     */
+    getWorkingRanges(providerId, date) {
+        const schedule = this.getSchedule(providerId);
+        if (!schedule) return [];
+
+        const day = this.startOfDay(date);
+        const dateKey = this.toDateKey(day);
+
+        const exception = schedule.exceptions.find(exc =>
+            exc.startDate <= dateKey && dateKey <= exc.endDate
+        );
+
+        let hours;
+        if (exception) {
+            hours = exception.hours || [];
+        } else {
+            hours = schedule.weeklyHours[day.getDay()] || [];
+        }
+
+        return hours.map(range => ({
+            start: this.atTime(day, range.start),
+            end: this.atTime(day, range.end)
+        }));
+    }
+
+    /**
+     * Open slots for a provider between two dates (inclusive) at a given duration
+     * Returns { success, data: [{ providerId, start, end }] } with ISO strings
+     */
+    getAvailableSlots(providerId, startDate, endDate, duration = 30, options = {}) {
+        // Slots are walked in steps of the duration, so it has to move forward
+        if (!(duration > 0)) {
+            return { success: false, error: 'Duration must be more than zero minutes' };
+        }
+        if (options.step !== undefined && !(options.step > 0)) {
+            return { success: false, error: 'Step must be more than zero minutes' };
+        }
+
+        const provider = this.userService.getUserById(providerId);
+        if (!provider || provider.userType !== 'provider' || provider.status !== 'active') {
+            return { success: true, data: [] };
+        }
+
+        const schedule = this.getSchedule(providerId);
+        if (!schedule) return { success: true, data: [] };
+
+        const step = (options.step || duration) * 60000;
+        const length = duration * 60000;
+        const bufferBefore = schedule.bufferBefore * 60000;
+        const bufferAfter = schedule.bufferAfter * 60000;
+        const notBefore = options.notBefore ? new Date(options.notBefore).getTime() : Date.now();
+
+        // Existing bookings block their own time plus the provider's buffers
+        const busy = this.getBusyRanges(providerId, startDate, endDate).map(range => ({
+            start: range.start - bufferBefore,
+            end: range.end + bufferAfter
+        }));
+
+        const slots = [];
+        const lastDay = this.startOfDay(endDate);
+        for (let day = this.startOfDay(startDate); day <= lastDay; day = this.addDays(day, 1)) {
+            this.getWorkingRanges(providerId, day).forEach(range => {
+                for (let start = range.start.getTime(); start + length <= range.end.getTime(); start += step) {
+                    const end = start + length;
+                    if (start < notBefore) continue;
+
+                    // The slot itself also needs room for buffers against bookings
+                    const blocked = busy.some(b => b.start < end + bufferAfter && start - bufferBefore < b.end);
+                    if (!blocked) {
+                        slots.push({
+                            providerId: provider.id,
+                            start: new Date(start).toISOString(),
+                            end: new Date(end).toISOString()
+                        });
+                    }
+                }
+            });
+        }
+
+        return { success: true, data: slots };
+    }
+
+    isAvailable(providerId, start, end) {
+        const duration = (new Date(end) - new Date(start)) / 60000;
+        const result = this.getAvailableSlots(providerId, start, start, duration, { step: 1, notBefore: start });
+        return result.success && result.data.some(slot => slot.start === new Date(start).toISOString());
+    }
+
+    getBusyRanges(providerId, startDate, endDate) {
+        if (!this.appointmentService) return [];
+
+        const from = this.startOfDay(startDate);
+        const to = this.addDays(this.startOfDay(endDate), 1);
+        return this.appointmentService.getAppointmentsForProvider(providerId, from, to)
+            .filter(appt => appt.status === 'scheduled')
+            .map(appt => ({
+                start: new Date(appt.start).getTime(),
+                end: new Date(appt.end).getTime()
+            }));
+    }
+
+    /**
+     * Validation logic
+     */
+    validateWeeklyHours(weeklyHours) {
+        const errors = [];
+
+        if (!weeklyHours || typeof weeklyHours !== 'object') {
+            return { isValid: false, errors: ['Weekly hours are required'] };
+        }
+
+        Object.keys(weeklyHours).forEach(day => {
+            if (!/^[0-6]$/.test(day)) {
+                errors.push(`Invalid day of week: ${day}`);
+                return;
+            }
+            errors.push(...this.validateRanges(weeklyHours[day]));
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    validateException(exceptionData) {
+        const errors = [];
+        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+        if (!exceptionData.startDate || !dateRegex.test(exceptionData.startDate)) {
+            errors.push('startDate is required (YYYY-MM-DD)');
+        }
+
+        if (exceptionData.endDate) {
+            if (!dateRegex.test(exceptionData.endDate)) {
+                errors.push('Invalid endDate (YYYY-MM-DD)');
+            } else if (exceptionData.endDate < exceptionData.startDate) {
+                errors.push('endDate must not be before startDate');
+            }
+        }
+
+        if (exceptionData.hours) {
+            errors.push(...this.validateRanges(exceptionData.hours));
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    validateRanges(ranges) {
+        const errors = [];
+        const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+        if (!Array.isArray(ranges)) {
+            return ['Working hours must be a list of time ranges'];
+        }
+
+        const sorted = [...ranges].sort((a, b) => (a.start || '').localeCompare(b.start || ''));
+        sorted.forEach((range, index) => {
+            if (!timeRegex.test(range.start) || !timeRegex.test(range.end)) {
+                errors.push('Times must use HH:MM format');
+            } else if (range.end <= range.start) {
+                errors.push(`Range ${range.start}-${range.end} must end after it starts`);
+            } else if (index > 0 && range.start < sorted[index - 1].end) {
+                errors.push(`Range ${range.start}-${range.end} overlaps another range`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Helper methods
+     */
+    assertProvider(providerId) {
+        const provider = this.userService.getUserById(providerId);
+        if (!provider) {
+            throw new Error('Provider not found');
+        }
+        if (provider.userType !== 'provider') {
+            throw new Error('Availability can only be set for service providers');
+        }
+        return provider;
+    }
+
+    getOrCreateSchedule(providerId) {
+        const id = parseInt(providerId);
+        if (!this.schedules[id]) {
+            this.schedules[id] = {
+                providerId: id,
+                weeklyHours: {},
+                exceptions: [],
+                bufferBefore: 0,
+                bufferAfter: 0
+            };
+        }
+        return this.schedules[id];
+    }
+
+    normalizeWeeklyHours(weeklyHours) {
+        return Object.keys(weeklyHours).reduce((acc, day) => {
+            acc[day] = [...weeklyHours[day]].sort((a, b) => a.start.localeCompare(b.start));
+            return acc;
+        }, {});
+    }
+
+    startOfDay(date) {
+        // Plain YYYY-MM-DD strings are treated as local dates, not UTC
+        const day = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ?
+            new Date(`${date}T00:00:00`) : new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return day;
+    }
+
+    addDays(date, days) {
+        const next = new Date(date);
+        next.setDate(next.getDate() + days);
+        return next;
+    }
+
+    atTime(day, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const date = new Date(day);
+        date.setHours(hours, minutes, 0, 0);
+        return date;
+    }
+
+    toDateKey(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Data persistence methods
+     */
+    async loadAvailability() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                this.schedules = JSON.parse(stored);
+                const exceptionIds = Object.values(this.schedules)
+                    .flatMap(schedule => schedule.exceptions.map(exc => exc.id));
+                this.nextExceptionId = exceptionIds.reduce((max, id) => Math.max(max, id), 0) + 1;
+            }
+
+            this.notify('availabilityLoaded', this.schedules);
+            return { success: true, data: this.schedules };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'load' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async saveAvailability() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.schedules));
+
+            this.notify('availabilitySaved', this.schedules);
+            return { success: true };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'save' });
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvailabilityService;
+} else {
+    window.AvailabilityService = AvailabilityService;
+}
\ No newline at end of file
@@ -0,0 +1,571 @@
+/**
+ * CalendarController - Renders day/week/month schedules for providers
+ * Communicates with AppointmentService and AvailabilityService for business logic
+ */
+class CalendarController {
+    constructor(appointmentService, availabilityService, userService, options = {}) {
+        this.appointmentService = appointmentService;
+        this.availabilityService = availabilityService;
+        this.userService = userService;
+        this.options = {
+            dayStartHour: 7,
+            dayEndHour: 20,
+            slotMinutes: 30,
+            ...options
+        };
+        this.view = 'week';
+        this.currentDate = this.startOfDay(new Date());
+        this.selectedProviderIds = [];
+        this.elements = {};
+        this.init();
+    }
+
+    /**
+     * Initialize controller
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+        this.subscribeToService();
+        this.refreshProviders();
+        this.render();
+    }
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            calendarTitle: document.getElementById('calendarTitle'),
+            calendarGrid: document.getElementById('calendarGrid'),
+            calendarDialog: document.getElementById('calendarDialog'),
+            viewSelect: document.getElementById('calendarView'),
+            providerSelect: document.getElementById('calendarProviders'),
+            prevBtn: document.getElementById('calendarPrev'),
+            todayBtn: document.getElementById('calendarToday'),
+            nextBtn: document.getElementById('calendarNext')
+        };
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.prevBtn.addEventListener('click', () => this.navigate(-1));
+        this.elements.nextBtn.addEventListener('click', () => this.navigate(1));
+        this.elements.todayBtn.addEventListener('click', () => this.goToDate(new Date()));
+        this.elements.viewSelect.addEventListener('change', (e) => this.setView(e.target.value));
+        this.elements.providerSelect.addEventListener('change', (e) => {
+            const selected = Array.from(e.target.selectedOptions).map(option => parseInt(option.value));
+            this.setProviders(selected);
+        });
+
+        // Close dialogs with Escape
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeDialog();
+            }
+        });
+    }
+
+    /**
+     * Subscribe to service events (Observer pattern)
+     */
+    subscribeToService() {
+        this.appointmentService.subscribe((event) => {
+            switch (event) {
+                case 'appointmentsChanged':
+                case 'appointmentsLoaded':
+                    this.render();
+                    break;
+            }
+        });
+
+        this.availabilityService.subscribe((event) => {
+            switch (event) {
+                case 'availabilityChanged':
+                case 'availabilityLoaded':
+                    this.render();
+                    break;
+            }
+        });
+
+        this.userService.subscribe((event) => {
+            switch (event) {
+                case 'usersChanged':
+                case 'usersLoaded':
+                case 'actingUserChanged':
+                    this.refreshProviders();
+                    this.render();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Navigation
+     */
+    setView(view) {
+        if (!['day', 'week', 'month'].includes(view)) return;
+        this.view = view;
+        this.elements.viewSelect.value = view;
+        this.render();
+    }
+
+    setProviders(providerIds) {
+        this.selectedProviderIds = providerIds;
+        this.render();
+    }
+
+    navigate(direction) {
+        const date = new Date(this.currentDate);
+        if (this.view === 'day') {
+            date.setDate(date.getDate() + direction);
+        } else if (this.view === 'week') {
+            date.setDate(date.getDate() + direction * 7);
+        } else {
+            date.setDate(1);
+            date.setMonth(date.getMonth() + direction);
+        }
+        this.goToDate(date);
+    }
+
+    goToDate(date) {
+        this.currentDate = this.startOfDay(date);
+        this.render();
+    }
+
+    openDay(dateKey) {
+        this.currentDate = this.startOfDay(new Date(`${dateKey}T00:00:00`));
+        this.setView('day');
+    }
+
+    /**
+     * Provider selection
+     */
+    refreshProviders() {
+        const providers = this.getProviders();
+        const providerIds = providers.map(provider => provider.id);
+
+        // Drop providers that no longer exist, default to everyone
+        this.selectedProviderIds = this.selectedProviderIds.filter(id => providerIds.includes(id));
+        if (this.selectedProviderIds.length === 0) {
+            this.selectedProviderIds = providerIds;
+        }
+
+        this.elements.providerSelect.innerHTML = providers.map(provider => `
+            <option value="${provider.id}" ${this.selectedProviderIds.includes(provider.id) ? 'selected' : ''}>
+                ${escapeHtml(`${provider.firstName} ${provider.lastName}`)}
+            </option>
+        `).join('');
+    }
+
+    getProviders() {
+        return this.userService.getUsersByType('provider');
+    }
+
+    getSelectedProviders() {
+        return this.getProviders().filter(provider => this.selectedProviderIds.includes(provider.id));
+    }
+
+    /**
+     * Rendering methods
+     */
+    render() {
+        this.elements.calendarTitle.textContent = this.getTitle();
+
+        const providers = this.getSelectedProviders();
+        if (providers.length === 0) {
+            this.elements.calendarGrid.innerHTML = `
+                <div class="empty-state">
+                    <div style="font-size: 4rem; margin-bottom: 1rem; opacity: 0.3;">📅</div>
+                    <h3>No providers to show</h3>
+                    <p>Add a service provider to start scheduling appointments</p>
+                </div>
+            `;
+            return;
+        }
+
+        if (this.view === 'month') {
+            this.elements.calendarGrid.innerHTML = this.createMonthHTML(providers);
+        } else {
+            const days = this.view === 'day' ? [this.currentDate] : this.getWeekDays(this.currentDate);
+            this.elements.calendarGrid.innerHTML = this.createTimeGridHTML(days, providers);
+        }
+    }
+
+    getTitle() {
+        if (this.view === 'day') {
+            return this.currentDate.toLocaleDateString(undefined, {
+                weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+            });
+        }
+        if (this.view === 'week') {
+            const days = this.getWeekDays(this.currentDate);
+            return `${days[0].toLocaleDateString()} – ${days[6].toLocaleDateString()}`;
+        }
+        return this.currentDate.toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+    }
+
+    /**
+     * Day and week views - one column per day and provider, one row per slot
+     */
+    createTimeGridHTML(days, providers) {
+        const { slotMinutes } = this.options;
+
+        const columns = [];
+        days.forEach(day => {
+            providers.forEach((provider, providerIndex) => {
+                columns.push({
+                    day,
+                    provider,
+                    color: this.getProviderColor(provider.id),
+                    firstOfDay: providerIndex === 0,
+                    workingRanges: this.availabilityService.getWorkingRanges(provider.id, day),
+                    appointments: this.appointmentService.getAppointmentsForProvider(
+                        provider.id, day, this.addDays(day, 1)
+                    ).filter(appt => appt.status === 'scheduled'),
+                    coveredUntil: -1
+                });
+            });
+        });
+
+        const { startHour, endHour } = this.getGridHours(columns);
+        const rowsPerDay = ((endHour - startHour) * 60) / slotMinutes;
+
+        const showDayHeader = days.length > 1;
+        let html = '<table class="calendar-table"><thead>';
+
+        if (showDayHeader) {
+            html += '<tr><th class="calendar-time"></th>';
+            days.forEach(day => {
+                html += `<th colspan="${providers.length}" class="calendar-day-header">
+                    <a href="#" onclick="calendarController.openDay('${this.toDateKey(day)}'); return false;">
+                        ${day.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+                    </a>
+                </th>`;
+            });
+            html += '</tr>';
+        }
+
+        html += '<tr><th class="calendar-time"></th>';
+        columns.forEach(column => {
+            html += `<th class="calendar-provider-header ${column.firstOfDay ? 'day-start' : ''}" style="border-top: 3px solid ${column.color}">
+                ${escapeHtml(`${column.provider.firstName} ${column.provider.lastName}`)}
+            </th>`;
+        });
+        html += '</tr></thead><tbody>';
+
+        for (let row = 0; row < rowsPerDay; row++) {
+            const minutes = startHour * 60 + row * slotMinutes;
+            html += `<tr><td class="calendar-time">${row % (60 / slotMinutes) === 0 ? this.formatMinutes(minutes) : ''}</td>`;
+
+            columns.forEach(column => {
+                if (row <= column.coveredUntil) return;
+
+                const slotStart = new Date(column.day);
+                slotStart.setMinutes(minutes);
+                const slotEnd = new Date(slotStart.getTime() + slotMinutes * 60000);
+                const dayStartClass = column.firstOfDay ? 'day-start' : '';
+
+                const appointment = column.appointments.find(appt => {
+                    const start = new Date(appt.start);
+                    return start >= slotStart && start < slotEnd;
+                });
+
+                if (appointment) {
+                    const duration = (new Date(appointment.end) - new Date(appointment.start)) / 60000;
+                    const span = Math.max(1, Math.min(Math.ceil(duration / slotMinutes), rowsPerDay - row));
+                    column.coveredUntil = row + span - 1;
+                    html += `<td rowspan="${span}" class="calendar-cell ${dayStartClass}">
+                        ${this.createAppointmentHTML(appointment, column.color)}
+                    </td>`;
+                    return;
+                }
+
+                const isWorking = column.workingRanges.some(range => range.start <= slotStart && slotEnd <= range.end);
+                const isPast = slotStart < new Date();
+                const canBook = isWorking && !isPast && this.canBook();
+                html += `<td class="calendar-cell ${isWorking ? 'working' : 'off'} ${canBook ? 'bookable' : ''} ${dayStartClass}"
+                    ${canBook ? `onclick="calendarController.openSlot(${column.provider.id}, '${slotStart.toISOString()}')"` : ''}
+                    title="${canBook ? 'Click to book' : ''}"></td>`;
+            });
+
+            html += '</tr>';
+        }
+
+        html += '</tbody></table>';
+        return html;
+    }
+
+    /**
+     * Hours the time grid spans: the configured day, stretched so no appointment
+     * starting or ending outside it is left off the grid
+     */
+    getGridHours(columns) {
+        let startHour = this.options.dayStartHour;
+        let endHour = this.options.dayEndHour;
+
+        columns.forEach(column => {
+            column.appointments.forEach(appt => {
+                const start = (new Date(appt.start) - column.day) / 60000;
+                const end = Math.min((new Date(appt.end) - column.day) / 60000, 24 * 60);
+                startHour = Math.min(startHour, Math.floor(start / 60));
+                endHour = Math.max(endHour, Math.ceil(end / 60));
+            });
+        });
+
+        return { startHour, endHour };
+    }
+
+    /**
+     * Month view - appointments listed per day for all selected providers
+     */
+    createMonthHTML(providers) {
+        const firstOfMonth = new Date(this.currentDate.getFullYear(), this.currentDate.getMonth(), 1);
+        const gridStart = this.getWeekDays(firstOfMonth)[0];
+        const providerIds = providers.map(provider => provider.id);
+        const todayKey = this.toDateKey(new Date());
+
+        let html = '<div class="calendar-month">';
+        this.getWeekDays(gridStart).forEach(day => {
+            html += `<div class="calendar-month-weekday">${day.toLocaleDateString(undefined, { weekday: 'short' })}</div>`;
+        });
+
+        for (let i = 0; i < 42; i++) {
+            const day = this.addDays(gridStart, i);
+            const dateKey = this.toDateKey(day);
+            const outside = day.getMonth() !== firstOfMonth.getMonth();
+
+            const appointments = providerIds
+                .flatMap(id => this.appointmentService.getAppointmentsForProvider(id, day, this.addDays(day, 1)))
+                .filter(appt => appt.status === 'scheduled')
+                .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+            html += `
+                <div class="calendar-month-day ${outside ? 'outside' : ''} ${dateKey === todayKey ? 'today' : ''}"
+                    onclick="calendarController.openDay('${dateKey}')">
+                    <div class="calendar-month-date">${day.getDate()}</div>
+                    ${appointments.map(appt => this.createAppointmentHTML(appt, this.getProviderColor(appt.providerId), true)).join('')}
+                </div>
+            `;
+        }
+
+        html += '</div>';
+        return html;
+    }
+
+    createAppointmentHTML(appointment, color, compact = false) {
+        // Past appointments still show users who have since been moved to the trash
+        const client = this.userService.getUserById(appointment.clientId, true);
+        const clientName = this.getDisplayName(client, 'Unknown client');
+        const time = new Date(appointment.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        return `
+            <div class="calendar-entry ${compact ? 'compact' : ''}" style="border-left-color: ${color}"
+                onclick="event.stopPropagation(); calendarController.openAppointment(${appointment.id})">
+                <strong>${time}</strong> ${escapeHtml(clientName)}
+            </div>
+        `;
+    }
+
+    /**
+     * Dialogs - booking an empty slot and opening an existing entry
+     */
+    openSlot(providerId, start) {
+        if (!this.canBook()) return;
+
+        const provider = this.userService.getUserById(providerId);
+        const clients = this.userService.getUsersByType('client').filter(client => client.status === 'active');
+        const startDate = new Date(start);
+
+        this.showDialog(`
+            <h3>New Appointment</h3>
+            <p><strong>Provider:</strong> ${escapeHtml(`${provider.firstName} ${provider.lastName}`)}</p>
+            <p><strong>When:</strong> ${startDate.toLocaleString()}</p>
+            <form id="calendarBookingForm">
+                <div class="form-group">
+                    <label for="bookingClient">Client</label>
+                    <select id="bookingClient" name="clientId" required>
+                        <option value="">Select client</option>
+                        ${clients.map(client => `
+                            <option value="${client.id}">${escapeHtml(`${client.firstName} ${client.lastName}`)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="bookingDuration">Duration</label>
+                    <select id="bookingDuration" name="duration">
+                        ${[15, 30, 45, 60, 90].map(minutes => `
+                            <option value="${minutes}" ${minutes === this.options.slotMinutes ? 'selected' : ''}>${minutes} minutes</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="bookingNotes">Notes</label>
+                    <input type="text" id="bookingNotes" name="notes">
+                </div>
+                <p class="calendar-dialog-error" id="calendarDialogError"></p>
+                <button type="submit" class="btn">Book Appointment</button>
+                <button type="button" class="btn btn-danger" style="margin-top: 0.5rem;" onclick="calendarController.closeDialog()">Close</button>
+            </form>
+        `);
+
+        document.getElementById('calendarBookingForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = Object.fromEntries(new FormData(e.target));
+            const result = await this.appointmentService.createAppointment({
+                ...formData,
+                providerId,
+                start
+            });
+            this.handleDialogResult(result);
+        });
+    }
+
+    openAppointment(id) {
+        const appointment = this.appointmentService.getAppointmentById(id);
+        if (!appointment) return;
+
+        const client = this.userService.getUserById(appointment.clientId, true);
+        const provider = this.userService.getUserById(appointment.providerId, true);
+        const canViewClient = Boolean(client) && this.userService.can('view', client);
+        const isScheduled = appointment.status === 'scheduled';
+        const canManage = isScheduled && this.canManage(appointment);
+
+        this.showDialog(`
+            <h3>Appointment</h3>
+            <p><strong>Client:</strong> ${escapeHtml(this.getDisplayName(client, 'Unknown'))}</p>
+            <p><strong>Provider:</strong> ${escapeHtml(this.getDisplayName(provider, 'Unknown'))}</p>
+            <p><strong>Starts:</strong> ${new Date(appointment.start).toLocaleString()}</p>
+            <p><strong>Ends:</strong> ${new Date(appointment.end).toLocaleString()}</p>
+            <p><strong>Status:</strong> ${appointment.status}</p>
+            ${appointment.notes && canViewClient ? `<p><strong>Notes:</strong> ${escapeHtml(appointment.notes)}</p>` : ''}
+            ${canManage ? `
+                <form id="calendarRescheduleForm">
+                    <div class="form-group">
+                        <label for="rescheduleStart">Reschedule to</label>
+                        <input type="datetime-local" id="rescheduleStart" name="start"
+                            value="${this.toLocalInputValue(new Date(appointment.start))}" required>
+                    </div>
+                    <p class="calendar-dialog-error" id="calendarDialogError"></p>
+                    <button type="submit" class="btn">Reschedule</button>
+                    <button type="button" class="btn btn-danger" style="margin-top: 0.5rem;"
+                        onclick="calendarController.cancelAppointment(${appointment.id})">Cancel Appointment</button>
+                </form>
+            ` : ''}
+            <button type="button" class="btn" style="margin-top: 0.5rem;" onclick="calendarController.closeDialog()">Close</button>
+        `);
+
+        if (canManage) {
+            document.getElementById('calendarRescheduleForm').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const start = new Date(e.target.start.value);
+                const duration = new Date(appointment.end) - new Date(appointment.start);
+                const result = await this.appointmentService.rescheduleAppointment(appointment.id, {
+                    start: start.toISOString(),
+                    end: new Date(start.getTime() + duration).toISOString()
+                });
+                this.handleDialogResult(result);
+            });
+        }
+    }
+
+    async cancelAppointment(id) {
+        const appointment = this.appointmentService.getAppointmentById(id);
+        if (!appointment || !this.canManage(appointment)) return;
+        if (!confirm('Are you sure you want to cancel this appointment?')) return;
+
+        const result = await this.appointmentService.cancelAppointment(id, 'Cancelled from calendar');
+        this.handleDialogResult(result);
+    }
+
+    handleDialogResult(result) {
+        if (result.success) {
+            this.closeDialog();
+            return;
+        }
+
+        const errorElement = document.getElementById('calendarDialogError');
+        if (errorElement) {
+            errorElement.textContent = result.error;
+        }
+    }
+
+    showDialog(html) {
+        this.elements.calendarDialog.innerHTML = `<div class="calendar-dialog-content">${html}</div>`;
+        this.elements.calendarDialog.style.display = 'flex';
+    }
+
+    closeDialog() {
+        this.elements.calendarDialog.style.display = 'none';
+        this.elements.calendarDialog.innerHTML = '';
+    }
+
+    /**
+     * Permissions - booking can be limited (e.g. to admins) via options.canBook, rescheduling
+     * and cancelling via options.canManage; names follow what the user may view
+     */
+    canBook() {
+        return typeof this.options.canBook === 'function' ? this.options.canBook() : true;
+    }
+
+    canManage(appointment) {
+        return typeof this.options.canManage === 'function' ? this.options.canManage(appointment) : true;
+    }
+
+    getDisplayName(user, fallback) {
+        if (!user) return fallback;
+        return this.userService.can('view', user) ? `${user.firstName} ${user.lastName}` : 'Booked';
+    }
+
+    /**
+     * Utility methods
+     */
+    getWeekDays(date) {
+        // Weeks start on Monday
+        const start = this.startOfDay(date);
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        return Array.from({ length: 7 }, (_, i) => this.addDays(start, i));
+    }
+
+    getProviderColor(providerId) {
+        const palette = ['#3498db', '#27ae60', '#9b59b6', '#e67e22', '#e74c3c', '#16a085', '#34495e'];
+        return palette[(parseInt(providerId) - 1) % palette.length];
+    }
+
+    startOfDay(date) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return day;
+    }
+
+    addDays(date, days) {
+        const next = new Date(date);
+        next.setDate(next.getDate() + days);
+        return next;
+    }
+
+    toDateKey(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    toLocalInputValue(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${this.toDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    formatMinutes(totalMinutes) {
+        const date = new Date();
+        date.setHours(Math.floor(totalMinutes / 60), totalMinutes % 60, 0, 0);
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarController;
+} else {
+    window.CalendarController = CalendarController;
+}
\ No newline at end of file
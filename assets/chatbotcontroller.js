@@ -0,0 +1,139 @@
+/**
+ * ChatbotController - Handles the assistant chat widget
+ * Communicates with ChatbotService for all conversation logic
+ */
+class ChatbotController {
+    constructor(chatbotService, options = {}) {
+        this.chatbotService = chatbotService;
+        this.options = options; // e.g. { getContext: () => ({ userId }) }
+        this.conversationId = null;
+        this.elements = {};
+        this.init();
+    }
+
+    /**
+     * Initialize controller
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+    }
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            toggleBtn: document.getElementById('chatbotToggle'),
+            panel: document.getElementById('chatbotPanel'),
+            closeBtn: document.getElementById('chatbotClose'),
+            messages: document.getElementById('chatbotMessages'),
+            options: document.getElementById('chatbotOptions'),
+            form: document.getElementById('chatbotForm'),
+            input: document.getElementById('chatbotInput')
+        };
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.toggleBtn.addEventListener('click', () => this.toggle());
+        this.elements.closeBtn.addEventListener('click', () => this.close());
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.send(this.elements.input.value);
+        });
+
+        // Quick-reply buttons
+        this.elements.options.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-option]');
+            if (button) {
+                this.send(button.dataset.option);
+            }
+        });
+    }
+
+    /**
+     * Widget state
+     */
+    toggle() {
+        if (this.elements.panel.classList.contains('open')) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.elements.panel.classList.add('open');
+
+        if (!this.conversationId) {
+            const context = this.options.getContext ? this.options.getContext() : {};
+            const reply = this.chatbotService.startConversation(context);
+            this.conversationId = reply.conversationId;
+            this.renderReply(reply);
+        }
+
+        this.elements.input.focus();
+    }
+
+    close() {
+        this.elements.panel.classList.remove('open');
+    }
+
+    reset() {
+        if (this.conversationId) {
+            this.chatbotService.endConversation(this.conversationId);
+        }
+        this.conversationId = null;
+        this.elements.messages.innerHTML = '';
+        this.elements.options.innerHTML = '';
+    }
+
+    /**
+     * Conversation
+     */
+    async send(text) {
+        const message = text.trim();
+        if (!message || !this.conversationId) return;
+
+        this.elements.input.value = '';
+        this.appendMessage(message, 'user');
+        this.elements.options.innerHTML = '';
+
+        const result = await this.chatbotService.sendMessage(this.conversationId, message);
+        if (result.success) {
+            this.renderReply(result.data);
+        } else {
+            this.appendMessage(result.error, 'bot');
+        }
+    }
+
+    /**
+     * Rendering methods
+     */
+    renderReply(reply) {
+        this.appendMessage(reply.text, 'bot');
+        this.elements.options.innerHTML = reply.options.map(option => `
+            <button type="button" class="chatbot-option" data-option="${escapeHtml(option)}">
+                ${escapeHtml(option)}
+            </button>
+        `).join('');
+    }
+
+    appendMessage(text, from) {
+        const bubble = document.createElement('div');
+        bubble.className = `chatbot-message chatbot-message-${from}`;
+        bubble.textContent = text; // Preserves line breaks via CSS, no HTML injection
+        this.elements.messages.appendChild(bubble);
+        this.elements.messages.scrollTop = this.elements.messages.scrollHeight;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatbotController;
+} else {
+    window.ChatbotController = ChatbotController;
+}
\ No newline at end of file
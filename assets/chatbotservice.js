@@ -0,0 +1,470 @@
+/**
+ * ChatbotService - Rule/intent based assistant for self-service booking
+ * Runs fully offline on top of the user, appointment and availability services
+ * No DOM manipulation or UI concerns
+ */
+class ChatbotService {
+    constructor(userService, appointmentService, availabilityService, options = {}) {
+        this.userService = userService;
+        this.appointmentService = appointmentService;
+        this.availabilityService = availabilityService;
+        this.options = {
+            appointmentDuration: 30, // Minutes
+            searchDays: 14,
+            maxOptions: 5,
+            now: () => new Date(),
+            ...options
+        };
+        this.conversations = {};
+        this.nextConversationId = 1;
+        this.observers = []; // For notifying UI of changes
+
+        // Checked in order, first match wins
+        this.intents = [
+            { name: 'cancel', patterns: [/^(cancel|stop|quit|never ?mind|start over|reset)\b/] },
+            { name: 'greeting', patterns: [/^(hi|hello|hey|good (morning|afternoon|evening))\b/] },
+            { name: 'help', patterns: [/\bhelp\b/, /what can you do/] },
+            { name: 'lookupUser', patterns: [/^(find|look ?up|search( for)?|who is)\s+(.+)/] },
+            { name: 'book', patterns: [/\b(book|schedule|appointment|reserve)\b/] },
+            { name: 'listProviders', patterns: [/\bproviders?\b/, /\bwho (can|do) (i|you) see\b/] }
+        ];
+    }
+
+    /**
+     * Observer pattern - allows UI components to listen for changes
+     */
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    unsubscribe(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    notify(event, data) {
+        this.observers.forEach(callback => callback(event, data));
+    }
+
+    /**
+     * Conversation lifecycle
+     */
+    startConversation(context = {}) {
+        const conversation = {
+            id: this.nextConversationId++,
+            context, // e.g. { userId } when the person chatting is known
+            flow: null,
+            step: null,
+            slots: {},
+            choices: [],
+            history: []
+        };
+
+        this.conversations[conversation.id] = conversation;
+        const reply = this.createReply(conversation,
+            'Hi! I can list our providers, look up a user, or book an appointment. What would you like to do?',
+            ['Who are the providers?', 'Book an appointment', 'Help']
+        );
+
+        this.notify('conversationStarted', conversation);
+        return reply;
+    }
+
+    getConversation(conversationId) {
+        return this.conversations[conversationId] || null;
+    }
+
+    endConversation(conversationId) {
+        delete this.conversations[conversationId];
+    }
+
+    /**
+     * Core business logic - handle one user message and produce a reply
+     * Resolves to { success, data: { conversationId, text, options, step, done } }
+     */
+    async sendMessage(conversationId, message) {
+        const conversation = this.getConversation(conversationId);
+        if (!conversation) {
+            return { success: false, error: 'Conversation not found' };
+        }
+
+        const text = String(message || '').trim();
+        conversation.history.push({ from: 'user', text, at: this.options.now().toISOString() });
+
+        const intent = this.detectIntent(text);
+        let reply;
+
+        if (intent && intent.name === 'cancel') {
+            reply = this.handleCancel(conversation);
+        } else if (conversation.flow === 'booking') {
+            reply = await this.handleBookingStep(conversation, text);
+        } else if (!intent) {
+            reply = this.createReply(conversation,
+                "Sorry, I didn't understand that. You can ask me who the providers are, look someone up, or book an appointment.",
+                ['Who are the providers?', 'Book an appointment']
+            );
+        } else {
+            reply = await this.handleIntent(conversation, intent, text);
+        }
+
+        this.notify('messageHandled', { conversation, reply });
+        return { success: true, data: reply };
+    }
+
+    /**
+     * Intent detection - pure keyword/regex rules
+     */
+    detectIntent(text) {
+        const normalized = text.toLowerCase().trim();
+        for (const intent of this.intents) {
+            for (const pattern of intent.patterns) {
+                const match = normalized.match(pattern);
+                if (match) {
+                    return { name: intent.name, match };
+                }
+            }
+        }
+        return null;
+    }
+
+    async handleIntent(conversation, intent, text) {
+        switch (intent.name) {
+            case 'greeting':
+                return this.createReply(conversation, 'Hello! How can I help you today?',
+                    ['Who are the providers?', 'Book an appointment']);
+            case 'help':
+                return this.createReply(conversation,
+                    'Try "who are the providers?", "find john@example.com", or "book an appointment". Say "cancel" at any time to start over.');
+            case 'listProviders':
+                return this.handleListProviders(conversation);
+            case 'lookupUser':
+                // Use the original casing for the search term
+                return this.handleLookupUser(conversation, text.replace(/^(find|look ?up|search( for)?|who is)\s+/i, ''));
+            case 'book':
+                return this.startBooking(conversation);
+            default:
+                return this.createReply(conversation, "Sorry, I can't help with that yet.");
+        }
+    }
+
+    handleCancel(conversation) {
+        const wasBooking = conversation.flow === 'booking';
+        this.resetFlow(conversation);
+        return this.createReply(conversation,
+            wasBooking ? "Okay, I've cancelled that booking. Anything else?" : 'Okay. Anything else I can help with?',
+            ['Who are the providers?', 'Book an appointment']
+        );
+    }
+
+    handleListProviders(conversation) {
+        const providers = this.getActiveProviders();
+        if (providers.length === 0) {
+            return this.createReply(conversation, 'There are no providers available right now.');
+        }
+
+        const lines = providers.map(provider => `• ${this.describeProvider(provider)}`);
+        return this.createReply(conversation,
+            `We have ${providers.length} provider${providers.length === 1 ? '' : 's'}:\n${lines.join('\n')}`,
+            ['Book an appointment']
+        );
+    }
+
+    handleLookupUser(conversation, query) {
+        const matches = this.userService.searchUsers(query.trim());
+        if (!query.trim() || matches.length === 0) {
+            return this.createReply(conversation, `I couldn't find anyone matching "${query.trim()}".`);
+        }
+
+        const shown = matches.slice(0, this.options.maxOptions);
+        const lines = shown.map(user =>
+            `• ${user.firstName} ${user.lastName} (${user.userType}, ${user.status}) – ${user.email}`
+        );
+        const more = matches.length > shown.length ? `\n…and ${matches.length - shown.length} more.` : '';
+
+        return this.createReply(conversation, `I found:\n${lines.join('\n')}${more}`);
+    }
+
+    /**
+     * Booking flow - slot filling over several turns:
+     * client → providerType → provider → time → confirm
+     */
+    startBooking(conversation) {
+        conversation.flow = 'booking';
+        conversation.slots = {};
+
+        const knownUser = conversation.context.userId ?
+            this.userService.getUserById(conversation.context.userId) : null;
+        if (knownUser && knownUser.userType === 'client') {
+            conversation.slots.clientId = knownUser.id;
+        }
+
+        return this.advanceBooking(conversation);
+    }
+
+    async handleBookingStep(conversation, text) {
+        switch (conversation.step) {
+            case 'client':
+                return this.fillClient(conversation, text);
+            case 'providerType':
+                return this.fillProviderType(conversation, text);
+            case 'provider':
+                return this.fillProvider(conversation, text);
+            case 'time':
+                return this.fillTime(conversation, text);
+            case 'confirm':
+                return this.confirmBooking(conversation, text);
+            default:
+                return this.advanceBooking(conversation);
+        }
+    }
+
+    /**
+     * Ask for the next missing slot
+     */
+    advanceBooking(conversation) {
+        const { slots } = conversation;
+
+        if (!slots.clientId) {
+            conversation.step = 'client';
+            return this.createReply(conversation, 'Who is the appointment for? Please give the client name or email.');
+        }
+
+        if (slots.providerType === undefined) {
+            const types = this.getProviderTypes();
+            if (types.length < 2) {
+                slots.providerType = null; // Nothing to choose between
+            } else {
+                conversation.step = 'providerType';
+                conversation.choices = types.map(type => ({ label: type, value: type }));
+                return this.createReply(conversation, 'What kind of provider do you need?', this.getChoiceLabels(conversation));
+            }
+        }
+
+        if (!slots.providerId) {
+            const providers = this.getActiveProviders(slots.providerType);
+            if (providers.length === 0) {
+                this.resetFlow(conversation);
+                return this.createReply(conversation, 'Sorry, there are no providers available to book right now.');
+            }
+            if (providers.length === 1) {
+                slots.providerId = providers[0].id;
+            } else {
+                conversation.step = 'provider';
+                conversation.choices = providers.map(provider => ({
+                    label: this.describeProvider(provider),
+                    value: provider.id
+                }));
+                return this.createReply(conversation, 'Which provider would you like to see?', this.getChoiceLabels(conversation));
+            }
+        }
+
+        if (!slots.start) {
+            const openSlots = this.findOpenSlots(slots.providerId);
+            if (openSlots.length === 0) {
+                this.resetFlow(conversation);
+                return this.createReply(conversation,
+                    `Sorry, ${this.getProviderName(slots.providerId)} has no open times in the next ${this.options.searchDays} days.`);
+            }
+
+            conversation.step = 'time';
+            conversation.choices = openSlots.map(slot => ({ label: this.formatSlot(slot), value: slot.start }));
+            return this.createReply(conversation,
+                `Here are the next open times with ${this.getProviderName(slots.providerId)}. Which works for you?`,
+                this.getChoiceLabels(conversation)
+            );
+        }
+
+        conversation.step = 'confirm';
+        const client = this.userService.getUserById(slots.clientId);
+        return this.createReply(conversation,
+            `Book ${client.firstName} ${client.lastName} with ${this.getProviderName(slots.providerId)} on ${this.formatSlot({ start: slots.start })}?`,
+            ['Yes', 'No']
+        );
+    }
+
+    fillClient(conversation, text) {
+        const clients = this.userService.searchUsers(text)
+            .filter(user => user.userType === 'client' && user.status === 'active');
+
+        const choice = this.matchChoice(conversation, text);
+        if (choice !== null) {
+            conversation.slots.clientId = choice;
+        } else if (clients.length === 1) {
+            conversation.slots.clientId = clients[0].id;
+        } else if (clients.length > 1) {
+            conversation.choices = clients.slice(0, this.options.maxOptions).map(user => ({
+                label: `${user.firstName} ${user.lastName} (${user.email})`,
+                value: user.id
+            }));
+            return this.createReply(conversation, 'I found several clients. Which one?', this.getChoiceLabels(conversation));
+        } else {
+            return this.createReply(conversation, `I couldn't find a client matching "${text}". Please try a name or email.`);
+        }
+
+        conversation.choices = [];
+        return this.advanceBooking(conversation);
+    }
+
+    fillProviderType(conversation, text) {
+        const choice = this.matchChoice(conversation, text);
+        if (choice === null) {
+            return this.createReply(conversation, 'Please pick one of the provider types.', this.getChoiceLabels(conversation));
+        }
+
+        conversation.slots.providerType = choice;
+        conversation.choices = [];
+        return this.advanceBooking(conversation);
+    }
+
+    fillProvider(conversation, text) {
+        const choice = this.matchChoice(conversation, text);
+        if (choice === null) {
+            return this.createReply(conversation, 'Please pick one of the providers listed.', this.getChoiceLabels(conversation));
+        }
+
+        conversation.slots.providerId = choice;
+        conversation.choices = [];
+        return this.advanceBooking(conversation);
+    }
+
+    fillTime(conversation, text) {
+        const choice = this.matchChoice(conversation, text);
+        if (choice === null) {
+            return this.createReply(conversation, 'Please pick one of the times listed.', this.getChoiceLabels(conversation));
+        }
+
+        conversation.slots.start = choice;
+        conversation.choices = [];
+        return this.advanceBooking(conversation);
+    }
+
+    async confirmBooking(conversation, text) {
+        const answer = text.toLowerCase();
+
+        if (/^(n|no|nope)\b/.test(answer)) {
+            this.resetFlow(conversation);
+            return this.createReply(conversation, "No problem, I haven't booked anything.", ['Book an appointment']);
+        }
+
+        if (!/^(y|yes|yep|sure|ok|okay|confirm)\b/.test(answer)) {
+            return this.createReply(conversation, 'Please answer yes or no.', ['Yes', 'No']);
+        }
+
+        const { clientId, providerId, start } = conversation.slots;
+        const result = await this.appointmentService.createAppointment({
+            clientId,
+            providerId,
+            start,
+            duration: this.options.appointmentDuration,
+            notes: 'Booked via assistant'
+        });
+
+        if (!result.success) {
+            // Most likely the slot was taken meanwhile - offer fresh times
+            delete conversation.slots.start;
+            const reply = this.advanceBooking(conversation);
+            reply.text = `Sorry, I couldn't book that: ${result.error}. ${reply.text}`;
+            return reply;
+        }
+
+        this.resetFlow(conversation);
+        const reply = this.createReply(conversation,
+            `You're booked! See you on ${this.formatSlot(result.data)}.`,
+            ['Book another appointment']
+        );
+        reply.appointment = result.data;
+        reply.done = true;
+        return reply;
+    }
+
+    /**
+     * Query helpers
+     */
+    getActiveProviders(providerType = null) {
+        return this.userService.getUsersByType('provider')
+            .filter(provider => provider.status === 'active')
+            .filter(provider => !providerType || (provider.specialty || '').toLowerCase() === providerType.toLowerCase());
+    }
+
+    getProviderTypes() {
+        const types = this.getActiveProviders()
+            .map(provider => provider.specialty)
+            .filter(Boolean);
+        return [...new Set(types)];
+    }
+
+    findOpenSlots(providerId) {
+        const now = this.options.now();
+        const until = new Date(now);
+        until.setDate(until.getDate() + this.options.searchDays);
+
+        const result = this.availabilityService
+            .getAvailableSlots(providerId, now, until, this.options.appointmentDuration, { notBefore: now });
+        return result.success ? result.data.slice(0, this.options.maxOptions) : [];
+    }
+
+    /**
+     * Match a reply against the offered choices by number or label text
+     * Returns the choice value or null
+     */
+    matchChoice(conversation, text) {
+        const choices = conversation.choices || [];
+        const normalized = text.toLowerCase().trim();
+        if (!normalized || choices.length === 0) return null;
+
+        const number = parseInt(normalized.replace(/^#/, ''));
+        if (!isNaN(number) && String(number) === normalized.replace(/^#/, '') && choices[number - 1]) {
+            return choices[number - 1].value;
+        }
+
+        const exact = choices.find(choice => choice.label.toLowerCase() === normalized);
+        if (exact) return exact.value;
+
+        const partial = choices.filter(choice => choice.label.toLowerCase().includes(normalized));
+        return partial.length === 1 ? partial[0].value : null;
+    }
+
+    getChoiceLabels(conversation) {
+        return conversation.choices.map(choice => choice.label);
+    }
+
+    describeProvider(provider) {
+        const name = `${provider.firstName} ${provider.lastName}`;
+        return provider.specialty ? `${name} (${provider.specialty})` : name;
+    }
+
+    getProviderName(providerId) {
+        const provider = this.userService.getUserById(providerId);
+        return provider ? `${provider.firstName} ${provider.lastName}` : 'the provider';
+    }
+
+    formatSlot(slot) {
+        return new Date(slot.start).toLocaleString([], {
+            weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    resetFlow(conversation) {
+        conversation.flow = null;
+        conversation.step = null;
+        conversation.slots = {};
+        conversation.choices = [];
+    }
+
+    createReply(conversation, text, options = []) {
+        conversation.history.push({ from: 'bot', text, at: this.options.now().toISOString() });
+        return {
+            conversationId: conversation.id,
+            text,
+            options,
+            step: conversation.step,
+            done: false
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatbotService;
+} else {
+    window.ChatbotService = ChatbotService;
+}
\ No newline at end of file
@@ -0,0 +1,422 @@
+/**
+ * ContactService - Pure business logic for address book interoperability
+ * Exports users as vCard 3.0/4.0 or Google/Outlook contact CSV and imports
+ * them back. The TalentKit user type and id travel in custom properties so
+ * importing the same contacts again updates users instead of duplicating them
+ * No DOM manipulation or UI concerns
+ */
+class ContactService {
+    constructor(userService, importService) {
+        this.userService = userService;
+        this.importService = importService; // CSV parsing and writing
+        this.observers = []; // For notifying UI of changes
+
+        this.typeProperty = 'X-TALENTKIT-TYPE';
+        this.uidPrefix = 'urn:talentkit:user:';
+
+        // Contact CSV layouts as written by Google Contacts and Outlook
+        this.csvLayouts = {
+            google: {
+                headers: ['Name', 'Given Name', 'Family Name', 'E-mail 1 - Type', 'E-mail 1 - Value',
+                    'Phone 1 - Type', 'Phone 1 - Value', 'Group Membership',
+                    'Custom Field 1 - Type', 'Custom Field 1 - Value', 'Custom Field 2 - Type', 'Custom Field 2 - Value'],
+                // Newer Google exports use different names for the same columns
+                aliases: {
+                    firstName: ['Given Name', 'First Name'],
+                    lastName: ['Family Name', 'Last Name'],
+                    email: ['E-mail 1 - Value'],
+                    phone: ['Phone 1 - Value'],
+                    groups: ['Group Membership', 'Labels']
+                }
+            },
+            outlook: {
+                headers: ['First Name', 'Last Name', 'E-mail Address', 'Mobile Phone', 'Categories', 'User 1', 'User 2'],
+                aliases: {
+                    firstName: ['First Name'],
+                    lastName: ['Last Name'],
+                    email: ['E-mail Address'],
+                    phone: ['Mobile Phone', 'Business Phone', 'Home Phone', 'Primary Phone'],
+                    groups: ['Categories']
+                }
+            }
+        };
+    }
+
+    /**
+     * Observer pattern - allows UI components to listen for changes
+     */
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    unsubscribe(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    notify(event, data) {
+        this.observers.forEach(callback => callback(event, data));
+    }
+
+    /**
+     * Export
+     * format: 'vcard3' | 'vcard4' | 'google' | 'outlook'
+     * Returns { fileName, mimeType, contents }
+     */
+    exportContacts(users, format) {
+        const date = new Date().toISOString().slice(0, 10);
+
+        switch (format) {
+            case 'vcard3':
+            case 'vcard4':
+                return {
+                    fileName: `talentkit-contacts-${date}.vcf`,
+                    mimeType: 'text/vcard;charset=utf-8',
+                    contents: users.map(user => this.toVCard(user, format === 'vcard4' ? '4.0' : '3.0')).join('')
+                };
+            case 'google':
+            case 'outlook':
+                return {
+                    fileName: `talentkit-contacts-${format}-${date}.csv`,
+                    mimeType: 'text/csv;charset=utf-8',
+                    contents: this.toContactCsv(users, format)
+                };
+            default:
+                throw new Error(`Unknown contact format: ${format}`);
+        }
+    }
+
+    toVCard(user, version = '3.0') {
+        const isV4 = version === '4.0';
+        const lines = [
+            'BEGIN:VCARD',
+            `VERSION:${version}`,
+            `N:${this.escapeValue(user.lastName)};${this.escapeValue(user.firstName)};;;`,
+            `FN:${this.escapeValue(`${user.firstName} ${user.lastName}`)}`,
+            isV4 ? `EMAIL;TYPE=work:${this.escapeValue(user.email)}` : `EMAIL;TYPE=INTERNET:${this.escapeValue(user.email)}`,
+            isV4 && user.phoneE164 ? `TEL;VALUE=uri;TYPE=cell:tel:${user.phoneE164}` :
+                isV4 ? `TEL;VALUE=text;TYPE=cell:${this.escapeValue(user.phone)}` : `TEL;TYPE=CELL:${this.escapeValue(user.phone)}`,
+            `CATEGORIES:TalentKit,${this.escapeValue(this.formatType(user.userType))}`,
+            `UID:${this.uidPrefix}${user.id}`,
+            `${this.typeProperty}:${user.userType}`,
+            `REV:${this.toVCardTimestamp(user.lastModified || user.createdAt)}`,
+            'END:VCARD'
+        ];
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    toContactCsv(users, flavor) {
+        const rows = users.map(user => {
+            const type = this.formatType(user.userType);
+            if (flavor === 'google') {
+                return [
+                    `${user.firstName} ${user.lastName}`, user.firstName, user.lastName,
+                    '* Work', user.email, 'Mobile', user.phone,
+                    `TalentKit ::: ${type} ::: * myContacts`,
+                    'TalentKit type', user.userType, 'TalentKit id', user.id
+                ];
+            }
+            return [
+                user.firstName, user.lastName, user.email, user.phone,
+                `TalentKit;${type}`, `TalentKit type: ${user.userType}`, `TalentKit id: ${user.id}`
+            ];
+        });
+
+        return this.importService.toCsv(this.csvLayouts[flavor].headers, rows);
+    }
+
+    /**
+     * Import
+     * Returns { format, contacts: [{ data, id }] } where id is the TalentKit id, if known
+     */
+    parseContacts(text, fileName = '') {
+        const format = this.detectFormat(text, fileName);
+        if (!format) {
+            throw new Error('Not a vCard file or a Google/Outlook contacts CSV');
+        }
+
+        return {
+            format,
+            contacts: format === 'vcard' ? this.parseVCards(text) : this.parseContactCsv(text, format)
+        };
+    }
+
+    detectFormat(text, fileName = '') {
+        const content = String(text || '').replace(/^\uFEFF/, '').trim();
+        if (/\.vcf$/i.test(fileName) || /^BEGIN:VCARD/i.test(content)) {
+            return 'vcard';
+        }
+
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        if (/E-mail 1 - Value/.test(firstLine)) return 'google';
+        if (/E-mail Address/.test(firstLine)) return 'outlook';
+        return null;
+    }
+
+    parseVCards(text) {
+        // Unfold continuation lines (CRLF followed by a space or tab)
+        const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const contacts = [];
+        let card = null;
+
+        lines.forEach(line => {
+            const property = this.parseProperty(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+                card = [];
+            } else if (property.name === 'END' && property.value.toUpperCase() === 'VCARD') {
+                if (card) contacts.push(this.contactFromVCard(card));
+                card = null;
+            } else if (card) {
+                card.push(property);
+            }
+        });
+
+        return contacts;
+    }
+
+    parseProperty(line) {
+        const colon = this.findUnquoted(line, ':');
+        if (colon === -1) return null;
+
+        // item1.EMAIL;TYPE=work -> name EMAIL, params { TYPE: ['work'] }
+        const [nameWithGroup, ...paramParts] = line.slice(0, colon).split(';');
+        const name = nameWithGroup.split('.').pop().toUpperCase();
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, value = ''] = part.split('=');
+            const values = value.replace(/"/g, '').split(',').map(item => item.toLowerCase());
+            // vCard 2.1 style bare parameters (TEL;CELL) are types
+            const paramName = value ? key.toUpperCase() : 'TYPE';
+            params[paramName] = (params[paramName] || []).concat(value ? values : [key.toLowerCase()]);
+        });
+
+        return { name, params, value: line.slice(colon + 1) };
+    }
+
+    contactFromVCard(properties) {
+        const first = (name) => properties.find(property => property.name === name);
+        const preferred = (name, types) => {
+            const matches = properties.filter(property => property.name === name);
+            return matches.find(property => (property.params.TYPE || []).some(type => types.includes(type))) || matches[0];
+        };
+
+        const data = {};
+        const n = first('N');
+        if (n) {
+            const [lastName = '', firstName = ''] = this.splitStructured(n.value);
+            data.firstName = firstName;
+            data.lastName = lastName;
+        }
+        if (!data.firstName && !data.lastName && first('FN')) {
+            const parts = this.unescapeValue(first('FN').value).trim().split(/\s+/);
+            data.lastName = parts.length > 1 ? parts.pop() : '';
+            data.firstName = parts.join(' ');
+        }
+
+        const email = preferred('EMAIL', ['pref', 'work', 'internet']);
+        if (email) data.email = this.unescapeValue(email.value).trim();
+
+        const tel = preferred('TEL', ['pref', 'cell', 'mobile']);
+        if (tel) data.phone = this.unescapeValue(tel.value).replace(/^tel:/i, '').trim();
+
+        const type = first(this.typeProperty);
+        if (type) data.userType = this.unescapeValue(type.value).trim().toLowerCase();
+
+        const uid = first('UID');
+        return { data, id: uid ? this.idFromUid(this.unescapeValue(uid.value)) : null };
+    }
+
+    parseContactCsv(text, flavor) {
+        const { headers, rows } = this.importService.parseCsv(text);
+        const aliases = this.csvLayouts[flavor].aliases;
+        const column = (field) => aliases[field].map(alias => headers.indexOf(alias)).find(index => index !== -1);
+        const valueOf = (row, field) => {
+            const index = column(field);
+            return index === undefined ? '' : (row[index] || '').trim();
+        };
+
+        // Custom values are "TalentKit type" / "TalentKit id" pairs (Google) or "TalentKit type: x" (Outlook)
+        const customValue = (row, label) => {
+            for (let i = 1; headers.includes(`Custom Field ${i} - Value`); i++) {
+                const typeIndex = headers.indexOf(`Custom Field ${i} - Type`) !== -1 ?
+                    headers.indexOf(`Custom Field ${i} - Type`) : headers.indexOf(`Custom Field ${i} - Label`);
+                if ((row[typeIndex] || '').trim().toLowerCase() === label.toLowerCase()) {
+                    return (row[headers.indexOf(`Custom Field ${i} - Value`)] || '').trim();
+                }
+            }
+            for (let i = 1; headers.includes(`User ${i}`); i++) {
+                const match = (row[headers.indexOf(`User ${i}`)] || '').match(new RegExp(`^${label}:\\s*(.*)$`, 'i'));
+                if (match) return match[1].trim();
+            }
+            return '';
+        };
+
+        return rows.map(row => {
+            const data = {
+                firstName: valueOf(row, 'firstName'),
+                lastName: valueOf(row, 'lastName'),
+                email: valueOf(row, 'email'),
+                phone: valueOf(row, 'phone')
+            };
+
+            const userType = customValue(row, 'TalentKit type') || this.typeFromGroups(valueOf(row, 'groups'));
+            if (userType) data.userType = userType.toLowerCase();
+
+            const id = parseInt(customValue(row, 'TalentKit id'));
+            return { data, id: isNaN(id) ? null : id };
+        });
+    }
+
+    /**
+     * Create or update users from parsed contacts
+     * Contacts are matched to existing users by TalentKit id, then by email
+     * Returns { format, created, updated, unchanged, failed }
+     */
+    async importContacts(text, { fileName = '', dryRun = false, defaultType = 'client' } = {}) {
+        try {
+            const { format, contacts } = this.parseContacts(text, fileName);
+            const summary = { format, dryRun, created: [], updated: [], unchanged: [], failed: [] };
+            const seenEmails = new Set();
+
+            if (!dryRun) {
+                this.userService.notify('importStarted', { count: contacts.length });
+                this.userService.beginBatch(`Import ${contacts.length} contacts`);
+            }
+
+            for (const [index, contact] of contacts.entries()) {
+                const existing = this.findExisting(contact);
+                // Phone numbers are compared in the stored format, not as written in the file
+                const data = this.userService.normalizePhone({ userType: existing ? existing.userType : defaultType, ...contact.data });
+                const fail = (error) => summary.failed.push({ index, data, error });
+
+                if (data.email && seenEmails.has(this.userService.normalizeEmail(data.email))) {
+                    fail('This email appears earlier in the file');
+                    continue;
+                }
+                seenEmails.add(this.userService.normalizeEmail(data.email));
+
+                if (existing) {
+                    const changes = Object.keys(data).filter(field => data[field] !== existing[field]);
+                    if (changes.length === 0) {
+                        summary.unchanged.push(existing);
+                        continue;
+                    }
+
+                    const updated = { ...existing, ...data };
+                    const validation = this.userService.validateUser(updated);
+                    if (!validation.isValid) {
+                        fail(validation.errors.join(', '));
+                    } else if (dryRun) {
+                        summary.updated.push(updated);
+                    } else {
+                        const result = await this.userService.updateUser(existing.id, updated);
+                        result.success ? summary.updated.push(result.data) : fail(result.error);
+                    }
+                    continue;
+                }
+
+                const validation = this.userService.validateUser(data);
+                if (!validation.isValid) {
+                    fail(validation.errors.join(', '));
+                } else if (this.userService.findUserByEmail(data.email)) {
+                    fail('A user with this email already exists');
+                } else if (dryRun) {
+                    summary.created.push(data);
+                } else {
+                    const result = await this.userService.createUser(data);
+                    result.success ? summary.created.push(result.data) : fail(result.error);
+                }
+            }
+
+            if (!dryRun) {
+                this.userService.endBatch();
+                this.userService.notify('bulkImport', {
+                    success: [...summary.created, ...summary.updated],
+                    failed: summary.failed.map(failure => ({ userData: failure.data, error: failure.error }))
+                });
+            }
+
+            this.notify('contactsImported', summary);
+            return { success: true, data: summary };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'import' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    findExisting(contact) {
+        const byId = contact.id ? this.userService.getUserById(contact.id) : null;
+        // An id from another TalentKit install must not hijack a different person
+        if (byId && (!contact.data.email || byId.email === contact.data.email)) {
+            return byId;
+        }
+        return contact.data.email ? this.userService.findUserByEmail(contact.data.email) || null : null;
+    }
+
+    /**
+     * Helper methods
+     */
+    escapeValue(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/\n/g, '\\n')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,');
+    }
+
+    unescapeValue(value) {
+        return String(value).replace(/\\([\\;,nN])/g, (match, char) => char.toLowerCase() === 'n' ? '\n' : char);
+    }
+
+    splitStructured(value) {
+        // Split on semicolons that are not escaped
+        return value.split(/(?<!\\);/).map(part => this.unescapeValue(part).trim());
+    }
+
+    findUnquoted(line, char) {
+        let inQuotes = false;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === char && !inQuotes) return i;
+        }
+        return -1;
+    }
+
+    foldLine(line) {
+        // Lines longer than 75 characters continue on the next line after a space
+        const parts = [];
+        for (let i = 0; i < line.length; i += parts.length ? 74 : 75) {
+            parts.push(line.slice(i, i + (parts.length ? 74 : 75)));
+        }
+        return parts.join('\r\n ');
+    }
+
+    toVCardTimestamp(date) {
+        return new Date(date || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    idFromUid(uid) {
+        if (!uid.startsWith(this.uidPrefix)) return null;
+        const id = parseInt(uid.slice(this.uidPrefix.length));
+        return isNaN(id) ? null : id;
+    }
+
+    typeFromGroups(groups) {
+        const match = String(groups).match(/\b(client|provider|admin)\b/i);
+        return match ? match[1] : '';
+    }
+
+    formatType(userType) {
+        return userType.charAt(0).toUpperCase() + userType.slice(1);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactService;
+} else {
+    window.ContactService = ContactService;
+}
@@ -0,0 +1,385 @@
+/**
+ * DashboardController - Analytics dashboard: sign-ups, active vs inactive users,
+ * churn and the user type mix over a selectable date range, drawn as plain SVG
+ * Communicates with UserService for all business logic (see getStats)
+ */
+class DashboardController {
+    constructor(userService) {
+        this.userService = userService;
+        this.range = this.getPresetRange(30);
+        this.stats = null;
+        this.error = null;
+        this.isOpen = false;
+        this.elements = {};
+
+        // Chart drawing area in SVG units; the SVG scales to the dialog width
+        this.chart = { width: 640, height: 180, top: 10, right: 10, bottom: 24, left: 44 };
+        this.colors = {
+            signups: '#3498db',
+            active: '#27ae60',
+            inactive: '#e74c3c',
+            churned: '#e67e22',
+            types: { client: '#3498db', provider: '#9b59b6', admin: '#34495e' }
+        };
+        this.init();
+    }
+
+    /**
+     * Initialize controller
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+        this.subscribeToService();
+        this.applyPermissions();
+    }
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            dashboardBtn: document.getElementById('dashboardBtn'),
+            dashboardDialog: document.getElementById('dashboardDialog')
+        };
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.dashboardBtn.addEventListener('click', () => this.open());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Subscribe to service events (Observer pattern)
+     */
+    subscribeToService() {
+        this.userService.subscribe((event) => {
+            if (event === 'actingUserChanged') {
+                this.applyPermissions();
+            }
+            if ((event === 'usersChanged' || event === 'usersLoaded') && this.isOpen) {
+                this.refresh();
+            }
+        });
+    }
+
+    // Analytics cover every user, so only administrators see them
+    applyPermissions() {
+        const actor = this.userService.getActingUser();
+        const isAdmin = !actor || actor.userType === 'admin';
+        this.elements.dashboardBtn.style.display = isAdmin ? '' : 'none';
+        if (!isAdmin && this.isOpen) {
+            this.close();
+        }
+    }
+
+    /**
+     * Dialog actions
+     */
+    open() {
+        this.isOpen = true;
+        this.refresh();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.elements.dashboardDialog.style.display = 'none';
+        this.elements.dashboardDialog.innerHTML = '';
+    }
+
+    refresh() {
+        try {
+            this.stats = this.userService.getStats(this.range);
+            this.error = null;
+        } catch (error) {
+            this.stats = null;
+            this.error = error.message;
+        }
+        this.render();
+    }
+
+    setPreset(days) {
+        if (!days) return;
+        this.range = this.getPresetRange(parseInt(days));
+        this.refresh();
+    }
+
+    setRange() {
+        this.range = {
+            from: document.getElementById('dashboardFrom').value,
+            to: document.getElementById('dashboardTo').value,
+            interval: document.getElementById('dashboardInterval').value,
+            preset: null
+        };
+        this.refresh();
+    }
+
+    downloadCsv() {
+        if (!this.stats) return;
+
+        const csv = this.userService.statsSeriesToCsv(this.stats.series);
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `talentkit-stats-${this.range.from}-to-${this.range.to}-by-${this.range.interval}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Rendering methods
+     */
+    render() {
+        this.elements.dashboardDialog.innerHTML = `
+            <div class="import-dialog-content dashboard-content">
+                <div class="import-dialog-header">
+                    <h3>Analytics</h3>
+                    <button type="button" class="import-close" onclick="dashboardController.close()">&times;</button>
+                </div>
+                ${this.createControlsHTML()}
+                ${this.error ? `<p class="import-error">${escapeHtml(this.error)}</p>` : ''}
+                ${this.stats ? this.createChartsHTML() : ''}
+            </div>
+        `;
+        this.elements.dashboardDialog.style.display = 'flex';
+    }
+
+    createControlsHTML() {
+        const presets = { 7: 'Last 7 days', 30: 'Last 30 days', 90: 'Last 90 days', 365: 'Last 12 months' };
+        const intervals = { day: 'Day', week: 'Week', month: 'Month' };
+
+        return `
+            <div class="dashboard-controls">
+                <select aria-label="Date range" onchange="dashboardController.setPreset(this.value)">
+                    ${Object.keys(presets).map(days => `
+                        <option value="${days}" ${this.range.preset === parseInt(days) ? 'selected' : ''}>${presets[days]}</option>
+                    `).join('')}
+                    <option value="" ${this.range.preset ? '' : 'selected'}>Custom range</option>
+                </select>
+                <label>From <input type="date" id="dashboardFrom" value="${this.range.from}" onchange="dashboardController.setRange()"></label>
+                <label>To <input type="date" id="dashboardTo" value="${this.range.to}" onchange="dashboardController.setRange()"></label>
+                <label>By
+                    <select id="dashboardInterval" onchange="dashboardController.setRange()">
+                        ${Object.keys(intervals).map(interval => `
+                            <option value="${interval}" ${this.range.interval === interval ? 'selected' : ''}>${intervals[interval]}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <button type="button" class="btn btn-small" onclick="dashboardController.downloadCsv()" ${this.stats ? '' : 'disabled'}>Download CSV</button>
+            </div>
+        `;
+    }
+
+    createChartsHTML() {
+        const { buckets } = this.stats.series;
+        const last = buckets[buckets.length - 1];
+        const sum = (field) => buckets.reduce((total, bucket) => total + bucket[field], 0);
+        const labels = buckets.map(bucket => this.formatBucket(bucket));
+
+        return `
+            <div class="dashboard-summary">
+                ${this.createSummaryHTML('Sign-ups', sum('signups'))}
+                ${this.createSummaryHTML('Churned', sum('churned'))}
+                ${this.createSummaryHTML('Active at end', last.active)}
+                ${this.createSummaryHTML('Inactive at end', last.inactive)}
+            </div>
+            <div class="dashboard-chart">
+                <h4>Sign-ups per ${this.range.interval}</h4>
+                ${this.createBarChartSVG(labels, buckets.map(bucket => bucket.signups), this.colors.signups)}
+            </div>
+            <div class="dashboard-chart">
+                <h4>Active vs inactive users</h4>
+                ${this.createLineChartSVG(labels, [
+                    { name: 'Active', color: this.colors.active, values: buckets.map(bucket => bucket.active) },
+                    { name: 'Inactive', color: this.colors.inactive, values: buckets.map(bucket => bucket.inactive) }
+                ])}
+            </div>
+            <div class="dashboard-chart">
+                <h4>Churn (users who became inactive) per ${this.range.interval}</h4>
+                ${this.createBarChartSVG(labels, buckets.map(bucket => bucket.churned), this.colors.churned)}
+            </div>
+            <div class="dashboard-chart">
+                <h4>Users by type (today)</h4>
+                ${this.createDistributionSVG(this.stats.byType)}
+            </div>
+        `;
+    }
+
+    createSummaryHTML(label, value) {
+        return `
+            <div class="dashboard-summary-item">
+                <div class="dashboard-summary-number">${value.toLocaleString()}</div>
+                <div class="stat-label">${label}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * SVG charts - no chart library; each returns an <svg> string
+     */
+    createBarChartSVG(labels, values, color) {
+        const { width, height, top, bottom } = this.chart;
+        const plot = this.getPlotArea();
+        const axis = this.getAxis(Math.max(...values));
+        const slot = plot.width / values.length;
+        const barWidth = Math.max(slot * 0.8, 1);
+
+        const bars = values.map((value, index) => {
+            const barHeight = value / axis.max * plot.height;
+            const x = plot.left + index * slot + (slot - barWidth) / 2;
+            return `<rect x="${x.toFixed(1)}" y="${(top + plot.height - barHeight).toFixed(1)}" width="${barWidth.toFixed(1)}"
+                height="${barHeight.toFixed(1)}" fill="${color}"><title>${escapeHtml(labels[index])}: ${value.toLocaleString()}</title></rect>`;
+        }).join('');
+
+        return `
+            <svg class="dashboard-svg" viewBox="0 0 ${width} ${height}" role="img">
+                ${this.createGridSVG(axis)}
+                ${bars}
+                ${this.createXLabelsSVG(labels, slot, height - bottom + 16)}
+            </svg>
+        `;
+    }
+
+    createLineChartSVG(labels, series) {
+        const { width, height, top, bottom } = this.chart;
+        const plot = this.getPlotArea();
+        const axis = this.getAxis(Math.max(...series.flatMap(line => line.values)));
+        const slot = plot.width / labels.length;
+        const x = (index) => plot.left + index * slot + slot / 2;
+        const y = (value) => top + plot.height - value / axis.max * plot.height;
+
+        const lines = series.map(line => {
+            const points = line.values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+            // Points only where they stay readable; the tooltips carry the exact numbers
+            const dots = labels.length <= 60 ? line.values.map((value, index) => `
+                <circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="2.5" fill="${line.color}">
+                    <title>${escapeHtml(labels[index])}: ${value.toLocaleString()} ${line.name.toLowerCase()}</title>
+                </circle>
+            `).join('') : '';
+            return `<polyline points="${points}" fill="none" stroke="${line.color}" stroke-width="2"/>${dots}`;
+        }).join('');
+
+        const legend = series.map((line, index) => `
+            <g transform="translate(${plot.left + 8 + index * 90}, ${top + 4})">
+                <rect width="10" height="10" fill="${line.color}"/>
+                <text x="14" y="9" class="dashboard-legend">${escapeHtml(line.name)}</text>
+            </g>
+        `).join('');
+
+        return `
+            <svg class="dashboard-svg" viewBox="0 0 ${width} ${height}" role="img">
+                ${this.createGridSVG(axis)}
+                ${lines}
+                ${legend}
+                ${this.createXLabelsSVG(labels, slot, height - bottom + 16)}
+            </svg>
+        `;
+    }
+
+    createDistributionSVG(counts) {
+        const types = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+        const total = types.reduce((sum, type) => sum + counts[type], 0);
+        if (total === 0) {
+            return '<p class="import-example">No users yet.</p>';
+        }
+
+        const rowHeight = 28;
+        const labelWidth = 90;
+        const barArea = this.chart.width - labelWidth - 120;
+        const rows = types.map((type, index) => {
+            const share = counts[type] / total;
+            const y = index * rowHeight;
+            const color = this.colors.types[type] || '#95a5a6';
+            const label = type.charAt(0).toUpperCase() + type.slice(1);
+            return `
+                <text x="0" y="${y + 17}" class="dashboard-axis">${escapeHtml(label)}</text>
+                <rect x="${labelWidth}" y="${y + 5}" width="${Math.max(share * barArea, 1).toFixed(1)}" height="16" fill="${color}"/>
+                <text x="${labelWidth + share * barArea + 8}" y="${y + 17}" class="dashboard-axis">
+                    ${counts[type].toLocaleString()} (${Math.round(share * 100)}%)
+                </text>
+            `;
+        }).join('');
+
+        return `
+            <svg class="dashboard-svg" viewBox="0 0 ${this.chart.width} ${types.length * rowHeight}" role="img">
+                ${rows}
+            </svg>
+        `;
+    }
+
+    createGridSVG(axis) {
+        const plot = this.getPlotArea();
+        return axis.ticks.map(tick => {
+            const y = this.chart.top + plot.height - tick / axis.max * plot.height;
+            return `
+                <line x1="${plot.left}" x2="${plot.left + plot.width}" y1="${y.toFixed(1)}" y2="${y.toFixed(1)}" class="dashboard-grid"/>
+                <text x="${plot.left - 6}" y="${(y + 4).toFixed(1)}" text-anchor="end" class="dashboard-axis">${tick.toLocaleString()}</text>
+            `;
+        }).join('');
+    }
+
+    // At most about eight labels, so long ranges stay legible
+    createXLabelsSVG(labels, slot, y) {
+        const every = Math.ceil(labels.length / 8);
+        return labels.map((label, index) => index % every !== 0 ? '' : `
+            <text x="${(this.getPlotArea().left + index * slot + slot / 2).toFixed(1)}" y="${y}" text-anchor="middle" class="dashboard-axis">${escapeHtml(label)}</text>
+        `).join('');
+    }
+
+    /**
+     * Helper methods
+     */
+    getPlotArea() {
+        const { width, height, top, right, bottom, left } = this.chart;
+        return { left, width: width - left - right, height: height - top - bottom };
+    }
+
+    // Round axis steps (1, 2 or 5 times a power of ten), four of them
+    getAxis(maxValue) {
+        const rough = Math.max(maxValue, 1) / 4;
+        const power = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = Math.max([1, 2, 5, 10].find(factor => factor * power >= rough) * power, 1);
+        const ticks = [0, 1, 2, 3, 4].map(index => index * step);
+        return { max: ticks[ticks.length - 1], ticks };
+    }
+
+    getPresetRange(days) {
+        const to = new Date();
+        const from = new Date();
+        from.setDate(from.getDate() - days + 1);
+        const interval = days <= 31 ? 'day' : days <= 120 ? 'week' : 'month';
+        return { from: this.formatDate(from), to: this.formatDate(to), interval, preset: days };
+    }
+
+    formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    formatBucket(bucket) {
+        const start = new Date(bucket.start);
+        if (this.range.interval === 'month') {
+            return start.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+        }
+        return start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashboardController;
+} else {
+    window.DashboardController = DashboardController;
+}
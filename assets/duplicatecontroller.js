@@ -0,0 +1,288 @@
+/**
+ * DuplicateController - Review screen for likely duplicate users
+ * Lists scored pairs and merges two records field by field
+ * Communicates with DuplicateService and UserService for all business logic
+ */
+class DuplicateController {
+    constructor(duplicateService, userService, fieldSchemaService = null) {
+        this.duplicateService = duplicateService;
+        this.userService = userService;
+        this.fieldSchemaService = fieldSchemaService;
+        this.pairs = [];
+        this.reviewing = null; // { pair, keepId, choices: { [field]: userId } } while a pair is open
+        this.isOpen = false;
+        this.elements = {};
+        this.init();
+    }
+
+    /**
+     * Initialize controller
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+        this.subscribeToService();
+        this.applyPermissions();
+    }
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            duplicatesBtn: document.getElementById('duplicatesBtn'),
+            duplicateDialog: document.getElementById('duplicateDialog')
+        };
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.duplicatesBtn.addEventListener('click', () => this.open());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Subscribe to service events (Observer pattern)
+     */
+    subscribeToService() {
+        this.userService.subscribe((event) => {
+            if (event === 'actingUserChanged') {
+                this.applyPermissions();
+            }
+        });
+    }
+
+    applyPermissions() {
+        // Merging trashes one of the records, so it takes the delete permission
+        const actor = this.userService.getActingUser();
+        const isAdmin = !actor || actor.userType === 'admin';
+        this.elements.duplicatesBtn.style.display = isAdmin ? '' : 'none';
+        if (!isAdmin && this.isOpen) {
+            this.close();
+        }
+    }
+
+    /**
+     * Dialog actions
+     */
+    open() {
+        this.isOpen = true;
+        this.showList();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.reviewing = null;
+        this.elements.duplicateDialog.style.display = 'none';
+        this.elements.duplicateDialog.innerHTML = '';
+    }
+
+    showList() {
+        this.reviewing = null;
+        this.pairs = this.duplicateService.findDuplicates();
+        this.render(this.createListHTML());
+    }
+
+    review(key) {
+        const pair = this.pairs.find(candidate => candidate.key === key);
+        if (!pair) return;
+
+        // The older record is kept by default; each field starts from the kept value unless it is empty
+        const [a, b] = pair.users;
+        const keep = new Date(a.createdAt) <= new Date(b.createdAt) ? a : b;
+        const other = keep === a ? b : a;
+        const choices = {};
+        this.userService.getMergeFields(a, b).forEach(field => {
+            const isEmpty = keep[field] === undefined || keep[field] === null || keep[field] === '';
+            choices[field] = isEmpty ? other.id : keep.id;
+        });
+
+        this.reviewing = { pair, keepId: keep.id, choices };
+        this.render(this.createReviewHTML());
+    }
+
+    setKeep(userId) {
+        this.reviewing.keepId = parseInt(userId);
+        this.render(this.createReviewHTML());
+    }
+
+    choose(field, userId) {
+        this.reviewing.choices[field] = parseInt(userId);
+    }
+
+    dismiss(key) {
+        const pair = this.pairs.find(candidate => candidate.key === key);
+        if (!pair) return;
+
+        this.duplicateService.dismissPair(pair.users[0].id, pair.users[1].id);
+        this.showList();
+    }
+
+    async merge() {
+        const { pair, keepId, choices } = this.reviewing;
+        const other = pair.users.find(user => user.id !== keepId);
+        const kept = pair.users.find(user => user.id === keepId);
+
+        const confirmMessage = `Merge ${other.firstName} ${other.lastName} into ${kept.firstName} ${kept.lastName}? ` +
+            'The other record moves to the trash.';
+        if (!confirm(confirmMessage)) return;
+
+        const fieldChoices = {};
+        Object.keys(choices).forEach(field => {
+            fieldChoices[field] = choices[field] === keepId ? 'keep' : 'merge';
+        });
+
+        const result = await this.userService.mergeUsers(keepId, other.id, fieldChoices);
+        if (result.success) {
+            this.showList();
+        } else {
+            this.showError(result.error);
+        }
+    }
+
+    /**
+     * Rendering methods
+     */
+    render(bodyHTML) {
+        this.elements.duplicateDialog.innerHTML = `
+            <div class="import-dialog-content">
+                <div class="import-dialog-header">
+                    <h3>Possible Duplicates</h3>
+                    <button type="button" class="import-close" onclick="duplicateController.close()">&times;</button>
+                </div>
+                ${bodyHTML}
+            </div>
+        `;
+        this.elements.duplicateDialog.style.display = 'flex';
+    }
+
+    createListHTML() {
+        if (this.pairs.length === 0) {
+            return '<p>No likely duplicates found.</p>';
+        }
+
+        return `
+            <p>${this.pairs.length} possible duplicate${this.pairs.length === 1 ? '' : 's'}, most likely first.</p>
+            <ul class="duplicate-list">
+                ${this.pairs.map(pair => `
+                    <li class="duplicate-pair">
+                        <div class="duplicate-score">${Math.round(pair.score * 100)}%</div>
+                        <div class="duplicate-people">
+                            ${pair.users.map(user => `
+                                <div>
+                                    <strong>${escapeHtml(`${user.firstName} ${user.lastName}`)}</strong>
+                                    <span class="duplicate-meta">${escapeHtml(user.email)} &middot; ${escapeHtml(user.phone || '')}</span>
+                                </div>
+                            `).join('')}
+                            <div class="duplicate-meta">${pair.reasons.map(reason => escapeHtml(reason)).join(', ')}</div>
+                        </div>
+                        <div class="schema-field-actions">
+                            <button type="button" class="btn btn-small" onclick="duplicateController.review('${pair.key}')">Review</button>
+                            <button type="button" class="btn btn-small" onclick="duplicateController.dismiss('${pair.key}')">Not Duplicates</button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    createReviewHTML() {
+        const { pair, keepId, choices } = this.reviewing;
+        const [a, b] = pair.users;
+
+        return `
+            <p>Choose the record to keep and the value to keep for each field.
+                The other record moves to the trash; appointments and history follow the kept record.</p>
+            <p class="import-error" id="duplicateError" style="display: none;"></p>
+            <div class="import-table-wrapper">
+                <table class="import-table duplicate-table">
+                    <thead>
+                        <tr>
+                            <th>Field</th>
+                            ${[a, b].map(user => `
+                                <th>
+                                    <label class="duplicate-choice">
+                                        <input type="radio" name="duplicateKeep" value="${user.id}" ${user.id === keepId ? 'checked' : ''}
+                                            onchange="duplicateController.setKeep(${user.id})">
+                                        Keep #${user.id}
+                                    </label>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.keys(choices).map(field => this.createFieldRowHTML(field, a, b, choices[field])).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="import-actions">
+                <button type="button" class="btn btn-small" onclick="duplicateController.showList()">Back</button>
+                <button type="button" class="btn btn-small" onclick="duplicateController.dismiss('${pair.key}')">Not Duplicates</button>
+                <button type="button" class="btn btn-small" onclick="duplicateController.merge()">Merge</button>
+            </div>
+        `;
+    }
+
+    createFieldRowHTML(field, a, b, chosenId) {
+        const format = (value) => value === undefined || value === null || value === '' ?
+            '<span class="import-example">(empty)</span>' : escapeHtml(value);
+
+        // Fields both records agree on need no choice
+        if (String(a[field] || '') === String(b[field] || '')) {
+            return `
+                <tr>
+                    <td>${escapeHtml(this.getFieldLabel(field))}</td>
+                    <td colspan="2">${format(a[field])}</td>
+                </tr>
+            `;
+        }
+
+        return `
+            <tr class="duplicate-conflict">
+                <td>${escapeHtml(this.getFieldLabel(field))}</td>
+                ${[a, b].map(user => `
+                    <td>
+                        <label class="duplicate-choice">
+                            <input type="radio" name="field-${field}" value="${user.id}" ${user.id === chosenId ? 'checked' : ''}
+                                onchange="duplicateController.choose('${field}', ${user.id})">
+                            ${format(user[field])}
+                        </label>
+                    </td>
+                `).join('')}
+            </tr>
+        `;
+    }
+
+    showError(message) {
+        const error = document.getElementById('duplicateError');
+        error.textContent = message;
+        error.style.display = 'block';
+    }
+
+    getFieldLabel(field) {
+        const labels = {
+            firstName: 'First name',
+            lastName: 'Last name',
+            email: 'Email',
+            phone: 'Phone',
+            userType: 'User type',
+            status: 'Status'
+        };
+        const custom = this.fieldSchemaService ? this.fieldSchemaService.getField(field) : null;
+        return labels[field] || (custom ? custom.label : field);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DuplicateController;
+} else {
+    window.DuplicateController = DuplicateController;
+}
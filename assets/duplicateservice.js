@@ -0,0 +1,248 @@
+/**
+ * DuplicateService - Pure business logic for finding likely duplicate users
+ * Scores pairs of records on email, phone number and name similarity;
+ * pairs an administrator marked as "not duplicates" are remembered
+ * No DOM manipulation or UI concerns
+ */
+class DuplicateService {
+    constructor(userService) {
+        this.userService = userService;
+        this.dismissed = new Set(); // Pair keys, see pairKey
+        this.observers = []; // For notifying UI of changes
+        this.storageKey = 'appointme_duplicates_dismissed';
+
+        // How much each kind of evidence counts; scores combine as independent signals
+        this.weights = {
+            email: 1,
+            emailAlias: 0.7,
+            phone: 0.6,
+            name: 0.5
+        };
+        this.nameThreshold = 0.85; // Jaro-Winkler similarity below this is not evidence
+        this.maxBlockSize = 200; // Very common names are not compared pairwise
+    }
+
+    /**
+     * Observer pattern - allows UI components to listen for changes
+     */
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    unsubscribe(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    notify(event, data) {
+        this.observers.forEach(callback => callback(event, data));
+    }
+
+    /**
+     * Finding duplicates
+     * Returns [{ key, users: [a, b], score, reasons }] sorted by score, highest first
+     */
+    findDuplicates({ minScore = 0.5 } = {}) {
+        const users = this.userService.getAllUsers();
+        const pairs = new Map();
+
+        // Only records that share an email, phone or name key are compared
+        this.groupCandidates(users).forEach(group => {
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) {
+                    const key = this.pairKey(group[i].id, group[j].id);
+                    if (pairs.has(key) || this.dismissed.has(key)) continue;
+
+                    const [a, b] = group[i].id < group[j].id ? [group[i], group[j]] : [group[j], group[i]];
+                    pairs.set(key, { key, users: [a, b], ...this.scorePair(a, b) });
+                }
+            }
+        });
+
+        return Array.from(pairs.values())
+            .filter(pair => pair.score >= minScore)
+            .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+    }
+
+    findDuplicatesOf(userId, options = {}) {
+        const id = parseInt(userId);
+        return this.findDuplicates(options).filter(pair => pair.users.some(user => user.id === id));
+    }
+
+    groupCandidates(users) {
+        const groups = new Map();
+        const add = (key, user) => {
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(user);
+        };
+
+        users.forEach(user => {
+            add(`email:${this.emailKey(user.email)}`, user);
+            if (user.phoneE164 || user.phone) {
+                add(`phone:${user.phoneE164 || String(user.phone).replace(/\D/g, '')}`, user);
+            }
+
+            // Either name order, so "Doe John" still meets "John Doe"
+            const first = this.normalizeName(user.firstName);
+            const last = this.normalizeName(user.lastName);
+            add(`name:${last.slice(0, 2)}${first.charAt(0)}`, user);
+            add(`name:${first.slice(0, 2)}${last.charAt(0)}`, user);
+        });
+
+        return Array.from(groups.values())
+            .filter(group => group.length > 1 && group.length <= this.maxBlockSize);
+    }
+
+    /**
+     * Scoring - each signal is a probability-like value; combined as 1 - (1 - a)(1 - b)...
+     * Returns { score, reasons }
+     */
+    scorePair(a, b) {
+        const signals = [];
+
+        const emailA = this.userService.normalizeEmail(a.email);
+        const emailB = this.userService.normalizeEmail(b.email);
+        if (emailA && emailA === emailB) {
+            signals.push({ weight: this.weights.email, reason: 'Same email address' });
+        } else if (this.emailKey(a.email) === this.emailKey(b.email)) {
+            signals.push({ weight: this.weights.emailAlias, reason: 'Same email address apart from a +tag or dots' });
+        }
+
+        const phoneA = a.phoneE164 || String(a.phone || '').replace(/\D/g, '');
+        const phoneB = b.phoneE164 || String(b.phone || '').replace(/\D/g, '');
+        if (phoneA && phoneA === phoneB) {
+            signals.push({ weight: this.weights.phone, reason: 'Same phone number' });
+        }
+
+        const similarity = this.nameSimilarity(a, b);
+        if (similarity >= this.nameThreshold) {
+            signals.push({
+                weight: this.weights.name * similarity,
+                reason: similarity === 1 ? 'Same name' : `Similar names (${Math.round(similarity * 100)}%)`
+            });
+        }
+
+        const score = 1 - signals.reduce((remaining, signal) => remaining * (1 - signal.weight), 1);
+        return {
+            score: Math.round(score * 100) / 100,
+            reasons: signals.map(signal => signal.reason)
+        };
+    }
+
+    nameSimilarity(a, b) {
+        const nameA = `${this.normalizeName(a.firstName)} ${this.normalizeName(a.lastName)}`;
+        const nameB = `${this.normalizeName(b.firstName)} ${this.normalizeName(b.lastName)}`;
+        const swappedB = `${this.normalizeName(b.lastName)} ${this.normalizeName(b.firstName)}`;
+        return Math.max(this.jaroWinkler(nameA, nameB), this.jaroWinkler(nameA, swappedB));
+    }
+
+    jaroWinkler(a, b) {
+        if (a === b) return 1;
+        if (!a || !b) return 0;
+
+        const range = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+        const matchedA = new Array(a.length).fill(false);
+        const matchedB = new Array(b.length).fill(false);
+        let matches = 0;
+
+        for (let i = 0; i < a.length; i++) {
+            const start = Math.max(0, i - range);
+            const end = Math.min(i + range + 1, b.length);
+            for (let j = start; j < end; j++) {
+                if (matchedB[j] || a[i] !== b[j]) continue;
+                matchedA[i] = true;
+                matchedB[j] = true;
+                matches++;
+                break;
+            }
+        }
+        if (matches === 0) return 0;
+
+        let transpositions = 0;
+        let k = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (!matchedA[i]) continue;
+            while (!matchedB[k]) k++;
+            if (a[i] !== b[k]) transpositions++;
+            k++;
+        }
+
+        const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+        // Common prefixes (up to 4 characters) count extra
+        let prefix = 0;
+        while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+        return jaro + prefix * 0.1 * (1 - jaro);
+    }
+
+    /**
+     * Dismissing - pairs reviewed as different people are not suggested again
+     */
+    dismissPair(idA, idB) {
+        const key = this.pairKey(idA, idB);
+        this.dismissed.add(key);
+        this.saveDismissed();
+
+        this.notify('pairDismissed', { key });
+        return { success: true, data: key };
+    }
+
+    /**
+     * Helper methods
+     */
+    pairKey(idA, idB) {
+        const [low, high] = [parseInt(idA), parseInt(idB)].sort((a, b) => a - b);
+        return `${low}-${high}`;
+    }
+
+    normalizeName(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/^(dr|mr|mrs|ms|miss|prof)\.?\s+/, '')
+            .replace(/[^a-z ]/g, '')
+            .trim();
+    }
+
+    // Email with any +tag removed, and dots removed for Gmail addresses
+    emailKey(email) {
+        const [local, domain] = this.userService.normalizeEmail(email).split('@');
+        if (!domain) return local;
+
+        let key = local.split('+')[0];
+        if (domain === 'gmail.com' || domain === 'googlemail.com') {
+            key = key.replace(/\./g, '');
+        }
+        return `${key}@${domain}`;
+    }
+
+    /**
+     * Data persistence methods
+     */
+    loadDismissed() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.dismissed = new Set(stored ? JSON.parse(stored) : []);
+            return { success: true, data: Array.from(this.dismissed) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    saveDismissed() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.dismissed)));
+            return { success: true };
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'save' });
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DuplicateService;
+} else {
+    window.DuplicateService = DuplicateService;
+}
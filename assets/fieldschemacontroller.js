@@ -0,0 +1,250 @@
+/**
+ * FieldSchemaController - Dialog where administrators manage profile fields
+ * Communicates with FieldSchemaService for all business logic
+ */
+class FieldSchemaController {
+    constructor(fieldSchemaService, userService) {
+        this.fieldSchemaService = fieldSchemaService;
+        this.userService = userService;
+        this.editingKey = null; // Field shown in the edit form, null when adding
+        this.isOpen = false;
+        this.elements = {};
+        this.init();
+    }
+
+    /**
+     * Initialize controller
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+        this.subscribeToService();
+        this.applyPermissions();
+    }
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            manageFieldsBtn: document.getElementById('manageFieldsBtn'),
+            schemaDialog: document.getElementById('schemaDialog')
+        };
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.manageFieldsBtn.addEventListener('click', () => this.open());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Subscribe to service events (Observer pattern)
+     */
+    subscribeToService() {
+        this.fieldSchemaService.subscribe((event) => {
+            if (event === 'schemaChanged' && this.isOpen) {
+                this.render();
+            }
+        });
+
+        this.userService.subscribe((event) => {
+            if (event === 'actingUserChanged') {
+                this.applyPermissions();
+            }
+        });
+    }
+
+    applyPermissions() {
+        const actor = this.userService.getActingUser();
+        const isAdmin = !actor || actor.userType === 'admin';
+        this.elements.manageFieldsBtn.style.display = isAdmin ? '' : 'none';
+        if (!isAdmin && this.isOpen) {
+            this.close();
+        }
+    }
+
+    /**
+     * Dialog actions
+     */
+    open() {
+        this.isOpen = true;
+        this.editingKey = null;
+        this.render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.elements.schemaDialog.style.display = 'none';
+        this.elements.schemaDialog.innerHTML = '';
+    }
+
+    editField(key) {
+        this.editingKey = key;
+        this.render();
+    }
+
+    cancelEdit() {
+        this.editingKey = null;
+        this.render();
+    }
+
+    moveField(key, direction) {
+        this.fieldSchemaService.moveField(key, direction);
+    }
+
+    removeField(key) {
+        const field = this.fieldSchemaService.getField(key);
+        if (!field) return;
+
+        const confirmMessage = `Remove the "${field.label}" field? Values already entered stay on the user records.`;
+        if (!confirm(confirmMessage)) return;
+
+        this.fieldSchemaService.removeField(key);
+    }
+
+    handleSubmit(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const inputs = form.elements;
+        const fieldData = {
+            label: inputs.label.value,
+            type: inputs.type.value,
+            required: inputs.required.checked,
+            options: inputs.options.value,
+            userTypes: Array.from(form.querySelectorAll('input[name="userTypes"]:checked')).map(input => input.value)
+        };
+
+        const result = this.editingKey ?
+            this.fieldSchemaService.updateField(this.editingKey, fieldData) :
+            this.fieldSchemaService.addField(fieldData);
+
+        if (result.success) {
+            this.editingKey = null;
+            this.render();
+        } else {
+            this.showError(result.error);
+        }
+    }
+
+    /**
+     * Rendering methods
+     */
+    render() {
+        const fields = this.fieldSchemaService.getFields();
+
+        this.elements.schemaDialog.innerHTML = `
+            <div class="import-dialog-content">
+                <div class="import-dialog-header">
+                    <h3>Profile Fields</h3>
+                    <button type="button" class="import-close" onclick="fieldSchemaController.close()">&times;</button>
+                </div>
+                ${fields.length ? `
+                    <ul class="schema-field-list">
+                        ${fields.map((field, index) => this.createFieldHTML(field, index, fields.length)).join('')}
+                    </ul>
+                ` : '<p>No profile fields yet.</p>'}
+                ${this.createFormHTML(this.editingKey ? this.fieldSchemaService.getField(this.editingKey) : null)}
+            </div>
+        `;
+        this.elements.schemaDialog.style.display = 'flex';
+
+        document.getElementById('schemaFieldForm').addEventListener('submit', (e) => this.handleSubmit(e));
+        document.getElementById('schemaFieldType').addEventListener('change', (e) => {
+            document.getElementById('schemaFieldOptionsGroup').style.display = e.target.value === 'select' ? 'block' : 'none';
+        });
+    }
+
+    createFieldHTML(field, index, count) {
+        const key = escapeHtml(field.key);
+        return `
+            <li class="schema-field">
+                <div>
+                    <strong>${escapeHtml(field.label)}</strong>${field.required ? ' *' : ''}
+                    <div class="schema-field-meta">
+                        ${field.type}${field.type === 'select' ? `: ${escapeHtml(field.options.join(', '))}` : ''}
+                        &middot; ${field.userTypes.join(', ')}
+                    </div>
+                </div>
+                <div class="schema-field-actions">
+                    <button type="button" class="btn btn-small" ${index === 0 ? 'disabled' : ''}
+                        onclick="fieldSchemaController.moveField('${key}', -1)">&uarr;</button>
+                    <button type="button" class="btn btn-small" ${index === count - 1 ? 'disabled' : ''}
+                        onclick="fieldSchemaController.moveField('${key}', 1)">&darr;</button>
+                    <button type="button" class="btn btn-small" onclick="fieldSchemaController.editField('${key}')">Edit</button>
+                    <button type="button" class="btn btn-danger btn-small" onclick="fieldSchemaController.removeField('${key}')">Remove</button>
+                </div>
+            </li>
+        `;
+    }
+
+    createFormHTML(field) {
+        const values = field || { label: '', type: 'text', required: false, options: [], userTypes: [] };
+        const typeLabels = { client: 'Clients', provider: 'Providers', admin: 'Administrators' };
+
+        return `
+            <form id="schemaFieldForm">
+                <h4>${field ? `Edit "${escapeHtml(field.label)}"` : 'Add a field'}</h4>
+                <p class="import-error" id="schemaFieldError" style="display: none;"></p>
+                <div class="form-group">
+                    <label for="schemaFieldLabel">Label</label>
+                    <input type="text" id="schemaFieldLabel" name="label" value="${escapeHtml(values.label)}" required>
+                </div>
+                <div class="form-group">
+                    <label for="schemaFieldType">Type</label>
+                    <select id="schemaFieldType" name="type">
+                        ${this.fieldSchemaService.fieldTypes.map(type => `
+                            <option value="${type}" ${type === values.type ? 'selected' : ''}>${type}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group" id="schemaFieldOptionsGroup" style="display: ${values.type === 'select' ? 'block' : 'none'};">
+                    <label for="schemaFieldOptions">Options (comma separated)</label>
+                    <input type="text" id="schemaFieldOptions" name="options" value="${escapeHtml(values.options.join(', '))}">
+                </div>
+                <div class="form-group">
+                    <label>Applies to</label>
+                    <div class="schema-user-types">
+                        ${this.fieldSchemaService.userTypes.map(type => `
+                            <label>
+                                <input type="checkbox" name="userTypes" value="${type}" ${values.userTypes.includes(type) ? 'checked' : ''}>
+                                ${typeLabels[type]}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="schema-required">
+                        <input type="checkbox" name="required" ${values.required ? 'checked' : ''}>
+                        Required
+                    </label>
+                </div>
+                <div class="import-actions">
+                    ${field ? '<button type="button" class="btn btn-small" onclick="fieldSchemaController.cancelEdit()">Cancel</button>' : ''}
+                    <button type="submit" class="btn btn-small">${field ? 'Save Field' : 'Add Field'}</button>
+                </div>
+            </form>
+        `;
+    }
+
+    showError(message) {
+        const error = document.getElementById('schemaFieldError');
+        error.textContent = message;
+        error.style.display = 'block';
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldSchemaController;
+} else {
+    window.FieldSchemaController = FieldSchemaController;
+}
@@ -0,0 +1,359 @@
+/**
+ * FieldSchemaService - Pure business logic for admin-defined profile fields
+ * Each field applies to some user types and is stored on the user record
+ * under its key, next to the built-in fields
+ * No DOM manipulation or UI concerns
+ */
+class FieldSchemaService {
+    constructor(userService, schemaUrl = null) {
+        this.userService = userService;
+        this.fields = [];
+        this.observers = []; // For notifying UI of changes
+        this.storageKey = 'appointme_field_schema';
+        this.schemaUrl = schemaUrl; // When set, the schema is kept on the server (see server/server.js) instead of localStorage
+
+        this.fieldTypes = ['text', 'textarea', 'number', 'date', 'select', 'url'];
+        this.userTypes = ['client', 'provider', 'admin'];
+    }
+
+    /**
+     * Observer pattern - allows UI components to listen for changes
+     */
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    unsubscribe(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    notify(event, data) {
+        this.observers.forEach(callback => callback(event, data));
+    }
+
+    /**
+     * Core business logic methods
+     */
+    addField(fieldData) {
+        try {
+            this.assertAdmin();
+
+            const field = this.normalizeField(fieldData);
+            const validation = this.validateField(field);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            if (this.getField(field.key)) {
+                throw new Error('A field with this key already exists');
+            }
+
+            this.fields.push(field);
+
+            this.notify('fieldAdded', field);
+            this.notify('schemaChanged', this.fields);
+
+            return { success: true, data: field };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'schema', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    updateField(key, fieldData) {
+        try {
+            this.assertAdmin();
+
+            const index = this.fields.findIndex(field => field.key === key);
+            if (index === -1) {
+                throw new Error('Field not found');
+            }
+
+            // The key is how values are stored on user records, so it never changes
+            const field = this.normalizeField({ ...this.fields[index], ...fieldData, key });
+            const validation = this.validateField(field);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            const original = this.fields[index];
+            this.fields[index] = field;
+
+            this.notify('fieldUpdated', { original, updated: field });
+            this.notify('schemaChanged', this.fields);
+
+            return { success: true, data: field };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'schema', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    removeField(key) {
+        try {
+            this.assertAdmin();
+
+            const field = this.getField(key);
+            if (!field) {
+                throw new Error('Field not found');
+            }
+
+            // Values already stored on user records are kept, just no longer shown
+            this.fields = this.fields.filter(existing => existing.key !== key);
+
+            this.notify('fieldRemoved', field);
+            this.notify('schemaChanged', this.fields);
+
+            return { success: true, data: field };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'schema', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    // Fields are shown in schema order; direction is -1 (up) or 1 (down)
+    moveField(key, direction) {
+        try {
+            this.assertAdmin();
+
+            const index = this.fields.findIndex(field => field.key === key);
+            if (index === -1) {
+                throw new Error('Field not found');
+            }
+
+            const target = Math.min(Math.max(index + direction, 0), this.fields.length - 1);
+            [this.fields[index], this.fields[target]] = [this.fields[target], this.fields[index]];
+
+            this.notify('schemaChanged', this.fields);
+            return { success: true, data: this.fields };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'schema', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    // Replaces the whole schema, as the server does when the browser saves it
+    replaceFields(fieldsData) {
+        try {
+            this.assertAdmin();
+
+            if (!Array.isArray(fieldsData)) {
+                throw new Error('Expected an array of fields');
+            }
+
+            const fields = fieldsData.map(fieldData => this.normalizeField(fieldData || {}));
+            const errors = [];
+            fields.forEach((field, index) => {
+                const validation = this.validateField(field);
+                if (!validation.isValid) {
+                    errors.push(`Field ${index}: ${validation.errors.join(', ')}`);
+                }
+                if (fields.findIndex(other => other.key === field.key) !== index) {
+                    errors.push(`Field ${index}: A field with this key already exists`);
+                }
+            });
+            if (errors.length) {
+                throw new Error(errors.join('; '));
+            }
+
+            this.fields = fields;
+
+            this.notify('schemaChanged', this.fields);
+            return { success: true, data: this.fields };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'schema', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    /**
+     * Query methods
+     */
+    getFields(userType = null) {
+        return this.fields.filter(field => !userType || field.userTypes.includes(userType));
+    }
+
+    getField(key) {
+        return this.fields.find(field => field.key === key);
+    }
+
+    /**
+     * Validation logic
+     */
+    validateField(field) {
+        const errors = [];
+
+        if (!field.label) {
+            errors.push('Label is required');
+        }
+        if (!/^[a-z][a-zA-Z0-9]*$/.test(field.key)) {
+            errors.push('Key must start with a letter and contain only letters and digits');
+        }
+        // Keys UserService keeps on the record itself; a custom field there would overwrite them
+        if (this.userService.getReservedFields().includes(field.key)) {
+            errors.push(`${field.key} is a built-in field`);
+        }
+        if (!this.fieldTypes.includes(field.type)) {
+            errors.push('Invalid field type');
+        }
+        if (field.type === 'select' && field.options.length === 0) {
+            errors.push('A select field needs at least one option');
+        }
+        if (field.userTypes.length === 0 || field.userTypes.some(type => !this.userTypes.includes(type))) {
+            errors.push('Choose the user types this field applies to');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Errors for the custom field values of one user, used by UserService.validateUser
+    validateValues(userData) {
+        const errors = [];
+
+        this.getFields(userData.userType).forEach(field => {
+            const raw = userData[field.key];
+            const value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+            if (value === '') {
+                if (field.required) errors.push(`${field.label} is required`);
+                return;
+            }
+
+            switch (field.type) {
+                case 'number':
+                    if (isNaN(Number(value))) errors.push(`${field.label} must be a number`);
+                    break;
+                case 'date':
+                    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+                        errors.push(`${field.label} must be a date (YYYY-MM-DD)`);
+                    }
+                    break;
+                case 'select':
+                    if (!field.options.includes(value)) errors.push(`${field.label} must be one of: ${field.options.join(', ')}`);
+                    break;
+                case 'url':
+                    if (!/^https?:\/\/\S+$/i.test(value)) errors.push(`${field.label} must be a web address`);
+                    break;
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Helper methods
+     */
+    normalizeField(fieldData) {
+        const label = String(fieldData.label || '').trim();
+        const options = Array.isArray(fieldData.options) ?
+            fieldData.options :
+            String(fieldData.options || '').split(',');
+
+        return {
+            key: fieldData.key ? String(fieldData.key).trim() : this.keyFromLabel(label),
+            label,
+            type: fieldData.type || 'text',
+            required: Boolean(fieldData.required),
+            options: fieldData.type === 'select' ? options.map(option => String(option).trim()).filter(Boolean) : [],
+            userTypes: Array.isArray(fieldData.userTypes) ? fieldData.userTypes : [fieldData.userTypes].filter(Boolean)
+        };
+    }
+
+    keyFromLabel(label) {
+        // "License number" -> "licenseNumber"
+        const words = label.replace(/[^a-zA-Z0-9 ]/g, ' ').trim().split(/\s+/).filter(Boolean);
+        return words.map((word, index) => index === 0 ?
+            word.toLowerCase() :
+            word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('');
+    }
+
+    assertAdmin() {
+        // Only the system context and administrators may change the schema
+        const actor = this.userService.getActingUser();
+        if (actor && actor.userType !== 'admin') {
+            const error = new Error('Only administrators can change profile fields');
+            error.code = 'forbidden';
+            throw error;
+        }
+    }
+
+    /**
+     * Data persistence methods
+     */
+    async loadSchema() {
+        try {
+            const stored = this.schemaUrl ?
+                await this.request(this.schemaUrl) :
+                JSON.parse(localStorage.getItem(this.storageKey));
+            this.fields = stored || this.getDefaultFields();
+
+            this.notify('schemaLoaded', this.fields);
+            return { success: true, data: this.fields };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'load' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async saveSchema() {
+        try {
+            if (this.schemaUrl) {
+                await this.request(this.schemaUrl, { method: 'PUT', body: JSON.stringify(this.fields) });
+            } else {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.fields));
+            }
+
+            this.notify('schemaSaved', this.fields);
+            return { success: true };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'save' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            headers: { 'Content-Type': 'application/json' },
+            ...options
+        });
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error(body.error || `Request failed with status ${response.status}`);
+        }
+        return body;
+    }
+
+    getDefaultFields() {
+        return [
+            {
+                key: 'specialty',
+                label: 'Specialty',
+                type: 'select',
+                required: false,
+                options: ['General Practice', 'Physiotherapy', 'Counselling', 'Dentistry', 'Nutrition'],
+                userTypes: ['provider']
+            },
+            { key: 'licenseNumber', label: 'License number', type: 'text', required: false, options: [], userTypes: ['provider'] },
+            { key: 'bio', label: 'Bio', type: 'textarea', required: false, options: [], userTypes: ['provider'] },
+            { key: 'dateOfBirth', label: 'Date of birth', type: 'date', required: false, options: [], userTypes: ['client'] },
+            { key: 'emergencyContact', label: 'Emergency contact', type: 'text', required: false, options: [], userTypes: ['client'] }
+        ];
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldSchemaService;
+} else {
+    window.FieldSchemaService = FieldSchemaService;
+}
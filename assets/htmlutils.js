@@ -0,0 +1,20 @@
+/**
+ * HTML helpers shared by the controllers that render markup with innerHTML
+ */
+
+// Escapes text for use in element content and quoted attribute values
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeHtml };
+} else {
+    window.escapeHtml = escapeHtml;
+}
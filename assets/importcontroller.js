@@ -0,0 +1,602 @@
+/**
+ * ImportController - Import wizard for CSV files (file, column mapping,
+ * preview, results), JSON backups (conflict strategy, summary) and address
+ * book contacts, plus the export dialog
+ * Communicates with ImportService, ContactService and UserService for all business logic
+ */
+class ImportController {
+    constructor(importService, userService, contactService = null, options = {}) {
+        this.importService = importService;
+        this.userService = userService;
+        this.contactService = contactService;
+        this.options = {
+            previewLimit: 100, // Rows shown in the preview table
+            getVisibleUsers: null, // () => users matching the directory search, offered as an export scope
+            getSelectedUsers: null, // () => users ticked in the directory, offered as an export scope
+            ...options
+        };
+        this.state = null;
+        this.elements = {};
+        this.init();
+    }
+
+    /**
+     * Initialize controller
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+        this.subscribeToService();
+        this.applyPermissions();
+    }
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            importBtn: document.getElementById('importBtn'),
+            exportBtn: document.getElementById('exportBtn'),
+            importDialog: document.getElementById('importDialog')
+        };
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.importBtn.addEventListener('click', () => this.open());
+        this.elements.exportBtn.addEventListener('click', () => this.openExport());
+
+        // Close the wizard with Escape
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.state) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Subscribe to service events (Observer pattern)
+     */
+    subscribeToService() {
+        this.userService.subscribe((event) => {
+            if (event === 'actingUserChanged') {
+                this.applyPermissions();
+            }
+        });
+    }
+
+    /**
+     * Only administrators import users in bulk
+     */
+    applyPermissions() {
+        const actor = this.userService.getActingUser();
+        const isAdmin = !actor || actor.userType === 'admin';
+        this.elements.importBtn.style.display = isAdmin ? '' : 'none';
+        this.elements.exportBtn.style.display = isAdmin ? '' : 'none';
+        if (!isAdmin && this.state) {
+            this.close();
+        }
+    }
+
+    /**
+     * Wizard steps
+     */
+    open() {
+        this.state = { step: 'file', error: null, dryRun: true };
+        this.render();
+    }
+
+    close() {
+        this.state = null;
+        this.elements.importDialog.style.display = 'none';
+        this.elements.importDialog.innerHTML = '';
+    }
+
+    async loadFile(file) {
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            if (/\.json$/i.test(file.name) || text.trim().startsWith('{')) {
+                await this.loadBackup(file.name, text);
+                return;
+            }
+            if (this.contactService && this.contactService.detectFormat(text, file.name)) {
+                await this.loadContacts(file.name, text);
+                return;
+            }
+
+            const { headers, rows } = this.importService.parseCsv(text);
+            if (rows.length === 0) {
+                throw new Error('The file has a header row but no users');
+            }
+
+            this.state = {
+                ...this.state,
+                step: 'mapping',
+                error: null,
+                fileName: file.name,
+                headers,
+                rows,
+                mapping: this.importService.suggestMapping(headers)
+            };
+        } catch (error) {
+            this.state.error = `Could not read ${file.name}: ${error.message}`;
+        }
+        this.render();
+    }
+
+    /**
+     * Backups - restored with their ids and timestamps through UserService.importBackup
+     */
+    async loadBackup(fileName, text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        this.state = { ...this.state, step: 'backup', error: null, fileName, backup, strategy: 'skip' };
+        await this.previewBackup();
+    }
+
+    async previewBackup(strategy = this.state.strategy) {
+        const result = await this.userService.importBackup(this.state.backup, { strategy, dryRun: true });
+        if (!result.success) {
+            this.state = { ...this.state, step: 'file', error: result.error };
+            this.render();
+            return;
+        }
+
+        this.state.strategy = strategy;
+        this.state.summary = result.data;
+        this.state.step = 'backup';
+        this.render();
+    }
+
+    async restoreBackup() {
+        const result = await this.userService.importBackup(this.state.backup, { strategy: this.state.strategy });
+        if (!result.success) {
+            this.state.error = result.error;
+            this.render();
+            return;
+        }
+
+        this.state.summary = result.data;
+        this.state.step = 'backupResults';
+        this.render();
+    }
+
+    async downloadBackup() {
+        const backup = await this.userService.exportUsers();
+        const date = backup.exportDate.slice(0, 10);
+        this.downloadFile(`talentkit-users-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    }
+
+    /**
+     * Address book contacts - vCard files and Google/Outlook contact CSVs
+     */
+    async loadContacts(fileName, text) {
+        const result = await this.contactService.importContacts(text, { fileName, dryRun: true });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        this.state = { ...this.state, step: 'contacts', error: null, fileName, contactsText: text, summary: result.data };
+        this.render();
+    }
+
+    async importContacts() {
+        const { contactsText, fileName } = this.state;
+        const result = await this.contactService.importContacts(contactsText, { fileName });
+        if (!result.success) {
+            this.state.error = result.error;
+            this.render();
+            return;
+        }
+
+        this.state.summary = result.data;
+        this.state.step = 'contactsResults';
+        this.render();
+    }
+
+    /**
+     * Export dialog - JSON backup or address book formats
+     */
+    openExport(scope = 'all') {
+        this.state = { step: 'export', scope, error: null };
+        this.render();
+    }
+
+    async runExport() {
+        const format = document.getElementById('exportFormat').value;
+        const scope = document.getElementById('exportScope');
+
+        if (format === 'backup') {
+            await this.downloadBackup();
+        } else {
+            const scopes = {
+                visible: () => this.options.getVisibleUsers(),
+                selected: () => this.options.getSelectedUsers()
+            };
+            const users = scope && scopes[scope.value] ? scopes[scope.value]() : this.userService.getAllUsers();
+            if (users.length === 0) {
+                this.state.error = 'There are no users to export';
+                this.render();
+                return;
+            }
+            const file = this.contactService.exportContacts(users, format);
+            this.downloadFile(file.fileName, file.contents, file.mimeType);
+        }
+        this.close();
+    }
+
+    confirmMapping() {
+        const mapping = {};
+        this.state.headers.forEach((header, index) => {
+            const select = document.getElementById(`importMapping-${index}`);
+            mapping[header] = select ? select.value : '';
+        });
+        this.state.mapping = mapping;
+
+        const validation = this.importService.validateMapping(mapping);
+        if (!validation.isValid) {
+            this.state.error = validation.errors.join('. ');
+            this.render();
+            return;
+        }
+
+        this.importService.rememberMapping(mapping);
+        this.state.records = this.importService.mapRows(this.state.headers, this.state.rows, mapping);
+        this.state.preview = this.importService.previewRows(this.state.records);
+        this.state.step = 'preview';
+        this.state.error = null;
+        this.render();
+    }
+
+    async runImport(dryRun = this.state.dryRun) {
+        const results = await this.importService.importRecords(this.state.records, { dryRun });
+
+        this.state.results = results;
+        this.state.step = 'results';
+        this.render();
+    }
+
+    goTo(step) {
+        this.state.step = step;
+        this.state.error = null;
+        this.render();
+    }
+
+    downloadReport() {
+        const report = this.importService.buildFailureReport(this.state.results.failed);
+        this.downloadFile(`${this.state.fileName.replace(/\.csv$/i, '')}-errors.csv`, report, 'text/csv;charset=utf-8');
+    }
+
+    downloadFile(fileName, contents, type) {
+        const blob = new Blob([contents], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Rendering methods
+     */
+    render() {
+        const steps = {
+            file: () => this.renderFileStep(),
+            mapping: () => this.renderMappingStep(),
+            preview: () => this.renderPreviewStep(),
+            results: () => this.renderResultsStep(),
+            backup: () => this.renderBackupStep(),
+            backupResults: () => this.renderBackupSummary(this.state.summary),
+            contacts: () => this.renderContactsStep(),
+            contactsResults: () => this.renderContactsStep(),
+            export: () => this.renderExportStep()
+        };
+
+        this.elements.importDialog.innerHTML = `
+            <div class="import-dialog-content">
+                <div class="import-dialog-header">
+                    <h3>${this.state.step === 'export' ? 'Export Users' : 'Import Users'}</h3>
+                    <button type="button" class="import-close" onclick="importController.close()">&times;</button>
+                </div>
+                ${this.state.error ? `<p class="import-error">${escapeHtml(this.state.error)}</p>` : ''}
+                ${steps[this.state.step]()}
+            </div>
+        `;
+        this.elements.importDialog.style.display = 'flex';
+
+        if (this.state.step === 'file') {
+            this.bindFileStep();
+        }
+    }
+
+    renderFileStep() {
+        return `
+            <label class="import-dropzone" id="importDropzone">
+                <input type="file" id="importFile" accept=".csv,text/csv,.json,application/json,.vcf,text/vcard">
+                <strong>Drop a CSV file, vCard file or JSON backup here</strong>
+                <span>or click to choose one. CSV files need column headers in the first row.</span>
+            </label>
+        `;
+    }
+
+    bindFileStep() {
+        const dropzone = document.getElementById('importDropzone');
+        const fileInput = document.getElementById('importFile');
+
+        fileInput.addEventListener('change', (e) => this.loadFile(e.target.files[0]));
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragging');
+        });
+        dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragging'));
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragging');
+            this.loadFile(e.dataTransfer.files[0]);
+        });
+    }
+
+    renderMappingStep() {
+        const { headers, rows, mapping, fileName } = this.state;
+        const fieldOptions = (selected) => `
+            <option value="">Do not import</option>
+            ${this.importService.getFields().map(field => `
+                <option value="${field.name}" ${field.name === selected ? 'selected' : ''}>${field.label}</option>
+            `).join('')}
+        `;
+
+        return `
+            <p>${escapeHtml(fileName)}: ${rows.length} row${rows.length === 1 ? '' : 's'}. Choose the user field for each column.</p>
+            <table class="import-table">
+                <thead>
+                    <tr><th>Column</th><th>Example</th><th>Field</th></tr>
+                </thead>
+                <tbody>
+                    ${headers.map((header, index) => `
+                        <tr>
+                            <td>${escapeHtml(header)}</td>
+                            <td class="import-example">${escapeHtml(rows[0][index] || '')}</td>
+                            <td><select id="importMapping-${index}">${fieldOptions(mapping[header])}</select></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="import-actions">
+                <button type="button" class="btn btn-small" onclick="importController.goTo('file')">Back</button>
+                <button type="button" class="btn btn-small" onclick="importController.confirmMapping()">Preview</button>
+            </div>
+        `;
+    }
+
+    renderPreviewStep() {
+        const { preview } = this.state;
+        const fields = this.importService.getFields().filter(field => Object.values(this.state.mapping).includes(field.name));
+        const failing = preview.filter(row => !row.isValid).length;
+        const shown = preview.slice(0, this.options.previewLimit);
+
+        return `
+            <p>
+                <strong>${preview.length - failing}</strong> row${preview.length - failing === 1 ? '' : 's'} ready to import,
+                <strong class="${failing ? 'import-failing' : ''}">${failing}</strong> will fail.
+                ${preview.length > shown.length ? `Showing the first ${shown.length}.` : ''}
+            </p>
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            ${fields.map(field => `<th>${field.label}</th>`).join('')}
+                            <th>Problems</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(row => `
+                            <tr class="${row.isValid ? '' : 'import-row-invalid'}">
+                                <td>${row.rowNumber}</td>
+                                ${fields.map(field => `<td>${escapeHtml(row.data[field.name] || '')}</td>`).join('')}
+                                <td>${escapeHtml(row.errors.join(', '))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <label class="import-dry-run">
+                <input type="checkbox" ${this.state.dryRun ? 'checked' : ''}
+                    onchange="importController.state.dryRun = this.checked">
+                Dry run (check the file without adding any users)
+            </label>
+            <div class="import-actions">
+                <button type="button" class="btn btn-small" onclick="importController.goTo('mapping')">Back</button>
+                <button type="button" class="btn btn-small" onclick="importController.runImport()">Run Import</button>
+            </div>
+        `;
+    }
+
+    renderResultsStep() {
+        const { results } = this.state;
+        const verb = results.dryRun ? 'would be imported' : 'imported';
+
+        return `
+            ${results.dryRun ? '<p class="import-dry-run-note">Dry run: no users were added.</p>' : ''}
+            <p><strong>${results.success.length}</strong> user${results.success.length === 1 ? '' : 's'} ${verb}.</p>
+            <p><strong class="${results.failed.length ? 'import-failing' : ''}">${results.failed.length}</strong>
+                row${results.failed.length === 1 ? '' : 's'} failed.</p>
+            <div class="import-actions">
+                ${results.failed.length ? '<button type="button" class="btn btn-small" onclick="importController.downloadReport()">Download Error Report</button>' : ''}
+                ${results.dryRun ? `
+                    <button type="button" class="btn btn-small" onclick="importController.goTo('preview')">Back</button>
+                    <button type="button" class="btn btn-small" onclick="importController.runImport(false)">Import Now</button>
+                ` : '<button type="button" class="btn btn-small" onclick="importController.close()">Done</button>'}
+            </div>
+        `;
+    }
+
+    renderBackupStep() {
+        const { backup, summary, fileName } = this.state;
+        const strategies = {
+            skip: 'Skip - keep the existing user',
+            overwrite: 'Overwrite - replace the existing user with the backup',
+            merge: 'Merge - combine both, newer values win',
+            rename: 'Rename - import the backup copy as a new user'
+        };
+
+        return `
+            <p>${escapeHtml(fileName)}: ${backup.users.length} user${backup.users.length === 1 ? '' : 's'}
+                (backup version ${summary.version}${backup.exportDate ? `, exported ${new Date(backup.exportDate).toLocaleString()}` : ''}).</p>
+            <div class="form-group">
+                <label for="importStrategy">When a user already exists (same id or email)</label>
+                <select id="importStrategy" onchange="importController.previewBackup(this.value)">
+                    ${Object.keys(strategies).map(strategy => `
+                        <option value="${strategy}" ${strategy === summary.strategy ? 'selected' : ''}>${strategies[strategy]}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <p class="import-dry-run-note">If you restore now:</p>
+            ${this.renderBackupCounts(summary)}
+            <div class="import-actions">
+                <button type="button" class="btn btn-small" onclick="importController.goTo('file')">Back</button>
+                <button type="button" class="btn btn-small" onclick="importController.restoreBackup()">Restore Backup</button>
+            </div>
+        `;
+    }
+
+    renderBackupSummary(summary) {
+        const nameOf = (user) => escapeHtml(`${user.firstName} ${user.lastName}`);
+        const section = (title, items) => items.length ? `
+            <h4>${title}</h4>
+            <ul class="import-summary-list">${items.join('')}</ul>
+        ` : '';
+
+        return `
+            <p class="import-dry-run-note">Backup restored.</p>
+            ${this.renderBackupCounts(summary)}
+            ${section('Renamed', summary.renamed.map(rename =>
+                `<li>${nameOf(rename.user)}: #${rename.from.id} ${escapeHtml(rename.from.email)} &rarr; #${rename.user.id} ${escapeHtml(rename.user.email)}</li>`))}
+            ${section('Failed', summary.failed.map(failure =>
+                `<li>Record ${failure.index + 1}: ${escapeHtml(failure.error)}</li>`))}
+            <div class="import-actions">
+                <button type="button" class="btn btn-small" onclick="importController.close()">Done</button>
+            </div>
+        `;
+    }
+
+    renderBackupCounts(summary) {
+        const counts = [
+            ['created', 'added'],
+            ['overwritten', 'overwritten'],
+            ['merged', 'merged'],
+            ['renamed', 'added under a new id or email'],
+            ['skipped', 'skipped'],
+            ['failed', 'failed']
+        ];
+
+        return `
+            <ul class="import-counts">
+                ${counts.map(([key, label]) => `
+                    <li class="${key === 'failed' && summary.failed.length ? 'import-failing' : ''}">
+                        <strong>${summary[key].length}</strong> ${label}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    renderContactsStep() {
+        const { summary, fileName } = this.state;
+        const isDone = this.state.step === 'contactsResults';
+        const formats = { vcard: 'vCard', google: 'Google Contacts CSV', outlook: 'Outlook CSV' };
+        const counts = [
+            ['created', 'new users'],
+            ['updated', 'existing users updated'],
+            ['unchanged', 'already up to date'],
+            ['failed', 'failed']
+        ];
+
+        return `
+            <p>${escapeHtml(fileName)} (${formats[summary.format]})</p>
+            <p class="import-dry-run-note">${isDone ? 'Contacts imported:' : 'If you import now:'}</p>
+            <ul class="import-counts">
+                ${counts.map(([key, label]) => `
+                    <li class="${key === 'failed' && summary.failed.length ? 'import-failing' : ''}">
+                        <strong>${summary[key].length}</strong> ${label}
+                    </li>
+                `).join('')}
+            </ul>
+            ${summary.failed.length ? `
+                <h4>Failed</h4>
+                <ul class="import-summary-list">
+                    ${summary.failed.map(failure => `
+                        <li>Contact ${failure.index + 1}${failure.data.email ? ` (${escapeHtml(failure.data.email)})` : ''}: ${escapeHtml(failure.error)}</li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <div class="import-actions">
+                ${isDone ?
+                    '<button type="button" class="btn btn-small" onclick="importController.close()">Done</button>' : `
+                    <button type="button" class="btn btn-small" onclick="importController.goTo('file')">Back</button>
+                    <button type="button" class="btn btn-small" onclick="importController.importContacts()">Import Contacts</button>
+                `}
+            </div>
+        `;
+    }
+
+    renderExportStep() {
+        // Backups always hold every user, so a narrower scope starts on an address book format
+        const { scope } = this.state;
+        const selectedCount = this.options.getSelectedUsers ? this.options.getSelectedUsers().length : 0;
+        const contactFormats = this.contactService ? `
+            <option value="vcard3" ${scope !== 'all' ? 'selected' : ''}>vCard 3.0 (.vcf)</option>
+            <option value="vcard4">vCard 4.0 (.vcf)</option>
+            <option value="google">Google Contacts CSV</option>
+            <option value="outlook">Outlook CSV</option>
+        ` : '';
+
+        return `
+            <div class="form-group">
+                <label for="exportFormat">Format</label>
+                <select id="exportFormat">
+                    <option value="backup">TalentKit backup (.json, restores everything)</option>
+                    ${contactFormats}
+                </select>
+            </div>
+            ${this.options.getVisibleUsers || selectedCount ? `
+                <div class="form-group">
+                    <label for="exportScope">Users (address book formats)</label>
+                    <select id="exportScope">
+                        <option value="all">All users</option>
+                        ${this.options.getVisibleUsers ? `
+                            <option value="visible" ${scope === 'visible' ? 'selected' : ''}>Users matching the current search</option>
+                        ` : ''}
+                        ${selectedCount ? `
+                            <option value="selected" ${scope === 'selected' ? 'selected' : ''}>Selected users (${selectedCount})</option>
+                        ` : ''}
+                    </select>
+                </div>
+            ` : ''}
+            <div class="import-actions">
+                <button type="button" class="btn btn-small" onclick="importController.close()">Cancel</button>
+                <button type="button" class="btn btn-small" onclick="importController.runExport()">Download</button>
+            </div>
+        `;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportController;
+} else {
+    window.ImportController = ImportController;
+}
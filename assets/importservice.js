@@ -0,0 +1,302 @@
+/**
+ * ImportService - Pure business logic for importing users from CSV files
+ * Parses CSV text, maps columns onto user fields (remembering earlier
+ * mappings), previews which rows would fail and builds failure reports
+ * No DOM manipulation or UI concerns
+ */
+class ImportService {
+    constructor(userService) {
+        this.userService = userService;
+        this.observers = []; // For notifying UI of changes
+        this.storageKey = 'appointme_import_mappings';
+
+        // Built-in user fields a column can be mapped to, with header names that match them automatically
+        this.fields = [
+            { name: 'firstName', label: 'First name', aliases: ['first', 'firstname', 'givenname', 'fname', 'forename'] },
+            { name: 'lastName', label: 'Last name', aliases: ['last', 'lastname', 'surname', 'familyname', 'lname'] },
+            { name: 'email', label: 'Email', aliases: ['email', 'emailaddress', 'mail'] },
+            { name: 'phone', label: 'Phone', aliases: ['phone', 'phonenumber', 'telephone', 'tel', 'mobile', 'cell'] },
+            { name: 'userType', label: 'User type', aliases: ['usertype', 'type', 'role'] },
+            { name: 'status', label: 'Status', aliases: ['status', 'state'] }
+        ];
+    }
+
+    /**
+     * Observer pattern - allows UI components to listen for changes
+     */
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    unsubscribe(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    notify(event, data) {
+        this.observers.forEach(callback => callback(event, data));
+    }
+
+    /**
+     * CSV parsing (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes)
+     * Returns { headers, rows } where rows are arrays of strings
+     */
+    parseCsv(text) {
+        const input = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(input);
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('The file ends inside a quoted value');
+        }
+        if (field !== '' || record.length) {
+            record.push(field);
+            records.push(record);
+        }
+
+        // Blank lines carry no data
+        const nonEmpty = records.filter(row => row.some(value => value.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            throw new Error('The file is empty');
+        }
+
+        const [headers, ...rows] = nonEmpty;
+        return { headers: headers.map(header => header.trim()), rows };
+    }
+
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const candidates = [',', ';', '\t'];
+        return candidates.reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        , ',');
+    }
+
+    toCsv(headers, rows) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+    }
+
+    /**
+     * Column mapping - { [header]: fieldName | '' }
+     * Mappings the user confirmed before win over automatic matches
+     */
+    suggestMapping(headers) {
+        const remembered = this.loadMappings();
+        const used = new Set();
+        const mapping = {};
+
+        headers.forEach(header => {
+            const key = this.normalizeHeader(header);
+            let field = remembered[key];
+
+            if (!field) {
+                const match = this.getFields().find(candidate =>
+                    candidate.name.toLowerCase() === key || candidate.aliases.includes(key));
+                field = match ? match.name : '';
+            }
+
+            // A field can only be filled from one column
+            mapping[header] = field && !used.has(field) ? field : '';
+            if (mapping[header]) used.add(field);
+        });
+
+        return mapping;
+    }
+
+    rememberMapping(mapping) {
+        const remembered = this.loadMappings();
+        Object.keys(mapping).forEach(header => {
+            remembered[this.normalizeHeader(header)] = mapping[header];
+        });
+        localStorage.setItem(this.storageKey, JSON.stringify(remembered));
+    }
+
+    loadMappings() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    validateMapping(mapping) {
+        const errors = [];
+        const mapped = Object.values(mapping).filter(Boolean);
+
+        ['firstName', 'lastName', 'email', 'phone', 'userType'].forEach(required => {
+            if (!mapped.includes(required)) {
+                errors.push(`No column is mapped to ${this.getFieldLabel(required)}`);
+            }
+        });
+
+        const duplicates = mapped.filter((field, index) => mapped.indexOf(field) !== index);
+        Array.from(new Set(duplicates)).forEach(field => {
+            errors.push(`${this.getFieldLabel(field)} is mapped to more than one column`);
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Turn parsed rows into user data using a mapping
+     * Returns [{ rowNumber, data }] where rowNumber counts the header as row 1
+     */
+    mapRows(headers, rows, mapping) {
+        return rows.map((row, index) => {
+            const data = {};
+            headers.forEach((header, column) => {
+                const field = mapping[header];
+                const value = (row[column] || '').trim();
+                if (!field || value === '') return;
+
+                data[field] = field === 'userType' || field === 'status' ? value.toLowerCase() : value;
+            });
+            return { rowNumber: index + 2, data };
+        });
+    }
+
+    /**
+     * Preview - the errors each row would hit on import, without changing anything
+     */
+    previewRows(records) {
+        const seenEmails = new Set();
+
+        return records.map(record => {
+            const errors = [...this.userService.validateUser(record.data).errors];
+
+            if (record.data.email) {
+                if (this.userService.findUserByEmail(record.data.email)) {
+                    errors.push('A user with this email already exists');
+                } else if (seenEmails.has(this.userService.normalizeEmail(record.data.email))) {
+                    errors.push('This email appears earlier in the file');
+                }
+                seenEmails.add(this.userService.normalizeEmail(record.data.email));
+            }
+
+            if (errors.length === 0 && !this.userService.can('create', null, record.data)) {
+                errors.push('You do not have permission to create this user');
+            }
+
+            return { ...record, errors, isValid: errors.length === 0 };
+        });
+    }
+
+    /**
+     * Import mapped rows through UserService.importUsers
+     * A dry run only reports what would happen
+     * Returns { dryRun, success: [...], failed: [{ rowNumber, userData, error }] }
+     */
+    async importRecords(records, { dryRun = false } = {}) {
+        if (dryRun) {
+            const preview = this.previewRows(records);
+            const results = {
+                dryRun: true,
+                success: preview.filter(row => row.isValid).map(row => row.data),
+                failed: preview.filter(row => !row.isValid).map(row => ({
+                    rowNumber: row.rowNumber,
+                    userData: row.data,
+                    error: row.errors.join(', ')
+                }))
+            };
+            this.notify('importPreviewed', results);
+            return results;
+        }
+
+        const rowNumbers = new Map(records.map(record => [record.data, record.rowNumber]));
+        const imported = await this.userService.importUsers(records.map(record => record.data));
+        const results = {
+            dryRun: false,
+            success: imported.success,
+            failed: imported.failed.map(failure => ({
+                rowNumber: rowNumbers.get(failure.userData),
+                ...failure
+            }))
+        };
+
+        this.notify('importCompleted', results);
+        return results;
+    }
+
+    /**
+     * Failure report as CSV - the original values plus the reason each row failed
+     */
+    buildFailureReport(failed) {
+        const fields = this.getFields();
+        const fieldNames = fields.map(field => field.name);
+        const headers = ['Row', 'Error', ...fields.map(field => field.label)];
+        const rows = failed.map(failure => [
+            failure.rowNumber,
+            failure.error,
+            ...fieldNames.map(name => failure.userData[name])
+        ]);
+        return this.toCsv(headers, rows);
+    }
+
+    /**
+     * Helper methods
+     */
+    normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Built-in fields plus the admin-defined profile fields
+    getFields() {
+        const schema = this.userService.fieldSchema;
+        const customFields = schema ? schema.getFields().map(field => ({
+            name: field.key,
+            label: field.label,
+            aliases: [this.normalizeHeader(field.label), field.key.toLowerCase()]
+        })) : [];
+        return [...this.fields, ...customFields];
+    }
+
+    getFieldLabel(name) {
+        const field = this.getFields().find(candidate => candidate.name === name);
+        return field ? field.label : name;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportService;
+} else {
+    window.ImportService = ImportService;
+}
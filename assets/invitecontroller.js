@@ -0,0 +1,204 @@
+/**
+ * InviteController - Dialog for inviting users by email
+ * Sends invitations and lists the ones not yet accepted, with resend and cancel
+ * Communicates with AuthService (invite codes) and UserService for all business logic
+ */
+class InviteController {
+    constructor(authService, userService) {
+        this.authService = authService;
+        this.userService = userService;
+        this.lastInvitedId = null;
+        this.isOpen = false;
+        this.elements = {};
+        this.init();
+    }
+
+    /**
+     * Initialize controller
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+        this.subscribeToService();
+        this.applyPermissions();
+    }
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            inviteBtn: document.getElementById('inviteBtn'),
+            inviteDialog: document.getElementById('inviteDialog')
+        };
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.inviteBtn.addEventListener('click', () => this.open());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Subscribe to service events (Observer pattern)
+     */
+    subscribeToService() {
+        this.userService.subscribe((event) => {
+            if (event === 'actingUserChanged') {
+                this.applyPermissions();
+            } else if (event === 'usersChanged' && this.isOpen) {
+                this.render();
+            }
+        });
+    }
+
+    applyPermissions() {
+        const actor = this.userService.getActingUser();
+        const isAdmin = !actor || actor.userType === 'admin';
+        this.elements.inviteBtn.style.display = isAdmin ? '' : 'none';
+        if (!isAdmin && this.isOpen) {
+            this.close();
+        }
+    }
+
+    /**
+     * Dialog actions
+     */
+    open() {
+        this.isOpen = true;
+        this.lastInvitedId = null;
+        this.render();
+        document.getElementById('inviteEmail').focus();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.elements.inviteDialog.style.display = 'none';
+        this.elements.inviteDialog.innerHTML = '';
+    }
+
+    async send(e) {
+        e.preventDefault();
+        const email = document.getElementById('inviteEmail').value;
+        const userType = document.getElementById('inviteUserType').value;
+
+        const result = await this.authService.inviteUser(email, userType);
+        if (result.success) {
+            this.lastInvitedId = result.data.user.id;
+            this.render();
+        } else {
+            this.showError(result.error);
+        }
+    }
+
+    async resend(userId) {
+        const result = await this.authService.resendInvitation(userId);
+        if (result.success) {
+            this.lastInvitedId = result.data.user.id;
+            this.render();
+        } else {
+            this.showError(result.error);
+        }
+    }
+
+    async cancel(userId) {
+        const user = this.userService.getUserById(userId);
+        if (!user || !confirm(`Cancel the invitation for ${user.email}? The invited user moves to the trash.`)) return;
+
+        const result = await this.userService.deleteUser(userId);
+        if (!result.success) {
+            this.showError(result.error);
+        }
+    }
+
+    /**
+     * Rendering methods
+     */
+    render() {
+        this.elements.inviteDialog.innerHTML = `
+            <div class="import-dialog-content">
+                <div class="import-dialog-header">
+                    <h3>Invite Users</h3>
+                    <button type="button" class="import-close" onclick="inviteController.close()">&times;</button>
+                </div>
+                <p>The invited user gets a link to complete their own profile and choose a password, which activates their account.</p>
+                <form class="invite-form" onsubmit="inviteController.send(event)">
+                    <div class="form-group">
+                        <label for="inviteEmail">Email</label>
+                        <input type="email" id="inviteEmail" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="inviteUserType">User Type</label>
+                        <select id="inviteUserType">
+                            <option value="client">Client</option>
+                            <option value="provider">Provider</option>
+                            <option value="admin">Admin</option>
+                        </select>
+                    </div>
+                    <button type="submit" class="btn btn-small">Send Invitation</button>
+                </form>
+                <p class="import-error" id="inviteError" style="display: none;"></p>
+                ${this.createSentHTML()}
+                ${this.createInvitationsHTML()}
+            </div>
+        `;
+        this.elements.inviteDialog.style.display = 'flex';
+    }
+
+    createSentHTML() {
+        const user = this.lastInvitedId ? this.userService.getUserById(this.lastInvitedId) : null;
+        if (!user) return '';
+
+        return `
+            <div class="invite-sent">
+                <p>Invitation sent to <strong>${escapeHtml(user.email)}</strong>.</p>
+            </div>
+        `;
+    }
+
+    createInvitationsHTML() {
+        const invitations = this.authService.getInvitations();
+        if (invitations.length === 0) {
+            return '<p class="invite-empty">No open invitations.</p>';
+        }
+
+        return `
+            <h4>Open invitations</h4>
+            <ul class="invite-list">
+                ${invitations.map(({ user, expiresAt, isExpired }) => `
+                    <li class="invite-item">
+                        <div>
+                            <strong>${escapeHtml(user.email)}</strong>
+                            <span class="invite-meta">${escapeHtml(user.userType)} &middot;
+                                ${isExpired ? 'expired' : `expires ${new Date(expiresAt).toLocaleString()}`}</span>
+                        </div>
+                        <div class="schema-field-actions">
+                            <button type="button" class="btn btn-small" onclick="inviteController.resend(${user.id})">Resend</button>
+                            <button type="button" class="btn btn-danger btn-small" onclick="inviteController.cancel(${user.id})">Cancel</button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    showError(message) {
+        const error = document.getElementById('inviteError');
+        error.textContent = message;
+        error.style.display = 'block';
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InviteController;
+} else {
+    window.InviteController = InviteController;
+}
@@ -0,0 +1,156 @@
+/**
+ * Notification delivery channels for NotificationService
+ * Every channel exposes a `name`, resolves the recipient address from a user
+ * and implements `send(message)`, throwing when delivery fails so the
+ * service can retry. Channels that reach the recipient alone are marked
+ * `private`; only those may carry sign-in codes.
+ */
+
+/**
+ * ConsoleChannel - Writes messages to the developer console
+ */
+class ConsoleChannel {
+    constructor() {
+        this.name = 'console';
+        this.private = false; // Readable by anyone at the browser
+    }
+
+    getAddress(user) {
+        return user.email;
+    }
+
+    async send(message) {
+        console.info(`[Notification → ${message.to}] ${message.subject}\n${message.body}`);
+        return { deliveredAt: new Date().toISOString() };
+    }
+}
+
+/**
+ * InAppChannel - Stores messages in a local outbox the UI can read
+ */
+class InAppChannel {
+    constructor(storageKey = 'appointme_outbox') {
+        this.name = 'inApp';
+        this.private = false; // Readable by anyone using this browser
+        this.storageKey = storageKey;
+        this.outbox = [];
+        this.load();
+    }
+
+    getAddress(user) {
+        return String(user.id);
+    }
+
+    async send(message) {
+        const entry = {
+            messageId: message.id,
+            userId: message.userId,
+            subject: message.subject,
+            body: message.body,
+            read: false,
+            deliveredAt: new Date().toISOString()
+        };
+
+        this.outbox.push(entry);
+        this.save();
+        return entry;
+    }
+
+    getMessagesForUser(userId) {
+        return this.outbox.filter(entry => entry.userId === parseInt(userId));
+    }
+
+    markAsRead(messageId) {
+        const entry = this.outbox.find(item => item.messageId === messageId);
+        if (entry) {
+            entry.read = true;
+            this.save();
+        }
+        return entry;
+    }
+
+    load() {
+        if (typeof localStorage === 'undefined') return;
+        const stored = localStorage.getItem(this.storageKey);
+        this.outbox = stored ? JSON.parse(stored) : [];
+    }
+
+    save() {
+        if (typeof localStorage === 'undefined') return;
+        localStorage.setItem(this.storageKey, JSON.stringify(this.outbox));
+    }
+}
+
+/**
+ * HttpChannel - Posts messages as JSON to a delivery endpoint
+ * (a local stub server during development, a real gateway in production)
+ */
+class HttpChannel {
+    constructor(name, endpoint) {
+        this.name = name;
+        this.endpoint = endpoint;
+        this.private = true;
+    }
+
+    async send(message) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                to: message.to,
+                subject: message.subject,
+                body: message.body,
+                messageId: message.id
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`${this.name} delivery failed with status ${response.status}`);
+        }
+
+        return { deliveredAt: new Date().toISOString() };
+    }
+}
+
+/**
+ * EmailChannel - Delivers to the user's email address
+ */
+class EmailChannel extends HttpChannel {
+    constructor(endpoint = 'http://localhost:3001/email') {
+        super('email', endpoint);
+    }
+
+    getAddress(user) {
+        return user.email;
+    }
+}
+
+/**
+ * SmsChannel - Delivers to the user's phone number
+ */
+class SmsChannel extends HttpChannel {
+    constructor(endpoint = 'http://localhost:3001/sms') {
+        super('sms', endpoint);
+    }
+
+    getAddress(user) {
+        // SMS gateways expect the canonical E.164 number
+        return user.phoneE164 || user.phone;
+    }
+
+    async send(message) {
+        // Text messages have no subject line
+        return super.send({ ...message, subject: '' });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConsoleChannel, InAppChannel, HttpChannel, EmailChannel, SmsChannel };
+} else {
+    window.ConsoleChannel = ConsoleChannel;
+    window.InAppChannel = InAppChannel;
+    window.HttpChannel = HttpChannel;
+    window.EmailChannel = EmailChannel;
+    window.SmsChannel = SmsChannel;
+}
\ No newline at end of file
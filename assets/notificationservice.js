@@ -0,0 +1,409 @@
+/**
+ * NotificationService - Pure business logic for outbound messages
+ * Queues templated messages, delivers them through pluggable channels
+ * and retries failed deliveries with exponential backoff
+ * No DOM manipulation or UI concerns
+ */
+class NotificationService {
+    constructor(userService, appointmentService = null, options = {}) {
+        this.userService = userService;
+        this.appointmentService = appointmentService;
+        this.options = {
+            defaultChannels: ['inApp', 'console'],
+            reminderLeadTimes: [24 * 60, 60], // Minutes before an appointment
+            maxAttempts: 5,
+            retryBaseDelay: 30000, // 30 seconds, doubled after every failure
+            historyDays: 30, // Sent and cancelled messages and delivery log entries are dropped after this many days
+            ...options
+        };
+        this.channels = {};
+        this.templates = {};
+        this.queue = [];
+        this.deliveryLog = [];
+        this.nextId = 1;
+        this.observers = []; // For notifying UI of changes
+        this.storageKey = 'appointme_notifications';
+
+        this.registerDefaultTemplates();
+        this.subscribeToServices();
+    }
+
+    /**
+     * Observer pattern - allows UI components to listen for changes
+     */
+    subscribe(callback) {
+        this.observers.push(callback);
+    }
+
+    unsubscribe(callback) {
+        this.observers = this.observers.filter(obs => obs !== callback);
+    }
+
+    notify(event, data) {
+        this.observers.forEach(callback => callback(event, data));
+    }
+
+    /**
+     * Channel and template registration
+     */
+    registerChannel(channel) {
+        this.channels[channel.name] = channel;
+    }
+
+    getChannel(name) {
+        return this.channels[name];
+    }
+
+    // Sensitive templates carry a sign-in code: they only go out through private
+    // channels and their text is dropped once delivered (see redactMessage)
+    registerTemplate(id, template) {
+        this.templates[id] = { subject: '', body: '', sensitive: false, ...template };
+    }
+
+    // Default channels that reach the recipient alone (email, SMS)
+    getPrivateChannels() {
+        return this.options.defaultChannels.filter(name => this.channels[name] && this.channels[name].private);
+    }
+
+    registerDefaultTemplates() {
+        this.registerTemplate('welcome', {
+            subject: 'Welcome to TalentKit, {{firstName}}!',
+            body: 'Hi {{firstName}},\n\nYour {{userType}} account has been created with {{email}}.\n\nThe TalentKit team'
+        });
+
+        this.registerTemplate('appointmentReminder', {
+            subject: 'Reminder: appointment on {{appointmentTime}}',
+            body: 'Hi {{firstName}},\n\nThis is a reminder of your appointment with {{otherParty}} on {{appointmentTime}}.\n\nThe TalentKit team'
+        });
+    }
+
+    /**
+     * Service event wiring - welcome messages and appointment reminders
+     */
+    subscribeToServices() {
+        this.userService.subscribe((event, data) => {
+            // Invited users are welcomed once they have completed their profile
+            if (event === 'userCreated' && !this.userService.isAwaitingOnboarding(data)) {
+                this.queueMessage(data.id, 'welcome');
+            } else if (event === 'userOnboarded') {
+                this.queueMessage(data.updated.id, 'welcome');
+            }
+        });
+
+        if (!this.appointmentService) return;
+
+        this.appointmentService.subscribe((event, data) => {
+            switch (event) {
+                case 'appointmentCreated':
+                    this.scheduleReminders(data);
+                    break;
+                case 'appointmentRescheduled':
+                    this.cancelMessages(msg => msg.meta.appointmentId === data.updated.id);
+                    this.scheduleReminders(data.updated);
+                    break;
+                case 'appointmentCancelled':
+                    this.cancelMessages(msg => msg.meta.appointmentId === data.id);
+                    break;
+            }
+        });
+    }
+
+    scheduleReminders(appointment) {
+        const start = new Date(appointment.start);
+        const participants = [
+            { userId: appointment.clientId, otherId: appointment.providerId },
+            { userId: appointment.providerId, otherId: appointment.clientId }
+        ];
+
+        this.options.reminderLeadTimes.forEach(minutes => {
+            const sendAt = new Date(start.getTime() - minutes * 60000);
+            if (sendAt <= new Date()) return;
+
+            participants.forEach(({ userId, otherId }) => {
+                const other = this.userService.getUserById(otherId);
+                this.queueMessage(userId, 'appointmentReminder', {
+                    appointmentTime: start.toLocaleString(),
+                    otherParty: other ? `${other.firstName} ${other.lastName}` : 'your provider'
+                }, {
+                    sendAt,
+                    meta: { appointmentId: appointment.id, leadMinutes: minutes }
+                });
+            });
+        });
+    }
+
+    /**
+     * Core business logic methods
+     */
+    async queueMessage(userId, templateId, context = {}, options = {}) {
+        try {
+            const user = this.userService.getUserById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const template = this.templates[templateId];
+            if (!template) {
+                throw new Error(`Unknown template: ${templateId}`);
+            }
+
+            let channelNames = options.channels || this.options.defaultChannels;
+            const missing = channelNames.filter(name => !this.channels[name]);
+            if (missing.length) {
+                throw new Error(`Unknown channel: ${missing.join(', ')}`);
+            }
+
+            if (template.sensitive) {
+                channelNames = channelNames.filter(name => this.channels[name].private);
+                if (channelNames.length === 0) {
+                    throw new Error(`Template ${templateId} needs an email or SMS channel`);
+                }
+            }
+
+            const renderContext = { ...user, ...context };
+            const sendAt = new Date(options.sendAt || Date.now()).toISOString();
+
+            const messages = channelNames.map(name => ({
+                id: this.nextId++,
+                userId: user.id,
+                channel: name,
+                to: this.channels[name].getAddress(user),
+                templateId,
+                subject: this.renderTemplate(template.subject, renderContext),
+                body: this.renderTemplate(template.body, renderContext),
+                sensitive: template.sensitive,
+                status: 'queued',
+                attempts: 0,
+                sendAt,
+                nextAttemptAt: sendAt,
+                meta: options.meta || {},
+                createdAt: new Date().toISOString()
+            }));
+
+            this.queue.push(...messages);
+
+            this.notify('messagesQueued', messages);
+            this.notify('queueChanged', this.queue);
+
+            return { success: true, data: messages };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'queue' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Deliver every message that is due. Failed deliveries are retried
+     * after retryBaseDelay * 2^(attempts - 1) until maxAttempts is reached.
+     * Due messages are marked 'sending' first, so a run that starts while
+     * another is still waiting on a channel never delivers them twice.
+     */
+    async processQueue(now = new Date()) {
+        const pruned = this.pruneHistory(now);
+        const due = this.queue.filter(msg =>
+            msg.status === 'queued' && new Date(msg.nextAttemptAt) <= now
+        );
+        due.forEach(msg => { msg.status = 'sending'; });
+
+        for (const message of due) {
+            await this.deliver(message, now);
+        }
+
+        if (due.length || pruned) {
+            this.notify('queueChanged', this.queue);
+        }
+
+        return { success: true, data: { processed: due.length, pruned } };
+    }
+
+    // Drops sent and cancelled messages and delivery log entries older than historyDays
+    pruneHistory(now = new Date()) {
+        const cutoff = new Date(now).getTime() - this.options.historyDays * 24 * 60 * 60 * 1000;
+        const isOld = (at) => Boolean(at) && new Date(at).getTime() < cutoff;
+
+        const queued = this.queue.length;
+        this.queue = this.queue.filter(msg =>
+            !(msg.status === 'sent' && isOld(msg.sentAt)) && !(msg.status === 'cancelled' && isOld(msg.cancelledAt || msg.createdAt))
+        );
+        const logged = this.deliveryLog.length;
+        this.deliveryLog = this.deliveryLog.filter(entry => !isOld(entry.at));
+
+        return (queued - this.queue.length) + (logged - this.deliveryLog.length);
+    }
+
+    async deliver(message, now = new Date()) {
+        const channel = this.channels[message.channel];
+        message.attempts++;
+
+        try {
+            if (!channel) {
+                throw new Error(`Channel ${message.channel} is not registered`);
+            }
+
+            await channel.send(message);
+
+            message.status = 'sent';
+            message.sentAt = new Date().toISOString();
+            this.redactMessage(message);
+            this.logDelivery(message, 'sent');
+            this.notify('messageSent', message);
+
+        } catch (error) {
+            message.lastError = error.message;
+
+            if (message.attempts >= this.options.maxAttempts) {
+                message.status = 'failed';
+                this.redactMessage(message);
+                this.logDelivery(message, 'failed', error.message);
+                this.notify('messageFailed', message);
+            } else {
+                const delay = this.options.retryBaseDelay * Math.pow(2, message.attempts - 1);
+                message.status = 'queued';
+                message.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+                this.logDelivery(message, 'retrying', error.message);
+                this.notify('messageRetrying', message);
+            }
+        }
+
+        return message;
+    }
+
+    cancelMessages(predicate) {
+        const cancelled = this.queue.filter(msg => msg.status === 'queued' && predicate(msg));
+        cancelled.forEach(msg => {
+            msg.status = 'cancelled';
+            msg.cancelledAt = new Date().toISOString();
+            this.redactMessage(msg);
+            this.logDelivery(msg, 'cancelled');
+        });
+
+        if (cancelled.length) {
+            this.notify('queueChanged', this.queue);
+        }
+        return cancelled;
+    }
+
+    // Drops the text of a sensitive message once it will not be sent again
+    redactMessage(message) {
+        if (message.sensitive) {
+            message.body = '';
+        }
+        return message;
+    }
+
+    logDelivery(message, status, error = null) {
+        this.deliveryLog.push({
+            messageId: message.id,
+            userId: message.userId,
+            channel: message.channel,
+            templateId: message.templateId,
+            attempt: message.attempts,
+            status,
+            error,
+            at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Query methods
+     */
+    getQueuedMessages() {
+        return this.queue.filter(msg => msg.status === 'queued');
+    }
+
+    getMessagesForUser(userId) {
+        return this.queue.filter(msg => msg.userId === parseInt(userId));
+    }
+
+    getDeliveryLog(userId) {
+        return this.deliveryLog.filter(entry => entry.userId === parseInt(userId));
+    }
+
+    /**
+     * Template rendering - replaces {{field}} with values from the context
+     */
+    renderTemplate(template, context) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+            context[key] !== undefined && context[key] !== null ? String(context[key]) : ''
+        );
+    }
+
+    /**
+     * Scheduler - periodically delivers due messages
+     */
+    start(interval = 15000) { // 15 seconds
+        this.stop();
+        this.processQueue();
+        this.schedulerInterval = setInterval(() => {
+            this.processQueue();
+        }, interval);
+    }
+
+    stop() {
+        if (this.schedulerInterval) {
+            clearInterval(this.schedulerInterval);
+            this.schedulerInterval = null;
+        }
+    }
+
+    /**
+     * Data persistence methods
+     */
+    async loadNotifications() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const data = JSON.parse(stored);
+                this.queue = data.queue || [];
+                this.deliveryLog = data.deliveryLog || [];
+
+                // A delivery cut short by closing the page is tried again. Sensitive messages
+                // are saved without their text, though, so those can no longer be sent
+                this.queue
+                    .filter(msg => msg.status === 'sending')
+                    .forEach(msg => { msg.status = 'queued'; });
+                this.queue
+                    .filter(msg => msg.sensitive && msg.status === 'queued')
+                    .forEach(msg => {
+                        msg.status = 'cancelled';
+                        msg.cancelledAt = new Date().toISOString();
+                        msg.lastError = 'Not delivered before the page was closed';
+                    });
+                // Pruned messages no longer show the highest id, so it is stored as well
+                this.nextId = data.nextId || this.queue.reduce((max, msg) => Math.max(max, msg.id), 0) + 1;
+            }
+
+            this.notify('notificationsLoaded', this.queue);
+            return { success: true, data: this.queue };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'load' });
+            return { success: false, error: error.message };
+        }
+    }
+
+    async saveNotifications() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                queue: this.queue.map(msg => msg.sensitive ? { ...msg, body: '' } : msg),
+                deliveryLog: this.deliveryLog,
+                nextId: this.nextId
+            }));
+
+            this.notify('notificationsSaved', this.queue);
+            return { success: true };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'save' });
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationService;
+} else {
+    window.NotificationService = NotificationService;
+}
\ No newline at end of file
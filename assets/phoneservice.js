@@ -0,0 +1,171 @@
+/**
+ * PhoneService - Pure business logic for parsing and formatting phone numbers
+ * Numbers are stored in E.164 ("+15551234567") next to a display format;
+ * numbers written without a country code are read in the default country
+ * No DOM manipulation or UI concerns
+ */
+class PhoneService {
+    constructor(defaultCountry = 'US') {
+        this.defaultCountry = defaultCountry;
+
+        // Calling code, trunk prefix dialled before national numbers, valid national
+        // number lengths and how the national number is grouped for display
+        this.countries = {
+            US: { callingCode: '1', trunkPrefix: '1', lengths: [10], groups: [3, 3, 4] },
+            CA: { callingCode: '1', trunkPrefix: '1', lengths: [10], groups: [3, 3, 4] },
+            GB: { callingCode: '44', trunkPrefix: '0', lengths: [9, 10], groups: [2, 4, 4] },
+            IE: { callingCode: '353', trunkPrefix: '0', lengths: [7, 8, 9], groups: [2, 3, 4] },
+            FR: { callingCode: '33', trunkPrefix: '0', lengths: [9], groups: [1, 2, 2, 2, 2] },
+            DE: { callingCode: '49', trunkPrefix: '0', lengths: [6, 7, 8, 9, 10, 11, 12, 13], groups: [3, 8] },
+            NL: { callingCode: '31', trunkPrefix: '0', lengths: [9], groups: [2, 3, 4] },
+            BE: { callingCode: '32', trunkPrefix: '0', lengths: [8, 9], groups: [3, 2, 2, 2] },
+            CH: { callingCode: '41', trunkPrefix: '0', lengths: [9], groups: [2, 3, 2, 2] },
+            ES: { callingCode: '34', trunkPrefix: '', lengths: [9], groups: [3, 3, 3] },
+            IT: { callingCode: '39', trunkPrefix: '', lengths: [6, 7, 8, 9, 10, 11], groups: [3, 3, 4] },
+            SE: { callingCode: '46', trunkPrefix: '0', lengths: [7, 8, 9], groups: [2, 3, 2, 2] },
+            AU: { callingCode: '61', trunkPrefix: '0', lengths: [9], groups: [1, 4, 4] },
+            NZ: { callingCode: '64', trunkPrefix: '0', lengths: [8, 9, 10], groups: [2, 3, 4] },
+            IN: { callingCode: '91', trunkPrefix: '0', lengths: [10], groups: [5, 5] },
+            JP: { callingCode: '81', trunkPrefix: '0', lengths: [9, 10], groups: [2, 4, 4] },
+            BR: { callingCode: '55', trunkPrefix: '0', lengths: [10, 11], groups: [2, 5, 4] },
+            MX: { callingCode: '52', trunkPrefix: '', lengths: [10], groups: [2, 4, 4] },
+            ZA: { callingCode: '27', trunkPrefix: '0', lengths: [9], groups: [2, 3, 4] }
+        };
+    }
+
+    /**
+     * Parsing
+     * Returns { isValid, error, e164, display, country }
+     */
+    parse(input, country = this.defaultCountry) {
+        const text = String(input || '').trim();
+
+        if (text === '') {
+            return this.invalid('Phone number is required');
+        }
+        if (!/^\+?[\d\s().\-\/]+$/.test(text)) {
+            return this.invalid('Phone number can only contain digits, spaces and + ( ) - . /');
+        }
+
+        let digits = this.digits(text);
+        let international = text.startsWith('+');
+
+        // International dialling prefixes: 00 almost everywhere, 011 from North America
+        const defaults = this.countries[country];
+        if (!international && defaults && defaults.callingCode === '1' && digits.startsWith('011')) {
+            digits = digits.slice(3);
+            international = true;
+        } else if (!international && digits.startsWith('00')) {
+            digits = digits.slice(2);
+            international = true;
+        }
+
+        if (international) {
+            return this.parseInternational(digits);
+        }
+
+        if (!defaults) {
+            return this.invalid('Phone number needs a country code, e.g. +44');
+        }
+        return this.parseNational(digits, country);
+    }
+
+    parseInternational(digits) {
+        if (digits.length < 8 || digits.length > 15) {
+            return this.invalid('Phone number must have between 8 and 15 digits including the country code');
+        }
+
+        const country = this.findCountry(digits);
+        if (!country) {
+            // Countries without metadata are kept as entered, only the overall length is checked
+            return this.valid(`+${digits}`, `+${digits}`, null);
+        }
+
+        const { callingCode } = this.countries[country];
+        return this.parseNational(digits.slice(callingCode.length), country);
+    }
+
+    parseNational(digits, country) {
+        const metadata = this.countries[country];
+        let national = digits;
+
+        // National numbers never start with the trunk prefix, so it is dropped
+        // both from "020 7946 0958" and from "+44 (0)20 7946 0958"
+        if (metadata.trunkPrefix && national.startsWith(metadata.trunkPrefix)) {
+            national = national.slice(metadata.trunkPrefix.length);
+        }
+
+        if (!metadata.lengths.includes(national.length)) {
+            return this.invalid(`Phone number is not a valid ${country} number`);
+        }
+        // North American area codes never start with 0 or 1
+        if (metadata.callingCode === '1' && /^[01]/.test(national)) {
+            return this.invalid(`Phone number has an invalid area code for ${country}`);
+        }
+
+        const e164 = `+${metadata.callingCode}${national}`;
+        return this.valid(e164, this.formatNational(national, metadata), country);
+    }
+
+    /**
+     * Formatting
+     */
+    format(e164) {
+        const parsed = this.parse(e164);
+        return parsed.isValid ? parsed.display : String(e164 || '');
+    }
+
+    formatNational(national, metadata) {
+        if (metadata.callingCode === '1') {
+            return `+1 (${national.slice(0, 3)}) ${national.slice(3, 6)}-${national.slice(6)}`;
+        }
+
+        // Group from the left; numbers longer than the pattern keep the rest in the last group
+        const parts = [];
+        let position = 0;
+        metadata.groups.forEach((size, index) => {
+            if (position >= national.length) return;
+            const end = index === metadata.groups.length - 1 ? national.length : position + size;
+            parts.push(national.slice(position, end));
+            position = end;
+        });
+        return `+${metadata.callingCode} ${parts.join(' ')}`;
+    }
+
+    /**
+     * Helper methods
+     */
+    digits(value) {
+        return String(value || '').replace(/\D/g, '');
+    }
+
+    findCountry(digits) {
+        // Calling codes are prefix-free, so at most one of the 1-3 digit prefixes matches;
+        // the default country wins for codes shared by several countries
+        for (let length = 1; length <= 3; length++) {
+            const code = digits.slice(0, length);
+            const defaults = this.countries[this.defaultCountry];
+            if (defaults && defaults.callingCode === code) {
+                return this.defaultCountry;
+            }
+            const country = Object.keys(this.countries).find(key => this.countries[key].callingCode === code);
+            if (country) return country;
+        }
+        return null;
+    }
+
+    valid(e164, display, country) {
+        return { isValid: true, error: null, e164, display, country };
+    }
+
+    invalid(error) {
+        return { isValid: false, error, e164: null, display: null, country: null };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhoneService;
+} else {
+    window.PhoneService = PhoneService;
+}
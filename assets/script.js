@@ -8,10 +8,40 @@ const AppConfig = {
     autoSave: true,
     autoSaveInterval: 30000, // 30 seconds
     debug: true,
+    storage: {
+        adapter: 'localStorage', // 'localStorage' | 'indexedDB' | 'memory' | 'http'
+        storageKey: 'appointme_users',
+        databaseName: 'appointme',
+        baseUrl: '/api/users',
+        schemaUrl: '/api/field-schema', // With the http adapter the profile field schema is kept on the server too
+        setupUrl: '/api/setup' // ...and whether the first admin password has been chosen
+    },
+    trash: {
+        retentionDays: 30 // Deleted users can be restored until they are purged after this many days
+    },
+    lifecycle: {
+        idleDays: 90, // Active users who have not signed in for this many days become inactive (0 = never)
+        checkInterval: 60 * 60 * 1000 // 1 hour; also lifts suspensions that have ended
+    },
+    phone: {
+        defaultCountry: 'US' // Numbers entered without a country code are read as numbers of this country
+    },
     features: {
         notifications: true,
         keyboardShortcuts: true,
         autoComplete: false
+    },
+    notifications: {
+        channels: ['inApp', 'console'], // Add 'email' / 'sms' to deliver through the endpoints below; password resets and invitations need one
+        emailEndpoint: 'http://localhost:3001/email',
+        smsEndpoint: 'http://localhost:3001/sms',
+        reminderLeadTimes: [24 * 60, 60], // Minutes before an appointment
+        processInterval: 15000 // 15 seconds
+    },
+    auth: {
+        enabled: true,
+        idleTimeout: 30 * 60000, // 30 minutes
+        inviteTokenTtl: 7 * 24 * 60 * 60000 // Invitations expire after 7 days
     }
 };
 
@@ -39,6 +69,11 @@ class AppointMeApp {
             // Initialize services (business logic)
             await this.initializeServices();
             
+            // Require sign-in before any user interface is shown
+            if (this.config.auth.enabled) {
+                await this.authenticate();
+            }
+            
             // Initialize controllers (UI logic)
             await this.initializeControllers();
             
@@ -67,19 +102,165 @@ class AppointMeApp {
     async initializeServices() {
         this.log('Initializing services...');
         
-        // User service
-        this.services.userService = new UserService();
+        // User service, persisted through the configured storage adapter
+        this.services.userService = new UserService(createStorageAdapter(this.config.storage));
+        this.services.userService.trashRetentionDays = this.config.trash.retentionDays;
+        this.services.userService.idleDays = this.config.lifecycle.idleDays;
+        this.services.userService.setPhoneService(new PhoneService(this.config.phone.defaultCountry));
+        
+        // Profile field schema (admin-defined fields per user type, used by validation)
+        this.services.fieldSchemaService = new FieldSchemaService(this.services.userService,
+            this.config.storage.adapter === 'http' ? this.config.storage.schemaUrl : null);
+        await this.services.fieldSchemaService.loadSchema();
+        this.services.userService.setFieldSchema(this.services.fieldSchemaService);
+        this.services.fieldSchemaService.subscribe((event) => {
+            if (event === 'schemaChanged') {
+                this.services.fieldSchemaService.saveSchema();
+            }
+        });
+        
+        // Audit service (records every change to user records)
+        this.services.auditService = new AuditService(this.services.userService);
+        await this.services.auditService.loadAudit();
+        this.services.auditService.subscribe((event) => {
+            if (event === 'auditChanged') {
+                this.services.auditService.saveAudit();
+            }
+        });
+        
+        // Duplicate finder (scores likely duplicate users for review and merging)
+        this.services.duplicateService = new DuplicateService(this.services.userService);
+        this.services.duplicateService.loadDismissed();
+        
+        // Users are needed for sign-in, so load them before any controller exists
+        await this.services.userService.loadUsers();
+        await this.services.userService.purgeExpiredUsers();
+        await this.services.userService.applyLifecycleRules();
+        await this.services.userService.saveUsers();
+        this.services.userService.enableLifecycleRules(this.config.lifecycle.checkInterval);
         
         // Enable auto-save if configured
         if (this.config.autoSave) {
             this.services.userService.enableAutoSave(this.config.autoSaveInterval);
         }
         
-        // Future services can be added here:
-        // this.services.appointmentService = new AppointmentService();
-        // this.services.availabilityService = new AvailabilityService();
-        // this.services.notificationService = new NotificationService();
-        // this.services.chatbotService = new ChatbotService();
+        // Appointment service (books clients with providers from the user service)
+        this.services.appointmentService = new AppointmentService(this.services.userService);
+        await this.services.appointmentService.loadAppointments();
+        
+        // Providers may see the clients they have appointments with
+        this.services.userService.setClientRelationship((providerId, clientId) =>
+            this.services.appointmentService.getAppointmentsForUser(clientId)
+                .some(appointment => appointment.providerId === providerId)
+        );
+        
+        // Persist appointments whenever they change
+        this.services.appointmentService.subscribe((event) => {
+            if (event === 'appointmentsChanged') {
+                this.services.appointmentService.saveAppointments();
+            }
+        });
+        
+        if (this.config.autoSave) {
+            this.services.appointmentService.enableAutoSave(this.config.autoSaveInterval);
+        }
+        
+        // Availability service (provider working hours and bookable slots)
+        this.services.availabilityService = new AvailabilityService(
+            this.services.userService,
+            this.services.appointmentService
+        );
+        await this.services.availabilityService.loadAvailability();
+        
+        this.services.availabilityService.subscribe((event) => {
+            if (event === 'availabilityChanged') {
+                this.services.availabilityService.saveAvailability();
+            }
+        });
+        
+        // Notification service (welcome messages, reminders and delivery channels)
+        if (this.config.features.notifications) {
+            this.initializeNotifications();
+        }
+        
+        // Auth service (sign-in, sessions, password resets and invitations)
+        this.services.authService = new AuthService(
+            this.services.userService,
+            this.services.notificationService || null,
+            {
+                idleTimeout: this.config.auth.idleTimeout,
+                inviteTokenTtl: this.config.auth.inviteTokenTtl,
+                inviteUrl: window.location.origin + window.location.pathname
+            }
+        );
+        await this.services.authService.loadSetupState();
+        
+        // Import service (CSV parsing, column mapping and previews)
+        this.services.importService = new ImportService(this.services.userService);
+        
+        // Contact service (vCard and Google/Outlook contact CSV)
+        this.services.contactService = new ContactService(
+            this.services.userService,
+            this.services.importService
+        );
+        
+        // Chatbot service (offline booking assistant)
+        this.services.chatbotService = new ChatbotService(
+            this.services.userService,
+            this.services.appointmentService,
+            this.services.availabilityService
+        );
+    }
+
+    /**
+     * Show the sign-in screen and wait until someone is signed in
+     */
+    async authenticate() {
+        this.log('Waiting for sign-in...');
+        
+        this.controllers.authController = new AuthController(this.services.authService, {
+            fieldSchemaService: this.services.fieldSchemaService
+        });
+        
+        const user = await this.controllers.authController.authenticate();
+        this.log(`Signed in as ${user.email}`);
+    }
+
+    /**
+     * The signed-in user, for other services and scripts
+     */
+    get currentUser() {
+        return this.services.authService ? this.services.authService.getCurrentUser() : null;
+    }
+
+    /**
+     * Notification service with the configured delivery channels
+     */
+    initializeNotifications() {
+        const settings = this.config.notifications;
+        const notificationService = new NotificationService(
+            this.services.userService,
+            this.services.appointmentService,
+            {
+                defaultChannels: settings.channels,
+                reminderLeadTimes: settings.reminderLeadTimes
+            }
+        );
+        
+        notificationService.registerChannel(new ConsoleChannel());
+        notificationService.registerChannel(new InAppChannel());
+        notificationService.registerChannel(new EmailChannel(settings.emailEndpoint));
+        notificationService.registerChannel(new SmsChannel(settings.smsEndpoint));
+        
+        notificationService.loadNotifications();
+        notificationService.subscribe((event) => {
+            if (event === 'queueChanged') {
+                notificationService.saveNotifications();
+            }
+        });
+        notificationService.start(settings.processInterval);
+        
+        this.services.notificationService = notificationService;
     }
 
     /**
@@ -89,15 +270,74 @@ class AppointMeApp {
         this.log('Initializing controllers...');
         
         // User UI controller
-        this.controllers.userUIController = new UserUIController(this.services.userService);
+        this.controllers.userUIController = new UserUIController(
+            this.services.userService,
+            this.services.auditService,
+            this.services.fieldSchemaService
+        );
         
         // Make controller globally accessible for onclick handlers
         window.userUIController = this.controllers.userUIController;
         
+        // Calendar controller (day/week/month provider schedules)
+        // Only admins book, reschedule and cancel from the calendar
+        const isAdmin = () => {
+            const actor = this.services.userService.getActingUser();
+            return !actor || actor.userType === 'admin';
+        };
+        this.controllers.calendarController = new CalendarController(
+            this.services.appointmentService,
+            this.services.availabilityService,
+            this.services.userService,
+            { canBook: isAdmin, canManage: isAdmin }
+        );
+        window.calendarController = this.controllers.calendarController;
+        
+        // Import controller (CSV, backup and contact import, export dialog)
+        this.controllers.importController = new ImportController(
+            this.services.importService,
+            this.services.userService,
+            this.services.contactService,
+            {
+                getVisibleUsers: () => this.controllers.userUIController.getVisibleUsers(),
+                getSelectedUsers: () => this.controllers.userUIController.getSelectedUsers()
+            }
+        );
+        window.importController = this.controllers.importController;
+        
+        // Profile field manager (admins define extra fields per user type)
+        this.controllers.fieldSchemaController = new FieldSchemaController(
+            this.services.fieldSchemaService,
+            this.services.userService
+        );
+        window.fieldSchemaController = this.controllers.fieldSchemaController;
+        
+        // Duplicate review (admins merge likely duplicate users)
+        this.controllers.duplicateController = new DuplicateController(
+            this.services.duplicateService,
+            this.services.userService,
+            this.services.fieldSchemaService
+        );
+        window.duplicateController = this.controllers.duplicateController;
+        
+        // Analytics dashboard (admins chart sign-ups, activity and churn)
+        this.controllers.dashboardController = new DashboardController(this.services.userService);
+        window.dashboardController = this.controllers.dashboardController;
+        
+        // Invitations (admins invite users who then complete their own profile)
+        this.controllers.inviteController = new InviteController(
+            this.services.authService,
+            this.services.userService
+        );
+        window.inviteController = this.controllers.inviteController;
+        
+        // Chatbot controller (assistant widget)
+        this.controllers.chatbotController = new ChatbotController(this.services.chatbotService, {
+            getContext: () => ({ userId: this.currentUser ? this.currentUser.id : null })
+        });
+        
         // Future controllers can be added here:
         // this.controllers.appointmentUIController = new AppointmentUIController();
-        // this.controllers.calendarController = new CalendarController();
-        // this.controllers.chatbotController = new ChatbotController();
     }
 
     /**
@@ -133,4 +373,86 @@ class AppointMeApp {
      * Global keyboard shortcuts
      */
     setupGlobalShortcuts() {
-        document.addEventListener
\ No newline at end of file
+        // "/" focuses the user search from anywhere outside a text field
+        document.addEventListener('keydown', (e) => {
+            const isTextField = e.target.closest && e.target.closest('input, textarea, select');
+            if (e.key === '/' && !isTextField && !e.ctrlKey && !e.metaKey) {
+                const search = document.getElementById('searchUsers');
+                if (search) {
+                    e.preventDefault();
+                    search.focus();
+                }
+            }
+        });
+    }
+
+    /**
+     * Log how long the page took to become usable
+     */
+    setupPerformanceMonitoring() {
+        if (!window.performance) return;
+        
+        window.addEventListener('load', () => {
+            this.log(`Page loaded in ${Math.round(performance.now())}ms`);
+        });
+    }
+
+    /**
+     * Expose services and controllers on the console while debugging
+     */
+    setupDebugTools() {
+        window.appDebug = {
+            app: this,
+            config: this.config,
+            services: this.services,
+            controllers: this.controllers
+        };
+        this.log('Debug tools available as window.appDebug');
+    }
+
+    handleGlobalError(error) {
+        console.error('Unhandled error:', error);
+        
+        const userUIController = this.controllers.userUIController;
+        if (userUIController) {
+            userUIController.showNotification('Something went wrong. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Replace the page with an error message when the application cannot start
+     */
+    showErrorScreen(error) {
+        const screen = document.createElement('div');
+        screen.className = 'container';
+        screen.innerHTML = `
+            <h1>AppointMe could not start</h1>
+            <p class="error-message"></p>
+            <button type="button" class="btn" onclick="window.location.reload()">Reload</button>
+        `;
+        screen.querySelector('.error-message').textContent = error && error.message ? error.message : String(error);
+        
+        document.body.innerHTML = '';
+        document.body.appendChild(screen);
+    }
+
+    log(message) {
+        if (this.config.debug) {
+            console.log(`[AppointMe] ${message}`);
+        }
+    }
+}
+
+// Start the application once the page is ready
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        app = new AppointMeApp();
+        window.app = app;
+        app.init();
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AppointMeApp, AppConfig };
+}
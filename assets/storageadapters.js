@@ -0,0 +1,304 @@
+/**
+ * Storage adapters for UserService persistence
+ * Every adapter implements the same async interface:
+ *   loadAll()          -> array of records, or null when nothing was stored yet
+ *   saveRecord(record) -> create or replace a single record by id
+ *   deleteRecord(id)   -> remove a single record
+ *   saveAll(records)   -> replace the whole collection
+ * Adapters backed by a shared server may also implement isSetupCompleted() and
+ * completeSetup(), so first-run setup happens once for every browser
+ */
+
+/**
+ * MemoryStorageAdapter - Keeps records in memory (tests, demos, Node)
+ */
+class MemoryStorageAdapter {
+    constructor(initialRecords = null) {
+        this.records = initialRecords ? new Map(initialRecords.map(record => [record.id, { ...record }])) : null;
+    }
+
+    async loadAll() {
+        return this.records ? Array.from(this.records.values()).map(record => ({ ...record })) : null;
+    }
+
+    async saveRecord(record) {
+        if (!this.records) this.records = new Map();
+        this.records.set(record.id, { ...record });
+    }
+
+    async deleteRecord(id) {
+        if (this.records) this.records.delete(id);
+    }
+
+    async saveAll(records) {
+        this.records = new Map(records.map(record => [record.id, { ...record }]));
+    }
+}
+
+/**
+ * LocalStorageAdapter - One localStorage entry per record plus an id index
+ * Migrates the legacy single-array format stored under the prefix key
+ */
+class LocalStorageAdapter {
+    constructor(prefix = 'appointme_users') {
+        this.prefix = prefix;
+        this.indexKey = `${prefix}_ids`;
+    }
+
+    recordKey(id) {
+        return `${this.prefix}:${id}`;
+    }
+
+    async loadAll() {
+        const index = localStorage.getItem(this.indexKey);
+        if (index) {
+            return JSON.parse(index)
+                .map(id => localStorage.getItem(this.recordKey(id)))
+                .filter(Boolean)
+                .map(record => JSON.parse(record));
+        }
+
+        // Legacy format: the whole array under a single key
+        const legacy = localStorage.getItem(this.prefix);
+        if (legacy) {
+            const records = JSON.parse(legacy);
+            await this.saveAll(records);
+            localStorage.removeItem(this.prefix);
+            return records;
+        }
+
+        return null;
+    }
+
+    async saveRecord(record) {
+        localStorage.setItem(this.recordKey(record.id), JSON.stringify(record));
+
+        const ids = this.readIndex();
+        if (!ids.includes(record.id)) {
+            ids.push(record.id);
+            localStorage.setItem(this.indexKey, JSON.stringify(ids));
+        }
+    }
+
+    async deleteRecord(id) {
+        localStorage.removeItem(this.recordKey(id));
+        const ids = this.readIndex().filter(existing => existing !== id);
+        localStorage.setItem(this.indexKey, JSON.stringify(ids));
+    }
+
+    async saveAll(records) {
+        this.readIndex().forEach(id => localStorage.removeItem(this.recordKey(id)));
+        records.forEach(record => localStorage.setItem(this.recordKey(record.id), JSON.stringify(record)));
+        localStorage.setItem(this.indexKey, JSON.stringify(records.map(record => record.id)));
+    }
+
+    readIndex() {
+        const index = localStorage.getItem(this.indexKey);
+        return index ? JSON.parse(index) : [];
+    }
+}
+
+/**
+ * IndexedDBAdapter - Records in an IndexedDB object store keyed by id
+ */
+class IndexedDBAdapter {
+    constructor(dbName = 'appointme', storeName = 'users') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    }
+                    // Records whether anything was ever saved, so loadAll can tell "empty" from "never saved"
+                    if (!db.objectStoreNames.contains(`${this.storeName}_meta`)) {
+                        db.createObjectStore(`${this.storeName}_meta`);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([this.storeName, `${this.storeName}_meta`], mode);
+            const result = work(tx.objectStore(this.storeName), tx.objectStore(`${this.storeName}_meta`));
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async loadAll() {
+        let initialized;
+        const records = await this.transaction('readonly', (store, meta) => {
+            const flag = meta.get('initialized');
+            flag.onsuccess = () => { initialized = Boolean(flag.result); };
+            return store.getAll();
+        });
+        return initialized ? records : null;
+    }
+
+    async saveRecord(record) {
+        await this.transaction('readwrite', (store, meta) => {
+            store.put(record);
+            meta.put(true, 'initialized');
+        });
+    }
+
+    async deleteRecord(id) {
+        await this.transaction('readwrite', (store) => {
+            store.delete(id);
+        });
+    }
+
+    async saveAll(records) {
+        await this.transaction('readwrite', (store, meta) => {
+            store.clear();
+            records.forEach(record => store.put(record));
+            meta.put(true, 'initialized');
+        });
+    }
+}
+
+/**
+ * HttpStorageAdapter - REST persistence against the /api/users contract
+ * The server never stores password hashes, so credentials stay in this browser;
+ * whether first-run setup has happened is kept on the server (/api/setup)
+ */
+class HttpStorageAdapter {
+    constructor(baseUrl = '/api/users', credentialsKey = 'appointme_credentials', setupUrl = '/api/setup') {
+        this.baseUrl = baseUrl;
+        this.credentialsKey = credentialsKey;
+        this.setupUrl = setupUrl;
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            headers: { 'Content-Type': 'application/json' },
+            ...options
+        });
+
+        if (!response.ok) {
+            let message = `Request failed with status ${response.status}`;
+            try {
+                const body = await response.json();
+                message = body.error || message;
+            } catch (e) {
+                // Non-JSON error body, keep the status message
+            }
+            throw new Error(message);
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+
+    // Trashed records are part of the collection, so they come back after a reload
+    async loadAll() {
+        const users = await this.request(`${this.baseUrl}?includeTrashed=true`);
+        const credentials = this.readCredentials();
+        return users.length ? users.map(user => credentials[user.id] ? { ...user, credentials: credentials[user.id] } : user) : null;
+    }
+
+    async saveRecord(record) {
+        const credentials = this.readCredentials();
+        await this.request(`${this.baseUrl}/${record.id}`, {
+            method: 'PUT',
+            body: JSON.stringify(this.splitCredentials(record, credentials))
+        });
+        this.writeCredentials(credentials);
+    }
+
+    // Records are only deleted from storage when they are purged from the trash;
+    // a plain DELETE would move them to the trash instead
+    async deleteRecord(id) {
+        await this.request(`${this.baseUrl}/${id}?purge=true`, { method: 'DELETE' });
+
+        const credentials = this.readCredentials();
+        delete credentials[id];
+        this.writeCredentials(credentials);
+    }
+
+    async saveAll(records) {
+        const credentials = {};
+        await this.request(this.baseUrl, {
+            method: 'PUT',
+            body: JSON.stringify(records.map(record => this.splitCredentials(record, credentials)))
+        });
+        this.writeCredentials(credentials);
+    }
+
+    // The record without its credentials, which are moved into the credentials map
+    splitCredentials(record, credentials) {
+        const { credentials: own, ...rest } = record;
+        if (own) {
+            credentials[record.id] = own;
+        } else {
+            delete credentials[record.id];
+        }
+        return rest;
+    }
+
+    async isSetupCompleted() {
+        return (await this.request(this.setupUrl)).completed;
+    }
+
+    // Fails with 'Setup has already been completed' when another browser got there first
+    async completeSetup() {
+        await this.request(this.setupUrl, { method: 'POST' });
+    }
+
+    readCredentials() {
+        const stored = localStorage.getItem(this.credentialsKey);
+        return stored ? JSON.parse(stored) : {};
+    }
+
+    writeCredentials(credentials) {
+        localStorage.setItem(this.credentialsKey, JSON.stringify(credentials));
+    }
+}
+
+/**
+ * Factory - picks an adapter from AppConfig.storage
+ */
+function createStorageAdapter(config = {}) {
+    switch (config.adapter) {
+        case 'memory':
+            return new MemoryStorageAdapter();
+        case 'indexedDB':
+            return new IndexedDBAdapter(config.databaseName);
+        case 'http':
+            return new HttpStorageAdapter(config.baseUrl, undefined, config.setupUrl);
+        case 'localStorage':
+        default:
+            return new LocalStorageAdapter(config.storageKey);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MemoryStorageAdapter,
+        LocalStorageAdapter,
+        IndexedDBAdapter,
+        HttpStorageAdapter,
+        createStorageAdapter
+    };
+} else {
+    window.MemoryStorageAdapter = MemoryStorageAdapter;
+    window.LocalStorageAdapter = LocalStorageAdapter;
+    window.IndexedDBAdapter = IndexedDBAdapter;
+    window.HttpStorageAdapter = HttpStorageAdapter;
+    window.createStorageAdapter = createStorageAdapter;
+}
\ No newline at end of file
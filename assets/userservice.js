@@ -3,10 +3,55 @@
  * No DOM manipulation or UI concerns
  */
 class UserService {
-    constructor() {
-        this.users = [];
+    constructor(storage = null) {
+        this.users = []; // Directory order; only changed through putRecord/dropRecord
         this.nextId = 1;
+
+        // Indexes over this.users, see rebuildIndexes
+        this.positions = new Map(); // id -> index in this.users
+        this.byId = new Map(); // id -> record, trashed records included
+        this.byEmail = new Map(); // normalized email -> Set of ids, visible records only
+        this.byType = new Map(); // userType -> Set of ids, visible records only
+        this.byStatus = new Map(); // status -> Set of ids, visible records only
+
         this.observers = []; // For notifying UI of changes
+        this.storage = storage; // Storage adapter, see storageadapters.js
+        this.pendingChanges = new Map(); // id -> 'save' | 'delete', flushed by saveUsers
+        this.actingUserId = null; // null = system context, no permission checks
+        this.clientRelationship = null; // (providerId, clientId) => boolean
+        this.isLoaded = false;
+        this.fieldSchema = null; // FieldSchemaService for admin-defined profile fields
+        this.phoneService = null; // PhoneService; without one phone numbers are stored as entered
+        this.trashRetentionDays = 30; // Trashed users are purged for good after this many days
+        this.idleDays = 90; // Active users not seen for this many days become inactive; 0 turns this off
+
+        // Lifecycle: the statuses a user in each status can move to, see setStatus
+        this.statusTransitions = {
+            pending: ['active', 'archived'],
+            active: ['suspended', 'inactive'],
+            suspended: ['active', 'inactive', 'archived'],
+            inactive: ['active', 'archived'],
+            archived: ['active']
+        };
+        this.initialStatuses = ['pending', 'active', 'inactive'];
+
+        // Record fields: the ones edited on the profile form, and the ones only this service writes
+        this.builtInFields = ['firstName', 'lastName', 'email', 'phone', 'userType', 'status'];
+        this.managedFields = ['id', 'phoneE164', 'createdAt', 'lastActive', 'lastModified', 'credentials',
+            'deletedAt', 'deletedBy', 'mergedInto', 'statusHistory', 'suspension', 'invitedAt', 'invitedBy', 'onboardedAt'];
+        // Managed fields a synced store keeps up to date itself, so upsertUser takes them as they are
+        this.syncedFields = ['lastActive', 'mergedInto', 'statusHistory', 'invitedAt', 'invitedBy', 'onboardedAt'];
+        this.backupFormat = 'talentkit-users';
+        this.backupVersion = 1; // Bump when the backup layout changes; importBackup reads older versions
+        this.maxStatsBuckets = 1000; // Longest time series getStats builds, see getStatsSeries
+
+        // Undo/redo history of record changes
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 50;
+        this.isReplaying = false; // True while an undo/redo is being applied
+        this.isBulkUpdating = false; // True while a bulk action is being applied
+        this.pendingBatch = null; // Collects changes of a multi-record operation
     }
 
     /**
@@ -27,8 +72,14 @@ class UserService {
     /**
      * Core business logic methods
      */
-    async createUser(userData) {
+    // managed holds the managed fields this service sets itself (see inviteUser); the caller's are ignored
+    async createUser(input, managed = {}) {
         try {
+            const userData = { ...this.withoutManagedFields(input), ...managed };
+
+            // Check permissions for the acting user
+            this.assertCan('create', null, userData);
+
             // Validate required fields
             const validation = this.validateUser(userData);
             if (!validation.isValid) {
@@ -40,17 +91,23 @@ class UserService {
                 throw new Error('A user with this email already exists');
             }
 
+            if (userData.status && !this.initialStatuses.includes(userData.status)) {
+                throw new Error(`New users start as ${this.initialStatuses.join(', ')}`);
+            }
+
             // Create user object
-            const newUser = {
+            const newUser = this.trackStatus(null, {
                 id: this.nextId++,
-                ...userData,
+                ...this.normalizePhone(userData),
                 createdAt: new Date().toISOString(),
                 lastActive: new Date().toISOString(),
                 status: userData.status || 'active'
-            };
+            });
 
             // Add to collection
-            this.users.push(newUser);
+            this.putRecord(newUser);
+            this.markChanged(newUser.id, 'save');
+            this.recordChange('Create user', null, newUser);
 
             // Notify observers
             this.notify('userCreated', newUser);
@@ -59,133 +116,1312 @@ class UserService {
             return { success: true, data: newUser };
 
         } catch (error) {
-            this.notify('error', { message: error.message, type: 'create' });
+            this.notify('error', { message: error.message, type: 'create', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    async updateUser(id, userData, options = {}) {
+        try {
+            const updatedUser = this.applyUpdate(id, userData, options);
+            this.notify('usersChanged', this.users);
+
+            return { success: true, data: updatedUser };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'update', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    // Validates and writes one update; throws instead of notifying so bulk actions can collect failures.
+    // With sync (see upsertUser) the suspension and status history the other store recorded are kept,
+    // but the status change itself is held to the same lifecycle rules
+    applyUpdate(id, userData, { sync = false } = {}) {
+        const user = this.getUserById(id);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        // Check permissions for the acting user
+        this.assertCan('update', user, userData);
+
+        // Validate data
+        const validation = this.validateUser(userData);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join(', '));
+        }
+
+        // Check for duplicate email (excluding current user)
+        const existingUser = this.findUserByEmail(userData.email);
+        if (existingUser && existingUser.id !== parseInt(id)) {
+            throw new Error('A user with this email already exists');
+        }
+
+        // Status changes follow the lifecycle; a suspension needs a reason
+        const suspension = sync && userData.suspension ?
+            this.getSyncedSuspension(user, userData) :
+            this.getSuspension(user, userData);
+
+        // Update user; managed fields are never taken from the caller (the trash, for one,
+        // only changes through deleteUser/restoreUser) and phoneE164 is derived from phone again
+        const accepted = this.withoutManagedFields(userData, sync ? this.syncedFields : []);
+        const { statusHistory, ...changes } = this.normalizePhone(accepted);
+        const originalUser = { ...user };
+        const record = {
+            ...user,
+            ...changes,
+            lastModified: new Date().toISOString()
+        };
+        if (!changes.phoneE164) {
+            delete record.phoneE164; // The new phone number could not be parsed
+        }
+        this.withSuspension(record, suspension);
+        const updatedUser = this.putRecord(sync && Array.isArray(statusHistory) ?
+            { ...record, statusHistory } :
+            this.trackStatus(user, record, { reason: suspension ? suspension.reason : null }));
+        this.markChanged(updatedUser.id, 'save');
+        this.recordChange('Update user', originalUser, updatedUser);
+
+        // Notify observers
+        this.notify('userUpdated', { 
+            original: originalUser, 
+            updated: updatedUser 
+        });
+
+        return updatedUser;
+    }
+
+    /**
+     * Deleting moves the user to the trash; purgeUser removes it for good
+     */
+    async deleteUser(id) {
+        try {
+            const deletedUser = this.applyDelete(id);
+            this.notify('usersChanged', this.users);
+
+            return { success: true, data: deletedUser };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'delete', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    applyDelete(id) {
+        const originalUser = this.getUserById(id);
+        if (!originalUser) {
+            throw new Error('User not found');
+        }
+
+        // Check permissions for the acting user
+        this.assertCan('delete', originalUser);
+
+        const actor = this.getActingUser();
+        const deletedUser = this.putRecord({
+            ...originalUser,
+            deletedAt: new Date().toISOString(),
+            deletedBy: actor ? actor.id : null
+        });
+        this.markChanged(deletedUser.id, 'save');
+        this.recordChange('Delete user', originalUser, deletedUser);
+
+        // Notify observers
+        this.notify('userDeleted', deletedUser);
+
+        return deletedUser;
+    }
+
+    async restoreUser(id) {
+        try {
+            const trashedUser = this.getUserById(id, true);
+            if (!trashedUser || !trashedUser.deletedAt) {
+                throw new Error('User not found in trash');
+            }
+
+            // Restoring is allowed to whoever may delete
+            this.assertCan('delete', trashedUser);
+
+            // The email may have been given to someone else in the meantime
+            if (this.findUserByEmail(trashedUser.email)) {
+                throw new Error('A user with this email already exists');
+            }
+
+            const { deletedAt, deletedBy, mergedInto, ...restoredUser } = trashedUser;
+            this.putRecord(restoredUser);
+            this.markChanged(restoredUser.id, 'save');
+            this.recordChange('Restore user', trashedUser, restoredUser);
+
+            this.notify('userRestored', restoredUser);
+            this.notify('usersChanged', this.users);
+
+            return { success: true, data: restoredUser };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'restore', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    async purgeUser(id) {
+        try {
+            const user = this.getUserById(id, true);
+            if (!user || !user.deletedAt) {
+                throw new Error('User not found in trash');
+            }
+
+            this.assertCan('delete', user);
+
+            this.removeRecord(user);
+            this.notify('usersChanged', this.users);
+
+            return { success: true, data: user };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'purge', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    /**
+     * Lifecycle - pending -> active -> suspended/inactive -> archived, see statusTransitions
+     * Suspensions carry a reason and an optional end date: { reason, until, at, by }
+     */
+    async setStatus(id, status, { reason = '', until = null } = {}) {
+        try {
+            const user = this.getUserById(id);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const updatedUser = this.applyUpdate(id, { ...user, status, suspensionReason: reason, suspendedUntil: until });
+            this.notify('usersChanged', this.users);
+
+            return { success: true, data: updatedUser };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'status', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    async suspendUser(id, reason, until = null) {
+        return this.setStatus(id, 'suspended', { reason, until });
+    }
+
+    canTransition(from, to) {
+        return from === to || (this.statusTransitions[from] || []).includes(to);
+    }
+
+    // The statuses a user can be given next, its current status first
+    getAllowedStatuses(user) {
+        return [user.status, ...(this.statusTransitions[user.status] || [])];
+    }
+
+    // The suspension the record has after userData is applied; throws on a forbidden transition
+    getSuspension(user, userData) {
+        const status = userData.status || user.status;
+        if (!this.canTransition(user.status, status)) {
+            throw new Error(`A ${user.status} user cannot be made ${status}`);
+        }
+        if (status !== 'suspended') return null;
+
+        // Editing a suspended user keeps the suspension unless a new reason or end date is given
+        const current = user.status === 'suspended' ? user.suspension || null : null;
+        const reason = String(userData.suspensionReason || (current ? current.reason : '')).trim();
+        if (!reason) {
+            throw new Error('A reason is required to suspend a user');
+        }
+
+        let until = current ? current.until : null;
+        if (userData.suspendedUntil !== undefined) {
+            until = this.parseSuspensionEnd(userData.suspendedUntil);
+        }
+
+        const actor = this.getActingUser();
+        return {
+            reason,
+            until,
+            at: current ? current.at : new Date().toISOString(),
+            by: current ? current.by : (actor ? actor.id : null)
+        };
+    }
+
+    // A synced or restored record brings its own suspension, which still needs a reason
+    getSyncedSuspension(user, userData) {
+        const status = userData.status || user.status;
+        if (!this.canTransition(user.status, status)) {
+            throw new Error(`A ${user.status} user cannot be made ${status}`);
+        }
+        if (status !== 'suspended') return null;
+
+        const suspension = userData.suspension || (user.status === 'suspended' ? user.suspension : null);
+        if (!suspension || !String(suspension.reason || '').trim()) {
+            throw new Error('A reason is required to suspend a user');
+        }
+        return suspension;
+    }
+
+    // A date ('YYYY-MM-DD', from the start of that day) or a timestamp in the future; empty means open-ended
+    parseSuspensionEnd(value) {
+        if (value === null || value === '') return null;
+
+        const range = typeof value === 'string' ? UserService.parseDateRange(value) : null;
+        const time = range ? Date.parse(range.from) : new Date(value).getTime();
+        if (isNaN(time)) {
+            throw new Error('The suspension end date is not a valid date');
+        }
+        if (time <= Date.now()) {
+            throw new Error('The suspension end date must be in the future');
+        }
+        return new Date(time).toISOString();
+    }
+
+    // Inactive because nobody signed in for idleDays, not because someone deactivated the user
+    isIdle(user) {
+        const history = this.getStatusHistory(user);
+        return user.status === 'inactive' && history[history.length - 1].reason === 'idle';
+    }
+
+    /**
+     * Activity - signing in moves lastActive forward and brings back users who only went idle
+     * Not an edit: it bypasses permissions and the undo history
+     */
+    async recordActivity(id, at = new Date()) {
+        const user = this.getUserById(id);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+
+        const lastActive = new Date(at).toISOString();
+        const reactivate = this.isIdle(user);
+        const updatedUser = this.putRecord(reactivate ?
+            this.trackStatus(user, { ...user, status: 'active', lastActive, lastModified: lastActive }, { reason: 'activity' }) :
+            { ...user, lastActive });
+        this.markChanged(updatedUser.id, 'save');
+
+        if (reactivate) {
+            this.notify('userUpdated', { original: user, updated: updatedUser, automatic: true });
+            this.notify('usersChanged', this.users);
+        }
+        this.notify('userActive', updatedUser);
+
+        return { success: true, data: updatedUser };
+    }
+
+    /**
+     * Lifecycle automation - runs in the system context, like the retention policy:
+     * active users not seen for idleDays become inactive and suspensions past their end date are lifted.
+     * Nobody made these changes, so they stay off the undo history
+     */
+    async applyLifecycleRules(now = new Date()) {
+        const time = new Date(now).getTime();
+        const idleCutoff = this.idleDays > 0 ? time - this.idleDays * 24 * 60 * 60 * 1000 : null;
+        const idled = [];
+        const reinstated = [];
+
+        this.isBulkUpdating = true;
+        try {
+            this.getActiveRecords().forEach(user => {
+                const lastSeen = Date.parse(user.lastActive || user.createdAt);
+                if (user.status === 'active' && idleCutoff !== null && lastSeen <= idleCutoff) {
+                    idled.push(this.applyAutomaticStatus(user, 'inactive', 'idle', now));
+                } else if (user.status === 'suspended' && user.suspension && user.suspension.until &&
+                    Date.parse(user.suspension.until) <= time) {
+                    reinstated.push(this.applyAutomaticStatus(user, 'active', 'suspensionExpired', now));
+                }
+            });
+        } finally {
+            this.isBulkUpdating = false;
+        }
+
+        if (idled.length) {
+            this.notify('usersIdled', { users: idled, idleDays: this.idleDays });
+        }
+        if (reinstated.length) {
+            this.notify('suspensionsExpired', { users: reinstated });
+        }
+        if (idled.length || reinstated.length) {
+            this.notify('usersChanged', this.users);
+        }
+        return { success: true, data: { idled, reinstated } };
+    }
+
+    applyAutomaticStatus(user, status, reason, now) {
+        const at = new Date(now).toISOString();
+        const { suspension, ...record } = user;
+        const updatedUser = this.putRecord(this.trackStatus(user, { ...record, status, lastModified: at }, { reason }));
+        this.markChanged(updatedUser.id, 'save');
+
+        this.notify('userUpdated', { original: user, updated: updatedUser, automatic: true });
+        return updatedUser;
+    }
+
+    /**
+     * Invitations - an invited user is a pending record with only an email and a type;
+     * the invitee fills in the rest of the profile, which activates the account.
+     * The invite tokens themselves are issued and checked by AuthService
+     */
+    async inviteUser(email, userType) {
+        const actor = this.getActingUser();
+        return this.createUser({
+            firstName: '',
+            lastName: '',
+            email: String(email || '').trim(),
+            phone: '',
+            userType,
+            status: 'pending'
+        }, {
+            invitedAt: new Date().toISOString(),
+            invitedBy: actor ? actor.id : null
+        });
+    }
+
+    isAwaitingOnboarding(user) {
+        return user.status === 'pending' && Boolean(user.invitedAt) && !user.onboardedAt;
+    }
+
+    getInvitedUsers() {
+        return this.getUsersByStatus('pending').filter(user => this.isAwaitingOnboarding(user));
+    }
+
+    // The fields an invitee fills in; email, type and status stay as invited
+    getOnboardingFields(user) {
+        const customFields = this.fieldSchema ? this.fieldSchema.getFields(user.userType).map(field => field.key) : [];
+        return ['firstName', 'lastName', 'phone', ...customFields];
+    }
+
+    /**
+     * Completing onboarding is authorized by the invite token (checked by AuthService),
+     * not by the acting user, so it bypasses permissions and the undo history
+     */
+    async completeOnboarding(id, profile) {
+        try {
+            const user = this.getUserById(id);
+            if (!user || !this.isAwaitingOnboarding(user)) {
+                throw new Error('This invitation has already been used');
+            }
+
+            const fields = {};
+            this.getOnboardingFields(user).forEach(field => {
+                if (profile[field] !== undefined) fields[field] = profile[field];
+            });
+
+            const now = new Date().toISOString();
+            const record = {
+                ...user,
+                ...this.normalizePhone(fields),
+                status: 'active',
+                onboardedAt: now,
+                lastActive: now,
+                lastModified: now
+            };
+
+            const validation = this.validateUser(record);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            const updatedUser = this.putRecord(this.trackStatus(user, record, { reason: 'onboarded' }));
+            this.markChanged(updatedUser.id, 'save');
+
+            this.notify('userOnboarded', { original: user, updated: updatedUser });
+            this.notify('usersChanged', this.users);
+
+            return { success: true, data: updatedUser };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'onboarding' });
             return { success: false, error: error.message };
         }
     }
 
-    async updateUser(id, userData) {
+    /**
+     * Retention policy - runs in the system context, not as the acting user
+     */
+    async purgeExpiredUsers(now = new Date()) {
+        const cutoff = new Date(now).getTime() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.users.filter(user => user.deletedAt && new Date(user.deletedAt).getTime() <= cutoff);
+
+        expired.forEach(user => this.removeRecord(user));
+
+        if (expired.length) {
+            this.notify('usersChanged', this.users);
+        }
+        return { success: true, data: expired };
+    }
+
+    removeRecord(user) {
+        this.dropRecord(user.id);
+        this.markChanged(user.id, 'delete');
+        this.forgetHistory(user.id); // A purged record can never come back through undo
+
+        this.notify('userPurged', user);
+    }
+
+    /**
+     * Merging duplicates - the kept record takes the chosen value of each field,
+     * the other record moves to the trash marked with the id it was merged into
+     * choices: { [field]: 'keep' | 'merge' }; unlisted fields keep the kept record's
+     * value unless it is empty
+     */
+    async mergeUsers(keepId, mergeId, choices = {}) {
         try {
-            const userIndex = this.users.findIndex(user => user.id === parseInt(id));
-            if (userIndex === -1) {
+            const kept = this.getUserById(keepId);
+            const merged = this.getUserById(mergeId);
+            if (!kept || !merged) {
                 throw new Error('User not found');
             }
+            if (kept.id === merged.id) {
+                throw new Error('A user cannot be merged with itself');
+            }
 
-            // Validate data
-            const validation = this.validateUser(userData);
+            const values = this.getMergedValues(kept, merged, choices);
+
+            this.assertCan('update', kept, values);
+            this.assertCan('delete', merged);
+
+            const validation = this.validateUser(values);
             if (!validation.isValid) {
                 throw new Error(validation.errors.join(', '));
             }
 
-            // Check for duplicate email (excluding current user)
-            const existingUser = this.findUserByEmail(userData.email);
-            if (existingUser && existingUser.id !== parseInt(id)) {
+            const existingUser = this.findUserByEmail(values.email);
+            if (existingUser && existingUser.id !== kept.id && existingUser.id !== merged.id) {
                 throw new Error('A user with this email already exists');
             }
 
-            // Update user
-            const originalUser = { ...this.users[userIndex] };
-            this.users[userIndex] = {
-                ...this.users[userIndex],
-                ...userData,
+            const actor = this.getActingUser();
+            const updated = this.trackStatus(kept, {
+                ...kept,
+                ...this.normalizePhone(values),
+                // The merged record keeps the earliest sign-up and the latest activity
+                createdAt: [kept.createdAt, merged.createdAt].sort()[0],
+                lastActive: [kept.lastActive, merged.lastActive].filter(Boolean).sort().pop(),
+                credentials: kept.credentials || merged.credentials,
                 lastModified: new Date().toISOString()
+            });
+            if (!updated.credentials) delete updated.credentials;
+
+            // A suspension goes with the status it belongs to
+            const statusSource = updated.status === kept.status ? kept : merged;
+            if (statusSource.suspension) {
+                updated.suspension = statusSource.suspension;
+            } else {
+                delete updated.suspension;
+            }
+
+            const trashed = {
+                ...merged,
+                deletedAt: new Date().toISOString(),
+                deletedBy: actor ? actor.id : null,
+                mergedInto: kept.id
             };
 
-            // Notify observers
-            this.notify('userUpdated', { 
-                original: originalUser, 
-                updated: this.users[userIndex] 
-            });
+            this.beginBatch(`Merge ${merged.firstName} ${merged.lastName} into ${kept.firstName} ${kept.lastName}`);
+            this.putRecord(trashed);
+            this.putRecord(updated);
+            this.markChanged(trashed.id, 'save');
+            this.markChanged(updated.id, 'save');
+            this.recordChange('Merge users', merged, trashed);
+            this.recordChange('Merge users', kept, updated);
+            this.endBatch();
+
+            // Not reported as a delete: appointments and history follow the kept record
+            this.notify('usersMerged', { original: kept, updated, merged: trashed });
             this.notify('usersChanged', this.users);
 
-            return { success: true, data: this.users[userIndex] };
+            return { success: true, data: updated };
 
         } catch (error) {
-            this.notify('error', { message: error.message, type: 'update' });
-            return { success: false, error: error.message };
+            this.notify('error', { message: error.message, type: 'merge', code: error.code });
+            return { success: false, error: error.message, code: error.code };
         }
     }
 
-    async deleteUser(id) {
+    // Profile fields two records can disagree on, in display order
+    getMergeFields(a, b) {
+        const custom = Object.keys({ ...a, ...b })
+            .filter(field => !this.builtInFields.includes(field) && !this.managedFields.includes(field));
+        return [...this.builtInFields, ...custom];
+    }
+
+    // The caller's fields without the managed ones (except those in allowed), and without the
+    // suspension inputs setStatus reads
+    withoutManagedFields(userData, allowed = []) {
+        return Object.fromEntries(Object.entries(userData).filter(([field]) =>
+            (!this.managedFields.includes(field) || allowed.includes(field)) &&
+            field !== 'suspensionReason' && field !== 'suspendedUntil'));
+    }
+
+    // Keys admin-defined profile fields can never use, see FieldSchemaService.validateField.
+    // suspensionReason and suspendedUntil are read by setStatus and never stored under those names
+    getReservedFields() {
+        return [...this.builtInFields, ...this.managedFields, 'suspensionReason', 'suspendedUntil'];
+    }
+
+    getMergedValues(kept, merged, choices) {
+        const isEmpty = (value) => value === undefined || value === null || value === '';
+
+        return this.getMergeFields(kept, merged).reduce((values, field) => {
+            const choice = choices[field] || (isEmpty(kept[field]) ? 'merge' : 'keep');
+            const value = choice === 'merge' ? merged[field] : kept[field];
+            if (!isEmpty(value)) values[field] = value;
+            return values;
+        }, {});
+    }
+
+    async upsertUser(record) {
         try {
-            const userIndex = this.users.findIndex(user => user.id === parseInt(id));
-            if (userIndex === -1) {
-                throw new Error('User not found');
+            const id = parseInt(record.id);
+            if (isNaN(id) || id < 1) {
+                throw new Error('A valid id is required');
             }
 
-            const deletedUser = this.users[userIndex];
-            this.users.splice(userIndex, 1);
+            // Existing records go through the normal update, delete and restore paths
+            const existing = this.getUserById(id, true);
+            if (existing) {
+                return await this.syncExistingUser(existing, record);
+            }
 
-            // Notify observers
-            this.notify('userDeleted', deletedUser);
+            this.assertCan('create', null, record);
+
+            const validation = this.validateUser(record);
+            if (!validation.isValid) {
+                throw new Error(validation.errors.join(', '));
+            }
+
+            if (this.findUserByEmail(record.email)) {
+                throw new Error('A user with this email already exists');
+            }
+
+            // Keep the caller's id, timestamps and status history (sync from another store)
+            const synced = {
+                ...this.normalizePhone(record),
+                id,
+                createdAt: record.createdAt || new Date().toISOString(),
+                lastActive: record.lastActive || new Date().toISOString(),
+                status: record.status || 'active'
+            };
+            const newUser = Array.isArray(record.statusHistory) ? synced : this.trackStatus(null, synced);
+
+            this.putRecord(newUser);
+            this.nextId = Math.max(this.nextId, id + 1);
+            this.markChanged(id, 'save');
+            this.recordChange('Create user', null, newUser);
+
+            this.notify('userCreated', newUser);
             this.notify('usersChanged', this.users);
 
-            return { success: true, data: deletedUser };
+            return { success: true, data: newUser };
 
         } catch (error) {
-            this.notify('error', { message: error.message, type: 'delete' });
+            this.notify('error', { message: error.message, type: 'create', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    async syncExistingUser(existing, record) {
+        if (existing.deletedAt) {
+            // Trashed records are read-only until they are restored
+            if (record.deletedAt) {
+                return { success: true, data: existing };
+            }
+            const restored = await this.restoreUser(existing.id);
+            if (!restored.success) return restored;
+        }
+
+        const result = await this.updateUser(existing.id, record, { sync: true });
+        if (!result.success || !record.deletedAt) {
+            return result;
+        }
+        return await this.deleteUser(existing.id);
+    }
+
+    /**
+     * Credentials are managed by AuthService and bypass profile validation
+     */
+    async setCredentials(id, credentials) {
+        try {
+            const user = this.getUserById(id, true);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            this.putRecord({ ...user, credentials });
+            this.markChanged(user.id, 'save');
+
+            this.notify('credentialsChanged', { id: user.id });
+            return { success: true };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'credentials' });
             return { success: false, error: error.message };
         }
-    }
+    }
+
+    /**
+     * Access control - permissions of the acting user
+     * Admins may do anything. Providers see themselves, other providers and
+     * their own clients, and may add clients. Clients see themselves and
+     * providers. Non-admins may only edit their own profile and never change
+     * their own type or status.
+     */
+    setActingUser(user) {
+        this.actingUserId = user ? parseInt(user.id !== undefined ? user.id : user) : null;
+        this.clearHistory(); // One person's undo history never carries over to another
+        this.notify('actingUserChanged', this.getActingUser());
+    }
+
+    getActingUser() {
+        return this.actingUserId === null ? null : this.getUserById(this.actingUserId) || null;
+    }
+
+    setClientRelationship(resolver) {
+        this.clientRelationship = resolver;
+    }
+
+    setFieldSchema(fieldSchema) {
+        this.fieldSchema = fieldSchema;
+    }
+
+    setPhoneService(phoneService) {
+        this.phoneService = phoneService;
+    }
+
+    can(action, targetUser = null, changes = {}) {
+        // System context (no signed-in user) is unrestricted
+        if (this.actingUserId === null) return true;
+
+        const actor = this.getActingUser();
+        if (!actor || actor.status !== 'active') return false;
+        if (actor.userType === 'admin') return true;
+
+        const isSelf = Boolean(targetUser) && targetUser.id === actor.id;
+
+        switch (action) {
+            case 'view':
+                if (isSelf || targetUser.userType === 'provider') return true;
+                return actor.userType === 'provider' &&
+                    targetUser.userType === 'client' &&
+                    this.isClientOf(actor.id, targetUser.id);
+            case 'create':
+                return actor.userType === 'provider' && changes.userType === 'client';
+            case 'update':
+                return isSelf &&
+                    (!changes.userType || changes.userType === targetUser.userType) &&
+                    (!changes.status || changes.status === targetUser.status);
+            case 'delete':
+            default:
+                return false;
+        }
+    }
+
+    assertCan(action, targetUser = null, changes = {}) {
+        if (!this.can(action, targetUser, changes)) {
+            const error = new Error(`You do not have permission to ${action} this user`);
+            error.code = 'forbidden';
+            throw error;
+        }
+    }
+
+    isClientOf(providerId, clientId) {
+        return this.clientRelationship ? Boolean(this.clientRelationship(providerId, clientId)) : false;
+    }
+
+    /**
+     * Query methods
+     */
+    getAllUsers() {
+        // Return copy to prevent external mutation, limited to what the acting user may see
+        return this.getActiveRecords().filter(user => this.can('view', user));
+    }
+
+    getUserById(id, includeDeleted = false) {
+        const user = this.byId.get(parseInt(id));
+        return user && (includeDeleted || !user.deletedAt) ? user : undefined;
+    }
+
+    getUserByEmail(email) {
+        return this.findUserByEmail(email);
+    }
+
+    getUsersByType(type) {
+        return this.getIndexed(this.byType, [type]);
+    }
+
+    getUsersByStatus(status) {
+        return this.getIndexed(this.byStatus, [status]);
+    }
+
+    /**
+     * Trash - soft-deleted users, newest first
+     */
+    getTrashedUsers() {
+        return this.users
+            .filter(user => user.deletedAt && this.can('delete', user))
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    }
+
+    getPurgeDate(user) {
+        return new Date(new Date(user.deletedAt).getTime() + this.trashRetentionDays * 24 * 60 * 60 * 1000);
+    }
+
+    getActiveRecords() {
+        return this.users.filter(user => !user.deletedAt);
+    }
+
+    /**
+     * Search - free text, quoted phrases and field filters, see parseSearchQuery
+     * e.g. type:provider status:inactive joined:>2025-01-01 "smith"
+     */
+    searchUsers(query) {
+        return this.searchUsersWithMatches(query).map(result => result.user);
+    }
+
+    // Returns [{ user, score, highlights: { [field]: [[start, end]] } }], best match first
+    searchUsersWithMatches(query) {
+        const users = this.getAllUsers();
+        const parsed = UserService.parseSearchQuery(query);
+        if (parsed.terms.length === 0 && parsed.filters.length === 0) {
+            return users.map(user => ({ user, score: 0, highlights: {} }));
+        }
+
+        const { terms, filters } = this.prepareSearch(parsed);
+        const results = [];
+
+        users.forEach((user, index) => {
+            if (!filters.every(filter => this.matchesFilter(user, filter) !== filter.negate)) return;
+
+            const highlights = {};
+            let score = 0;
+            for (const term of terms) {
+                const match = this.matchTerm(user, term);
+                if (term.negate) {
+                    if (match) return;
+                    continue;
+                }
+                if (!match) return;
+
+                score += match.score;
+                match.ranges.forEach(([field, start, end]) => {
+                    (highlights[field] = highlights[field] || []).push([start, end]);
+                });
+            }
+
+            results.push({ user, score, highlights, index });
+        });
+
+        // Best match first; equally good matches keep directory order
+        return results
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(({ index, ...result }) => result);
+    }
+
+    /**
+     * Directory view - search results narrowed by type and status facets, then sorted
+     * sortBy: 'relevance' | 'name' | 'createdAt' | 'lastActive'; direction 'asc' | 'desc'
+     * Returns the same shape as searchUsersWithMatches
+     */
+    browseUsers({ query = '', userTypes = [], statuses = [], sortBy = 'relevance', sortDirection = 'asc' } = {}) {
+        const results = this.searchUsersWithMatches(query).filter(({ user }) =>
+            (userTypes.length === 0 || userTypes.includes(user.userType)) &&
+            (statuses.length === 0 || statuses.includes(user.status))
+        );
+        return this.sortResults(results, sortBy, sortDirection);
+    }
+
+    sortResults(results, sortBy, direction = 'asc') {
+        // Relevance order already comes from the search
+        if (sortBy === 'relevance') return results;
+
+        // Sort keys are computed once per record, not once per comparison; names compare
+        // without case or accents, which is much cheaper than a locale-aware compare at 50k records
+        const keyed = results.map((result, index) => {
+            const { user } = result;
+            const key = sortBy === 'name' ?
+                `${user.lastName} ${user.firstName}`.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase() :
+                Date.parse(user[sortBy]) || 0;
+            return { result, key, index };
+        });
+
+        const sign = direction === 'desc' ? -1 : 1;
+        keyed.sort((a, b) => {
+            const order = a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+            return order * sign || a.index - b.index;
+        });
+        return keyed.map(entry => entry.result);
+    }
+
+    /**
+     * Parses a search query into free-text terms and field filters (pure, no service state)
+     * Returns { terms: [{ text, exact, negate }], filters: [{ field, op, value, negate, from, to }], errors }
+     * - quoted text is matched exactly: "van der berg"
+     * - field:value filters: type:, status:, email:, phone:, name: and profile field keys;
+     *   several values are alternatives: type:client,provider
+     * - joined: takes a date (YYYY, YYYY-MM or YYYY-MM-DD) with an optional >, >=, < or <=
+     * - a leading minus excludes: -status:inactive
+     */
+    static parseSearchQuery(query) {
+        const result = { terms: [], filters: [], errors: [] };
+        const aliases = {
+            type: 'userType',
+            usertype: 'userType',
+            role: 'userType',
+            status: 'status',
+            joined: 'createdAt',
+            created: 'createdAt',
+            email: 'email',
+            phone: 'phone',
+            name: 'name'
+        };
+        const pattern = /(-)?(?:([a-z][a-z0-9]*):)?(?:"([^"]*)"?|(\S+))/gi;
+        const text = String(query || '');
+        let token;
+
+        while ((token = pattern.exec(text)) !== null) {
+            const [raw, minus, key, quoted, bare] = token;
+            if (raw === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+
+            const negate = Boolean(minus);
+            const exact = quoted !== undefined;
+            const value = (exact ? quoted : bare || '').trim();
+
+            if (!key) {
+                if (value) result.terms.push({ text: value.toLowerCase(), exact, negate });
+                continue;
+            }
+
+            const field = aliases[key.toLowerCase()] || key;
+            const [, op = '', operand] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+            if (!operand) {
+                result.errors.push(`${key}: needs a value`);
+                continue;
+            }
+
+            if (field === 'createdAt') {
+                const range = UserService.parseDateRange(operand);
+                if (!range) {
+                    result.errors.push(`${key}: "${operand}" is not a date (use YYYY, YYYY-MM or YYYY-MM-DD)`);
+                    continue;
+                }
+                result.filters.push({ field, op: op || '=', value: operand, negate, ...range });
+                continue;
+            }
+
+            result.filters.push({ field, op: op || '=', value: operand.toLowerCase(), negate });
+        }
+
+        return result;
+    }
+
+    // "2025" covers the whole year, "2025-03" the month, "2025-03-14" the day (local time)
+    static parseDateRange(value) {
+        const match = String(value).match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day] = match.map(part => part === undefined ? undefined : parseInt(part));
+        const from = new Date(year, month ? month - 1 : 0, day || 1);
+        const to = day ? new Date(year, month - 1, day + 1) :
+            month ? new Date(year, month, 1) : new Date(year + 1, 0, 1);
+
+        if (month && from.getMonth() !== month - 1) return null;
+        if (day && from.getDate() !== day) return null;
+        return { from: from.toISOString(), to: to.toISOString() };
+    }
+
+    prepareSearch(parsed) {
+        let terms = [...parsed.terms];
+
+        // "(555) 123-4567" is split into words by the parser; searched together it is one phone number
+        const phoneLike = terms.filter(term => !term.exact && !term.negate && /^[\d+().\-\/]+$/.test(term.text));
+        if (phoneLike.length > 1) {
+            terms = [
+                ...terms.filter(term => !phoneLike.includes(term)),
+                { text: phoneLike.map(term => term.text).join(' '), exact: false, negate: false }
+            ];
+        }
+
+        // Unknown field names are no filter at all, "re:meeting" is just text
+        const filters = [];
+        parsed.filters.forEach(filter => {
+            const known = ['userType', 'status', 'createdAt', 'email', 'phone', 'name'].includes(filter.field) ||
+                (this.fieldSchema && this.fieldSchema.getField(filter.field));
+            if (known) {
+                filters.push(filter);
+            } else {
+                const op = filter.op === '=' ? '' : filter.op;
+                terms.push({ text: `${filter.field}:${op}${filter.value}`.toLowerCase(), exact: true, negate: filter.negate });
+            }
+        });
+
+        return { terms, filters };
+    }
+
+    matchesFilter(user, filter) {
+        const alternatives = filter.value.split(',').map(value => value.trim()).filter(Boolean);
+
+        switch (filter.field) {
+            case 'createdAt': {
+                const time = new Date(user.createdAt).getTime();
+                const from = new Date(filter.from).getTime();
+                const to = new Date(filter.to).getTime();
+                switch (filter.op) {
+                    case '>': return time >= to;
+                    case '>=': return time >= from;
+                    case '<': return time < from;
+                    case '<=': return time < to;
+                    default: return time >= from && time < to;
+                }
+            }
+            case 'userType':
+            case 'status':
+                // Prefixes are enough: type:prov
+                return alternatives.some(value => String(user[filter.field] || '').toLowerCase().startsWith(value));
+            case 'phone':
+                return alternatives.some(value => this.matchesPhone(user, this.getPhoneSearchTerms(value)));
+            case 'name':
+                return alternatives.some(value => `${user.firstName} ${user.lastName}`.toLowerCase().includes(value));
+            default:
+                return alternatives.some(value => String(user[filter.field] || '').toLowerCase().includes(value));
+        }
+    }
+
+    /**
+     * Matches one free-text term against a user; returns { score, ranges } or null
+     * Names score highest and tolerate typos, other fields need the text as typed
+     */
+    matchTerm(user, term) {
+        let best = null;
+        const consider = (score, ranges) => {
+            if (!best || score > best.score) best = { score, ranges };
+        };
+
+        // Names: whole word, word prefix, anywhere in the name, then a close misspelling
+        const fullName = `${user.firstName} ${user.lastName}`;
+        const nameIndex = fullName.toLowerCase().indexOf(term.text);
+        if (nameIndex !== -1) {
+            const ranges = this.splitNameRange(user, nameIndex, nameIndex + term.text.length);
+            const words = this.getNameWords(user);
+            if (fullName.toLowerCase() === term.text || words.some(word => word.text === term.text)) {
+                consider(1, ranges);
+            } else if (words.some(word => word.text.startsWith(term.text))) {
+                consider(0.8, ranges);
+            } else {
+                consider(0.6, ranges);
+            }
+        } else if (!term.exact) {
+            const maxEdits = term.text.length >= 8 ? 2 : term.text.length >= 4 ? 1 : 0;
+            this.getNameWords(user).forEach(word => {
+                if (maxEdits === 0 || Math.abs(word.text.length - term.text.length) > maxEdits) return;
+                const distance = this.editDistance(term.text, word.text, maxEdits);
+                if (distance <= maxEdits) {
+                    consider(0.5 * (1 - distance / (term.text.length + 1)), [[word.field, word.start, word.end]]);
+                }
+            });
+        }
+
+        const emailIndex = user.email.toLowerCase().indexOf(term.text);
+        if (emailIndex !== -1) {
+            consider(emailIndex === 0 ? 0.7 : 0.5, [['email', emailIndex, emailIndex + term.text.length]]);
+        }
+
+        if (this.matchesPhone(user, this.getPhoneSearchTerms(term.text))) {
+            consider(0.7, [['phone', 0, String(user.phone).length]]);
+        }
+
+        if (user.userType.toLowerCase().startsWith(term.text)) {
+            consider(0.4, []);
+        }
+
+        if (this.fieldSchema) {
+            this.fieldSchema.getFields(user.userType).forEach(field => {
+                const value = user[field.key];
+                if (value === undefined || value === null || value === '') return;
+                const index = String(value).toLowerCase().indexOf(term.text);
+                if (index !== -1) {
+                    consider(0.4, [[field.key, index, index + term.text.length]]);
+                }
+            });
+        }
+
+        return best;
+    }
+
+    getNameWords(user) {
+        const words = [];
+        ['firstName', 'lastName'].forEach(field => {
+            const pattern = /[^\s\-']+/g;
+            let match;
+            while ((match = pattern.exec(user[field])) !== null) {
+                words.push({ field, text: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+            }
+        });
+        return words;
+    }
+
+    // A range in "first last" split into ranges of firstName and lastName
+    splitNameRange(user, start, end) {
+        const firstLength = user.firstName.length;
+        const ranges = [];
+        if (start < firstLength) {
+            ranges.push(['firstName', start, Math.min(end, firstLength)]);
+        }
+        if (end > firstLength + 1) {
+            ranges.push(['lastName', Math.max(start - firstLength - 1, 0), end - firstLength - 1]);
+        }
+        return ranges;
+    }
+
+    // Optimal string alignment distance (adjacent swaps count once); stops early past maxEdits
+    editDistance(a, b, maxEdits = Infinity) {
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > maxEdits) return rowMin;
+            previousRow = row;
+            row = nextRow;
+        }
 
-    /**
-     * Query methods
-     */
-    getAllUsers() {
-        return [...this.users]; // Return copy to prevent external mutation
+        return row[b.length];
     }
 
-    getUserById(id) {
-        return this.users.find(user => user.id === parseInt(id));
-    }
+    // Digit strings a phone query can match, so "555-1234", "(555) 1234" and
+    // "+1 555 1234" all find the same number
+    getPhoneSearchTerms(searchTerm) {
+        if (!/^[\d\s+().\-\/]+$/.test(searchTerm)) return [];
 
-    getUserByEmail(email) {
-        return this.users.find(user => user.email === email);
-    }
+        const digits = searchTerm.replace(/\D/g, '');
+        if (digits.length < 3) return [];
 
-    getUsersByType(type) {
-        return this.users.filter(user => user.userType === type);
+        const terms = [digits];
+        const parsed = this.phoneService ? this.phoneService.parse(searchTerm) : null;
+        if (parsed && parsed.isValid) {
+            terms.push(parsed.e164.slice(1));
+        }
+        // A national number typed with its trunk prefix, e.g. "020 7946"
+        if (digits.startsWith('0') && digits.replace(/^0+/, '').length >= 3) {
+            terms.push(digits.replace(/^0+/, ''));
+        }
+        return terms;
     }
 
-    searchUsers(query) {
-        if (!query || query.trim() === '') {
-            return this.getAllUsers();
-        }
+    matchesPhone(user, phoneTerms) {
+        if (phoneTerms.length === 0) return false;
+        const numbers = [user.phoneE164, user.phone]
+            .filter(Boolean)
+            .map(number => String(number).replace(/\D/g, ''));
+        return phoneTerms.some(term => numbers.some(number => number.includes(term)));
+    }
 
-        const searchTerm = query.toLowerCase().trim();
-        return this.users.filter(user => 
-            user.firstName.toLowerCase().includes(searchTerm) ||
-            user.lastName.toLowerCase().includes(searchTerm) ||
-            user.email.toLowerCase().includes(searchTerm) ||
-            user.userType.toLowerCase().includes(searchTerm)
-        );
+    // Values of the profile fields that apply to this user's type
+    getCustomValues(user) {
+        if (!this.fieldSchema) return [];
+        return this.fieldSchema.getFields(user.userType)
+            .map(field => user[field.key])
+            .filter(value => value !== undefined && value !== null && value !== '')
+            .map(value => String(value));
     }
 
     /**
      * Statistics and analytics
+     * With a date range ({ from, to, interval }) the stats include a time series, see getStatsSeries
      */
-    getStats() {
-        const total = this.users.length;
-        const active = this.users.filter(user => user.status === 'active').length;
-        const inactive = total - active;
-        
-        const today = new Date().toDateString();
-        const newToday = this.users.filter(user => 
-            new Date(user.createdAt).toDateString() === today
-        ).length;
-
-        const byType = this.users.reduce((acc, user) => {
-            acc[user.userType] = (acc[user.userType] || 0) + 1;
+    getStats({ from = null, to = null, interval = 'day' } = {}) {
+        // Counts come straight from the type and status indexes
+        const countBy = (index) => Array.from(index.entries()).reduce((acc, [key, ids]) => {
+            if (ids.size) acc[key] = ids.size;
             return acc;
         }, {});
+        const byType = countBy(this.byType);
+        const byStatus = countBy(this.byStatus);
 
-        return {
+        const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+        const active = byStatus.active || 0;
+        const inactive = byStatus.inactive || 0;
+        const trashed = this.users.length - total;
+        
+        const startOfToday = new Date().setHours(0, 0, 0, 0);
+        const startOfTomorrow = new Date(startOfToday).setDate(new Date(startOfToday).getDate() + 1);
+        const newToday = this.users.filter(user => {
+            const created = Date.parse(user.createdAt);
+            return !user.deletedAt && created >= startOfToday && created < startOfTomorrow;
+        }).length;
+
+        const stats = {
             total,
             active,
             inactive,
+            trashed,
             newToday,
-            byType
+            byType,
+            byStatus
+        };
+        if (from && to) {
+            stats.series = this.getStatsSeries(from, to, interval);
+        }
+        return stats;
+    }
+
+    /**
+     * Time series in day, week (from Monday) or month buckets, local time
+     * from/to are dates or 'YYYY-MM-DD' strings; both days are included
+     * Each bucket: { start, end, signups, signupsByType, active, inactive, byStatus, churned }
+     * where the status counts are taken at the end of the bucket and churned counts
+     * users who became inactive during it
+     */
+    getStatsSeries(from, to, interval = 'day') {
+        const buckets = this.getStatsBuckets(from, to, interval);
+
+        // Every record is a run of events: signing up, each status change and moving to the trash
+        const events = [];
+        this.users.forEach(user => {
+            const created = Date.parse(user.createdAt);
+            const history = this.getStatusHistory(user);
+            history.forEach((entry, index) => events.push({
+                time: index === 0 ? created : Math.max(Date.parse(entry.at), created),
+                from: index === 0 ? null : history[index - 1].status,
+                to: entry.status,
+                userType: user.userType
+            }));
+            if (user.deletedAt) {
+                events.push({ time: Date.parse(user.deletedAt), from: history[history.length - 1].status, to: null });
+            }
+        });
+        events.sort((a, b) => a.time - b.time);
+
+        // One sweep: the counts carry over from bucket to bucket
+        const counts = {};
+        let next = 0;
+        const series = buckets.map(bucket => {
+            const row = { signups: 0, signupsByType: {}, churned: 0 };
+            while (next < events.length && events[next].time < bucket.end) {
+                const event = events[next++];
+                if (event.from) counts[event.from]--;
+                if (event.to) counts[event.to] = (counts[event.to] || 0) + 1;
+                if (event.time < bucket.start) continue;
+
+                if (event.from === null) {
+                    row.signups++;
+                    row.signupsByType[event.userType] = (row.signupsByType[event.userType] || 0) + 1;
+                } else if (event.to === 'inactive') {
+                    row.churned++;
+                }
+            }
+
+            const byStatus = {};
+            Object.keys(counts).forEach(status => {
+                if (counts[status] > 0) byStatus[status] = counts[status];
+            });
+            return {
+                start: new Date(bucket.start).toISOString(),
+                end: new Date(bucket.end).toISOString(),
+                ...row,
+                active: byStatus.active || 0,
+                inactive: byStatus.inactive || 0,
+                byStatus
+            };
+        });
+
+        return { interval, from: series[0].start, to: series[series.length - 1].end, buckets: series };
+    }
+
+    getStatsBuckets(from, to, interval) {
+        const toTime = (value, edge) => {
+            if (value instanceof Date) return value.getTime();
+            const range = UserService.parseDateRange(value);
+            return range ? Date.parse(range[edge]) : NaN;
+        };
+        const steps = {
+            day: date => date.setDate(date.getDate() + 1),
+            week: date => date.setDate(date.getDate() + 7),
+            month: date => date.setMonth(date.getMonth() + 1)
+        };
+
+        const start = new Date(toTime(from, 'from'));
+        const end = toTime(to, 'to');
+        if (isNaN(start.getTime()) || isNaN(end)) {
+            throw new Error('The date range needs a valid start and end date');
+        }
+        if (!steps[interval]) {
+            throw new Error(`Unknown interval ${interval}; use day, week or month`);
+        }
+        if (start.getTime() >= end) {
+            throw new Error('The start date must be before the end date');
+        }
+
+        // Buckets start on a whole day, a Monday or the first of the month
+        start.setHours(0, 0, 0, 0);
+        if (interval === 'week') start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        if (interval === 'month') start.setDate(1);
+
+        const buckets = [];
+        const cursor = new Date(start);
+        while (cursor.getTime() < end) {
+            if (buckets.length === this.maxStatsBuckets) {
+                throw new Error(`The date range has more than ${this.maxStatsBuckets} ${interval}s; choose a longer interval`);
+            }
+            const bucketStart = cursor.getTime();
+            steps[interval](cursor);
+            buckets.push({ start: bucketStart, end: cursor.getTime() });
+        }
+        return buckets;
+    }
+
+    // One row per bucket; periods are written as local dates, both ends included
+    statsSeriesToCsv(series) {
+        const localDate = (time) => {
+            const date = new Date(time);
+            const pad = (value) => String(value).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        };
+        const collectKeys = (field, first = []) => Array.from(new Set([
+            ...first,
+            ...series.buckets.flatMap(bucket => Object.keys(bucket[field])).sort()
+        ]));
+        const types = collectKeys('signupsByType');
+        const statuses = collectKeys('byStatus', ['active', 'inactive']);
+
+        const headers = ['Period start', 'Period end', 'Sign-ups',
+            ...types.map(type => `Sign-ups (${type})`),
+            ...statuses.map(status => `Users ${status}`),
+            'Churned'];
+        const rows = series.buckets.map(bucket => [
+            localDate(bucket.start),
+            localDate(Date.parse(bucket.end) - 1),
+            bucket.signups,
+            ...types.map(type => bucket.signupsByType[type] || 0),
+            ...statuses.map(status => bucket.byStatus[status] || 0),
+            bucket.churned
+        ]);
+
+        const escape = (value) => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
         };
+        return [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+    }
+
+    // Records from before status history was kept are taken to have had their status since sign-up
+    getStatusHistory(user) {
+        return Array.isArray(user.statusHistory) && user.statusHistory.length ?
+            user.statusHistory :
+            [{ status: user.status, at: user.createdAt }];
     }
 
     /**
@@ -193,7 +1429,11 @@ class UserService {
      */
     validateUser(userData) {
         const errors = [];
-        const required = ['firstName', 'lastName', 'email', 'phone', 'userType'];
+
+        // Invited users have no profile until they complete onboarding, also once archived
+        // or changed in bulk; only activating them needs the full profile
+        const isInvitation = Boolean(userData.invitedAt) && !userData.onboardedAt && userData.status !== 'active';
+        const required = isInvitation ? ['email', 'userType'] : ['firstName', 'lastName', 'email', 'phone', 'userType'];
 
         // Check required fields
         required.forEach(field => {
@@ -207,6 +1447,14 @@ class UserService {
             errors.push('Invalid email format');
         }
 
+        // Validate phone number
+        if (this.phoneService && userData.phone && userData.phone.trim() !== '') {
+            const phone = this.phoneService.parse(userData.phone);
+            if (!phone.isValid) {
+                errors.push(phone.error);
+            }
+        }
+
         // Validate user type
         const validTypes = ['client', 'provider', 'admin'];
         if (userData.userType && !validTypes.includes(userData.userType)) {
@@ -214,11 +1462,16 @@ class UserService {
         }
 
         // Validate status
-        const validStatuses = ['active', 'inactive'];
+        const validStatuses = Object.keys(this.statusTransitions);
         if (userData.status && !validStatuses.includes(userData.status)) {
             errors.push('Invalid status');
         }
 
+        // Validate admin-defined profile fields
+        if (this.fieldSchema && !isInvitation) {
+            errors.push(...this.fieldSchema.validateValues(userData));
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -233,8 +1486,31 @@ class UserService {
     /**
      * Helper methods
      */
+    // Appends to statusHistory when a record is created or its status changes;
+    // the reason says why (a suspension reason, or 'idle', 'suspensionExpired', 'activity', 'onboarded' for automatic changes)
+    trackStatus(original, updated, { reason = null } = {}) {
+        if (original && original.status === updated.status) return updated;
+
+        const history = original ? this.getStatusHistory(original) : [];
+        const at = original ? updated.lastModified || new Date().toISOString() : updated.createdAt;
+        const entry = reason ? { status: updated.status, at, reason } : { status: updated.status, at };
+        return { ...updated, statusHistory: [...history, entry] };
+    }
+
+    // Stores the display format in phone and the canonical number in phoneE164
+    normalizePhone(userData) {
+        if (!this.phoneService || !userData.phone) return userData;
+
+        const phone = this.phoneService.parse(userData.phone);
+        if (!phone.isValid) return userData;
+
+        return { ...userData, phone: phone.display, phoneE164: phone.e164 };
+    }
+
     findUserByEmail(email) {
-        return this.users.find(user => user.email === email);
+        // Trashed users do not keep their email reserved; case and surrounding spaces never matter
+        const ids = this.byEmail.get(this.normalizeEmail(email));
+        return ids && ids.size ? this.byId.get(ids.values().next().value) : undefined;
     }
 
     /**
@@ -246,6 +1522,9 @@ class UserService {
             failed: []
         };
 
+        this.notify('importStarted', { count: usersData.length });
+        this.beginBatch(`Import ${usersData.length} users`);
+
         for (const userData of usersData) {
             const result = await this.createUser(userData);
             if (result.success) {
@@ -255,38 +1534,593 @@ class UserService {
             }
         }
 
+        this.endBatch();
         this.notify('bulkImport', results);
         return results;
     }
 
-    async exportUsers() {
+    /**
+     * Bulk actions on selected users - one undo step and a single usersChanged
+     * notification; users that cannot be changed are reported and the rest still change
+     * Returns { action, success: [...], unchanged: [...], failed: [{ id, user, error, code }] }
+     */
+    async bulkSetStatus(ids, status) {
+        const actions = { active: 'activate', inactive: 'deactivate', archived: 'archive' };
+        const labels = { active: 'Activate', inactive: 'Deactivate', archived: 'Archive' };
+        const label = `${labels[status] || `Set status ${status} for`} ${ids.length} users`;
+        return this.bulkUpdateUsers(ids, { status }, actions[status] || 'update', label);
+    }
+
+    async bulkSetUserType(ids, userType) {
+        return this.bulkUpdateUsers(ids, { userType }, 'changeType', `Change ${ids.length} users to ${userType}`);
+    }
+
+    async bulkUpdateUsers(ids, changes, action = 'update', label = `Update ${ids.length} users`) {
+        return this.runBulk(action, label, ids, (user) => {
+            const isUnchanged = Object.keys(changes).every(field => user[field] === changes[field]);
+            return isUnchanged ? null : this.applyUpdate(user.id, { ...user, ...changes });
+        });
+    }
+
+    async bulkDeleteUsers(ids) {
+        return this.runBulk('delete', `Delete ${ids.length} users`, ids, (user) => this.applyDelete(user.id));
+    }
+
+    // apply(user) returns the changed record, or null when there was nothing to change
+    runBulk(action, label, ids, apply) {
+        const results = { action, success: [], unchanged: [], failed: [] };
+        const uniqueIds = Array.from(new Set(ids.map(id => parseInt(id))));
+
+        this.isBulkUpdating = true;
+        this.beginBatch(label);
+        try {
+            uniqueIds.forEach(id => {
+                const user = this.getUserById(id);
+                try {
+                    if (!user) {
+                        throw new Error('User not found');
+                    }
+                    const changed = apply(user);
+                    if (changed) {
+                        results.success.push(changed);
+                    } else {
+                        results.unchanged.push(user);
+                    }
+                } catch (error) {
+                    results.failed.push({ id, user: user || null, error: error.message, code: error.code });
+                }
+            });
+        } finally {
+            this.endBatch();
+            this.isBulkUpdating = false;
+        }
+
+        this.notify('bulkUpdate', results);
+        if (results.success.length) {
+            this.notify('usersChanged', this.users);
+        }
+        return results;
+    }
+
+    /**
+     * Undo/redo - every mutation records the before and after state of the
+     * records it touched; undo re-applies the before states, redo the after states
+     */
+    recordChange(label, before, after) {
+        if (this.isReplaying) return;
+
+        const change = {
+            before: before ? { ...before } : null,
+            after: after ? { ...after } : null
+        };
+
+        if (this.pendingBatch) {
+            this.pendingBatch.changes.push(change);
+            return;
+        }
+
+        this.pushCommand({ label, changes: [change] });
+    }
+
+    beginBatch(label) {
+        this.pendingBatch = { label, changes: [] };
+    }
+
+    endBatch() {
+        const batch = this.pendingBatch;
+        this.pendingBatch = null;
+        if (batch && batch.changes.length) {
+            this.pushCommand(batch);
+        }
+    }
+
+    pushCommand(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notifyHistory();
+    }
+
+    async undo() {
+        return this.replay(this.undoStack, this.redoStack, 'before');
+    }
+
+    async redo() {
+        return this.replay(this.redoStack, this.undoStack, 'after');
+    }
+
+    async replay(fromStack, toStack, state) {
+        const command = fromStack.pop();
+        if (!command) {
+            return { success: false, error: state === 'before' ? 'Nothing to undo' : 'Nothing to redo' };
+        }
+
+        // Undo walks the changes backwards, redo forwards
+        const changes = state === 'before' ? [...command.changes].reverse() : command.changes;
+
+        try {
+            this.isReplaying = true;
+            this.assertCanReplay(changes, state);
+            changes.forEach(change => this.applyRecordState(change, state));
+
+            toStack.push(command);
+            this.notify('usersChanged', this.users);
+            this.notifyHistory();
+
+            return { success: true, data: { label: command.label } };
+
+        } catch (error) {
+            fromStack.push(command);
+            this.notify('error', { message: error.message, type: state === 'before' ? 'undo' : 'redo' });
+            return { success: false, error: error.message };
+
+        } finally {
+            this.isReplaying = false;
+        }
+    }
+
+    assertCanReplay(changes, state) {
+        // Records of the same command are checked against each other's replayed state
+        const replayedIds = changes.map(change => (change.after || change.before).id);
+        const replayedEmails = new Set();
+
+        changes.forEach(change => {
+            const target = change[state];
+            const current = this.getUserById((change.after || change.before).id, true);
+
+            // Replaying is held to the same permissions as the original operation
+            if (!target || target.deletedAt || (current && current.deletedAt)) {
+                if (current) this.assertCan('delete', current);
+                if (!target || target.deletedAt) return;
+            } else {
+                this.assertCan(current ? 'update' : 'create', current || null, target);
+
+                // Storage that syncs to a server would refuse a status change outside the lifecycle
+                if (current && !this.canTransition(current.status, target.status)) {
+                    throw new Error(`Cannot restore ${target.email}: a ${current.status} user cannot be made ${target.status}`);
+                }
+            }
+
+            const existing = this.findUserByEmail(target.email);
+            const email = this.normalizeEmail(target.email);
+            if ((existing && !replayedIds.includes(existing.id)) || replayedEmails.has(email)) {
+                throw new Error(`Cannot restore ${target.email}: another user now has this email`);
+            }
+            replayedEmails.add(email);
+        });
+    }
+
+    applyRecordState(change, state) {
+        const target = change[state];
+        const id = (change.after || change.before).id;
+        const original = this.getUserById(id, true) || null;
+
+        // Undoing a create removes the record; everything else writes the stored version
+        if (!target) {
+            if (!original) return;
+            this.dropRecord(id);
+            this.markChanged(id, 'delete');
+            this.notify('userDeleted', original);
+            return;
+        }
+
+        const updated = this.putRecord({ ...target });
+        if (!original) {
+            this.nextId = Math.max(this.nextId, id + 1);
+        }
+        this.markChanged(id, 'save');
+
+        const wasVisible = Boolean(original) && !original.deletedAt;
+        if (target.deletedAt && wasVisible) {
+            this.notify('userDeleted', target);
+        } else if (!target.deletedAt && !wasVisible) {
+            this.notify('userRestored', target);
+        } else if (!target.deletedAt) {
+            this.notify('userUpdated', { original, updated });
+        }
+    }
+
+    forgetHistory(id) {
+        const keep = command => {
+            command.changes = command.changes.filter(change => (change.after || change.before).id !== id);
+            return command.changes.length > 0;
+        };
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+        this.notifyHistory();
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyHistory();
+    }
+
+    getHistoryState() {
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+        return {
+            canUndo: Boolean(lastUndo),
+            canRedo: Boolean(lastRedo),
+            undoLabel: lastUndo ? lastUndo.label : null,
+            redoLabel: lastRedo ? lastRedo.label : null
+        };
+    }
+
+    notifyHistory() {
+        this.notify('historyChanged', this.getHistoryState());
+    }
+
+    /**
+     * Backup - a versioned export that importBackup restores without losing
+     * ids, timestamps or trashed users. Password hashes are left out unless asked for
+     */
+    async exportUsers({ includeCredentials = false } = {}) {
+        const users = this.users
+            .filter(user => user.deletedAt ? this.can('delete', user) : this.can('view', user))
+            .map(user => {
+                if (includeCredentials) return { ...user };
+                const { credentials, ...record } = user;
+                return record;
+            });
+
         return {
-            users: this.getAllUsers(),
+            format: this.backupFormat,
+            version: this.backupVersion,
             exportDate: new Date().toISOString(),
+            users,
             stats: this.getStats()
         };
     }
 
     /**
-     * Data persistence methods (ready for API integration)
+     * Restore a backup. Conflicts (same id or same email as an existing user)
+     * are resolved with one strategy:
+     *   skip      - keep the existing user
+     *   overwrite - replace the existing user with the backup copy
+     *   merge     - keep the existing user, filling in fields it lacks and
+     *               taking the backup's values where the backup is newer
+     *   rename    - import the backup copy as a new user (new id, and the
+     *               email gets a +restored suffix if it is taken)
+     * With dryRun the summary is computed without changing anything.
      */
-    async loadUsers() {
+    async importBackup(backup, { strategy = 'skip', dryRun = false } = {}) {
         try {
-            // This is where you'd make API calls
-            // const response = await fetch('/api/users');
-            // const users = await response.json();
-            // this.users = users;
+            const records = this.readBackup(backup);
+            if (!['skip', 'overwrite', 'merge', 'rename'].includes(strategy)) {
+                throw new Error(`Unknown conflict strategy: ${strategy}`);
+            }
+
+            const summary = {
+                strategy,
+                dryRun,
+                version: backup.version || 0,
+                created: [],
+                overwritten: [],
+                merged: [],
+                renamed: [],
+                skipped: [],
+                failed: []
+            };
+
+            // Dry runs work on a copy so later records see the effect of earlier ones
+            const users = dryRun ? this.users.map(user => ({ ...user })) : this.users;
+            const ids = { next: this.nextId };
+
+            if (!dryRun) {
+                this.notify('importStarted', { count: records.length });
+                this.beginBatch(`Restore ${records.length} users from backup`);
+            }
+
+            records.forEach((record, index) => {
+                try {
+                    this.restoreBackupRecord(record, strategy, users, ids, summary, dryRun);
+                } catch (error) {
+                    summary.failed.push({ index, record, error: error.message });
+                }
+            });
+
+            if (!dryRun) {
+                this.endBatch();
+                this.nextId = Math.max(this.nextId, ids.next);
+
+                // Restored records are not new sign-ups, so they get their own event instead of userCreated
+                const added = [...summary.created, ...summary.renamed.map(rename => rename.user)];
+                if (added.length) {
+                    this.notify('backupRestored', { users: added });
+                }
+                const restored = [...summary.created, ...summary.overwritten, ...summary.merged]
+                    .concat(summary.renamed.map(rename => rename.user));
+                this.notify('bulkImport', {
+                    success: restored,
+                    failed: summary.failed.map(failure => ({ userData: failure.record, error: failure.error })),
+                    summary
+                });
+                if (restored.length) {
+                    this.notify('usersChanged', this.users);
+                }
+            }
+
+            return { success: true, data: summary };
+
+        } catch (error) {
+            this.notify('error', { message: error.message, type: 'import', code: error.code });
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
+    readBackup(backup) {
+        // Version 0 is the older { users, exportDate, stats } export
+        const data = typeof backup === 'string' ? JSON.parse(backup) : backup;
+        if (!data || !Array.isArray(data.users)) {
+            throw new Error('This is not a user backup');
+        }
+        if (data.format && data.format !== this.backupFormat) {
+            throw new Error(`Unsupported backup format: ${data.format}`);
+        }
+        if ((data.version || 0) > this.backupVersion) {
+            throw new Error(`This backup is from a newer version (${data.version}) and cannot be restored`);
+        }
+        return data.users;
+    }
+
+    // Restored records are normalized and checked like any other write: phone numbers get their
+    // phoneE164, and overwriting an existing user is held to the status lifecycle
+    restoreBackupRecord(input, strategy, users, ids, summary, dryRun) {
+        const validation = this.validateUser(input);
+        const id = parseInt(input.id);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join(', '));
+        }
+        if (isNaN(id) || id < 1) {
+            throw new Error('A valid id is required');
+        }
+        const record = this.normalizePhone(input);
+
+        const email = this.normalizeEmail(record.email);
+        const byId = users.find(user => user.id === id);
+        const byEmail = record.deletedAt ? null :
+            users.find(user => !user.deletedAt && this.normalizeEmail(user.email) === email);
+
+        // No conflict - the record comes back exactly as it was exported
+        if (!byId && !byEmail) {
+            this.assertCan('create', null, record);
+            this.getSyncedSuspension(record, record); // A suspended user needs its reason
+            const restored = { ...record, id };
+            this.applyBackupRecord(users, null, restored, dryRun);
+            ids.next = Math.max(ids.next, id + 1);
+            summary.created.push(restored);
+            return;
+        }
+
+        if (byId && byEmail && byId !== byEmail) {
+            if (strategy !== 'skip' && strategy !== 'rename') {
+                throw new Error('The id and the email belong to two different existing users');
+            }
+        }
+
+        const existing = byId || byEmail;
+        switch (strategy) {
+            case 'skip':
+                summary.skipped.push({ ...record, id });
+                return;
+
+            case 'overwrite': {
+                this.assertCan('update', existing, record);
+                const replaced = this.withSuspension({ ...record, id: existing.id }, this.getSyncedSuspension(existing, record));
+                this.applyBackupRecord(users, existing, replaced, dryRun);
+                summary.overwritten.push(replaced);
+                return;
+            }
+
+            case 'merge': {
+                this.assertCan('update', existing, record);
+                const backupIsNewer = this.recordTime(record) > this.recordTime(existing);
+                const merged = backupIsNewer ?
+                    { ...existing, ...record, id: existing.id } :
+                    { ...record, ...existing };
+                this.withSuspension(merged, this.getSyncedSuspension(existing, merged));
+                this.applyBackupRecord(users, existing, merged, dryRun);
+                summary.merged.push(merged);
+                return;
+            }
+
+            case 'rename': {
+                this.assertCan('create', null, record);
+                this.getSyncedSuspension(record, record); // A suspended user needs its reason
+                const renamed = {
+                    ...record,
+                    id: byId ? ids.next++ : id,
+                    email: byEmail ? this.uniqueEmail(record.email, users) : record.email
+                };
+                ids.next = Math.max(ids.next, renamed.id + 1);
+                this.applyBackupRecord(users, null, renamed, dryRun);
+                summary.renamed.push({ from: { id, email: record.email }, user: renamed });
+                return;
+            }
+        }
+    }
+
+    applyBackupRecord(users, existing, record, dryRun) {
+        // A dry run changes its own copy of the records, a real restore goes through the indexes
+        if (dryRun) {
+            if (existing) {
+                users[users.indexOf(existing)] = record;
+            } else {
+                users.push(record);
+            }
+            return;
+        }
+        this.putRecord(record);
+
+        this.markChanged(record.id, 'save');
+        this.recordChange('Restore from backup', existing, record);
+
+        // Added records are announced together through backupRestored, see importBackup
+        if (existing) {
+            this.notify('userUpdated', { original: existing, updated: record });
+        }
+    }
+
+    // Sets or clears the suspension of a record being written
+    withSuspension(record, suspension) {
+        if (suspension) {
+            record.suspension = suspension;
+        } else {
+            delete record.suspension;
+        }
+        return record;
+    }
+
+    uniqueEmail(email, users) {
+        const [local, domain] = email.split('@');
+        const taken = (candidate) => users.some(user => this.normalizeEmail(user.email) === this.normalizeEmail(candidate));
+
+        let candidate = `${local}+restored@${domain}`;
+        for (let n = 2; taken(candidate); n++) {
+            candidate = `${local}+restored${n}@${domain}`;
+        }
+        return candidate;
+    }
+
+    recordTime(user) {
+        return new Date(user.lastModified || user.createdAt || 0).getTime();
+    }
+
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * Indexes - every record by id and its position in this.users, visible records
+     * by normalized email, user type and status. Records are only added, replaced
+     * or removed through putRecord and dropRecord, which keep the indexes in step
+     */
+    rebuildIndexes() {
+        this.positions = new Map();
+        this.byId = new Map();
+        this.byEmail = new Map();
+        this.byType = new Map();
+        this.byStatus = new Map();
+
+        this.users.forEach((user, position) => {
+            this.positions.set(user.id, position);
+            this.byId.set(user.id, user);
+            this.updateIndexes(null, user);
+        });
+    }
 
-            // For now, load from localStorage or sample data
-            const stored = localStorage.getItem('appointme_users');
+    // Adds a record, or replaces the record with the same id where it stands
+    putRecord(user) {
+        const previous = this.byId.get(user.id) || null;
+        if (previous) {
+            this.users[this.positions.get(user.id)] = user;
+        } else {
+            this.positions.set(user.id, this.users.length);
+            this.users.push(user);
+        }
+        this.byId.set(user.id, user);
+        this.updateIndexes(previous, user);
+        return user;
+    }
+
+    dropRecord(id) {
+        const user = this.byId.get(id);
+        if (!user) return;
+
+        const position = this.positions.get(id);
+        this.users.splice(position, 1);
+        this.byId.delete(id);
+        this.positions.delete(id);
+        this.updateIndexes(user, null);
+
+        // Records after the removed one moved up by one
+        for (let i = position; i < this.users.length; i++) {
+            this.positions.set(this.users[i].id, i);
+        }
+    }
+
+    // Moves the id between buckets only for the keys that changed, so bucket order stays stable
+    updateIndexes(previous, user) {
+        const keysOf = (record) => record && !record.deletedAt ? {
+            byEmail: this.normalizeEmail(record.email),
+            byType: record.userType,
+            byStatus: record.status
+        } : {};
+        const before = keysOf(previous);
+        const after = keysOf(user);
+        const id = (user || previous).id;
+
+        ['byEmail', 'byType', 'byStatus'].forEach(index => {
+            if (before[index] === after[index]) return;
+            if (before[index] !== undefined) {
+                const ids = this[index].get(before[index]);
+                ids.delete(id);
+                if (ids.size === 0) this[index].delete(before[index]);
+            }
+            if (after[index] !== undefined) {
+                if (!this[index].has(after[index])) this[index].set(after[index], new Set());
+                this[index].get(after[index]).add(id);
+            }
+        });
+    }
+
+    // Visible records in any of the given index buckets, in directory order
+    getIndexed(index, keys) {
+        const ids = new Set();
+        keys.forEach(key => (index.get(key) || []).forEach(id => ids.add(id)));
+        return Array.from(ids)
+            .sort((a, b) => this.positions.get(a) - this.positions.get(b))
+            .map(id => this.byId.get(id));
+    }
+
+    /**
+     * Data persistence methods (delegated to the injected storage adapter)
+     */
+    markChanged(id, change) {
+        this.pendingChanges.set(id, change);
+    }
+
+    async loadUsers() {
+        try {
+            // Without an adapter users only live in memory
+            const stored = this.storage ? await this.storage.loadAll() : null;
             if (stored) {
-                this.users = JSON.parse(stored);
-                this.nextId = Math.max(...this.users.map(u => u.id), 0) + 1;
+                // Records saved before phone numbers were normalized get their E.164 value here
+                this.users = stored.map(user => user.phoneE164 ? user : this.normalizePhone(user));
+                // A loop, not Math.max(...ids): spreading 100k+ arguments overflows the call stack
+                this.nextId = this.users.reduce((max, user) => Math.max(max, user.id), 0) + 1;
+                this.rebuildIndexes();
+                this.pendingChanges.clear();
             } else {
                 // Load sample data
                 await this.loadSampleData();
             }
 
+            this.clearHistory(); // Loading is not an undoable change
+            this.isLoaded = true;
             this.notify('usersLoaded', this.users);
             return { success: true, data: this.users };
 
@@ -298,14 +2132,34 @@ class UserService {
 
     async saveUsers() {
         try {
-            // This is where you'd make API calls
-            // await fetch('/api/users', { method: 'PUT', body: JSON.stringify(this.users) });
+            // Only write the records that changed since the last save
+            const changes = Array.from(this.pendingChanges.entries());
+            this.pendingChanges.clear();
 
-            // For now, save to localStorage
-            localStorage.setItem('appointme_users', JSON.stringify(this.users));
+            if (this.storage) {
+                for (let i = 0; i < changes.length; i++) {
+                    const [id, change] = changes[i];
+                    try {
+                        if (change === 'delete') {
+                            await this.storage.deleteRecord(id);
+                        } else {
+                            const user = this.getUserById(id, true);
+                            if (user) await this.storage.saveRecord(user);
+                        }
+                    } catch (error) {
+                        // Re-queue this and the remaining changes unless newer ones were made meanwhile
+                        changes.slice(i).forEach(([pendingId, pendingChange]) => {
+                            if (!this.pendingChanges.has(pendingId)) {
+                                this.pendingChanges.set(pendingId, pendingChange);
+                            }
+                        });
+                        throw error;
+                    }
+                }
+            }
             
             this.notify('usersSaved', this.users);
-            return { success: true };
+            return { success: true, data: { saved: changes.length } };
 
         } catch (error) {
             this.notify('error', { message: error.message, type: 'save' });
@@ -361,6 +2215,22 @@ class UserService {
             this.autoSaveInterval = null;
         }
     }
+
+    /**
+     * Scheduled lifecycle rules, see applyLifecycleRules
+     */
+    enableLifecycleRules(interval = 60 * 60 * 1000) { // 1 hour
+        this.lifecycleInterval = setInterval(() => {
+            this.applyLifecycleRules();
+        }, interval);
+    }
+
+    disableLifecycleRules() {
+        if (this.lifecycleInterval) {
+            clearInterval(this.lifecycleInterval);
+            this.lifecycleInterval = null;
+        }
+    }
 }
 
 // Export for use in other files
@@ -1,370 +1,25 @@
 /**
- * UserService - Pure business logic for user management
- * No DOM manipulation or UI concerns
- */
-class UserService {
-    constructor() {
-        this.users = [];
-        this.nextId = 1;
-        this.observers = []; // For notifying UI of changes
-    }
-
-    /**
-     * Observer pattern - allows UI components to listen for changes
-     */
-    subscribe(callback) {
-        this.observers.push(callback);
-    }
-
-    unsubscribe(callback) {
-        this.observers = this.observers.filter(obs => obs !== callback);
-    }
-
-    notify(event, data) {
-        this.observers.forEach(callback => callback(event, data));
-    }
-
-    /**
-     * Core business logic methods
-     */
-    async createUser(userData) {
-        try {
-            // Validate required fields
-            const validation = this.validateUser(userData);
-            if (!validation.isValid) {
-                throw new Error(validation.errors.join(', '));
-            }
-
-            // Check for duplicate email
-            if (this.findUserByEmail(userData.email)) {
-                throw new Error('A user with this email already exists');
-            }
-
-            // Create user object
-            const newUser = {
-                id: this.nextId++,
-                ...userData,
-                createdAt: new Date().toISOString(),
-                lastActive: new Date().toISOString(),
-                status: userData.status || 'active'
-            };
-
-            // Add to collection
-            this.users.push(newUser);
-
-            // Notify observers
-            this.notify('userCreated', newUser);
-            this.notify('usersChanged', this.users);
-
-            return { success: true, data: newUser };
-
-        } catch (error) {
-            this.notify('error', { message: error.message, type: 'create' });
-            return { success: false, error: error.message };
-        }
-    }
-
-    async updateUser(id, userData) {
-        try {
-            const userIndex = this.users.findIndex(user => user.id === parseInt(id));
-            if (userIndex === -1) {
-                throw new Error('User not found');
-            }
-
-            // Validate data
-            const validation = this.validateUser(userData);
-            if (!validation.isValid) {
-                throw new Error(validation.errors.join(', '));
-            }
-
-            // Check for duplicate email (excluding current user)
-            const existingUser = this.findUserByEmail(userData.email);
-            if (existingUser && existingUser.id !== parseInt(id)) {
-                throw new Error('A user with this email already exists');
-            }
-
-            // Update user
-            const originalUser = { ...this.users[userIndex] };
-            this.users[userIndex] = {
-                ...this.users[userIndex],
-                ...userData,
-                lastModified: new Date().toISOString()
-            };
-
-            // Notify observers
-            this.notify('userUpdated', { 
-                original: originalUser, 
-                updated: this.users[userIndex] 
-            });
-            this.notify('usersChanged', this.users);
-
-            return { success: true, data: this.users[userIndex] };
-
-        } catch (error) {
-            this.notify('error', { message: error.message, type: 'update' });
-            return { success: false, error: error.message };
-        }
-    }
-
-    async deleteUser(id) {
-        try {
-            const userIndex = this.users.findIndex(user => user.id === parseInt(id));
-            if (userIndex === -1) {
-                throw new Error('User not found');
-            }
-
-            const deletedUser = this.users[userIndex];
-            this.users.splice(userIndex, 1);
-
-            // Notify observers
-            this.notify('userDeleted', deletedUser);
-            this.notify('usersChanged', this.users);
-
-            return { success: true, data: deletedUser };
-
-        } catch (error) {
-            this.notify('error', { message: error.message, type: 'delete' });
-            return { success: false, error: error.message };
-        }
-    }
-
-    /**
-     * Query methods
-     */
-    getAllUsers() {
-        return [...this.users]; // Return copy to prevent external mutation
-    }
-
-    getUserById(id) {
-        return this.users.find(user => user.id === parseInt(id));
-    }
-
-    getUserByEmail(email) {
-        return this.users.find(user => user.email === email);
-    }
-
-    getUsersByType(type) {
-        return this.users.filter(user => user.userType === type);
-    }
-
-    searchUsers(query) {
-        if (!query || query.trim() === '') {
-            return this.getAllUsers();
-        }
-
-        const searchTerm = query.toLowerCase().trim();
-        return this.users.filter(user => 
-            user.firstName.toLowerCase().includes(searchTerm) ||
-            user.lastName.toLowerCase().includes(searchTerm) ||
-            user.email.toLowerCase().includes(searchTerm) ||
-            user.userType.toLowerCase().includes(searchTerm)
-        );
-    }
-
-    /**
-     * Statistics and analytics
-     */
-    getStats() {
-        const total = this.users.length;
-        const active = this.users.filter(user => user.status === 'active').length;
-        const inactive = total - active;
-        
-        const today = new Date().toDateString();
-        const newToday = this.users.filter(user => 
-            new Date(user.createdAt).toDateString() === today
-        ).length;
-
-        const byType = this.users.reduce((acc, user) => {
-            acc[user.userType] = (acc[user.userType] || 0) + 1;
-            return acc;
-        }, {});
-
-        return {
-            total,
-            active,
-            inactive,
-            newToday,
-            byType
-        };
-    }
-
-    /**
-     * Validation logic
-     */
-    validateUser(userData) {
-        const errors = [];
-        const required = ['firstName', 'lastName', 'email', 'phone', 'userType'];
-
-        // Check required fields
-        required.forEach(field => {
-            if (!userData[field] || userData[field].trim() === '') {
-                errors.push(`${field} is required`);
-            }
-        });
-
-        // Validate email format
-        if (userData.email && !this.isValidEmail(userData.email)) {
-            errors.push('Invalid email format');
-        }
-
-        // Validate user type
-        const validTypes = ['client', 'provider', 'admin'];
-        if (userData.userType && !validTypes.includes(userData.userType)) {
-            errors.push('Invalid user type');
-        }
-
-        // Validate status
-        const validStatuses = ['active', 'inactive'];
-        if (userData.status && !validStatuses.includes(userData.status)) {
-            errors.push('Invalid status');
-        }
-
-        return {
-            isValid: errors.length === 0,
-            errors
-        };
-    }
-
-    isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
-    }
-
-    /**
-     * Helper methods
-     */
-    findUserByEmail(email) {
-        return this.users.find(user => user.email === email);
-    }
-
-    /**
-     * Bulk operations
-     */
-    async importUsers(usersData) {
-        const results = {
-            success: [],
-            failed: []
-        };
-
-        for (const userData of usersData) {
-            const result = await this.createUser(userData);
-            if (result.success) {
-                results.success.push(result.data);
-            } else {
-                results.failed.push({ userData, error: result.error });
-            }
-        }
-
-        this.notify('bulkImport', results);
-        return results;
-    }
-
-    async exportUsers() {
-        return {
-            users: this.getAllUsers(),
-            exportDate: new Date().toISOString(),
-            stats: this.getStats()
-        };
-    }
-
-    /**
-     * Data persistence methods (ready for API integration)
-     */
-    async loadUsers() {
-        try {
-            // This is where you'd make API calls
-            // const response = await fetch('/api/users');
-            // const users = await response.json();
-            // this.users = users;
-
-            // For now, load from localStorage or sample data
-            const stored = localStorage.getItem('appointme_users');
-            if (stored) {
-                this.users = JSON.parse(stored);
-                this.nextId = Math.max(...this.users.map(u => u.id), 0) + 1;
-            } else {
-                // Load sample data
-                await this.loadSampleData();
-            }
-
-            this.notify('usersLoaded', this.users);
-            return { success: true, data: this.users };
-
-        } catch (error) {
-            this.notify('error', { message: error.message, type: 'load' });
-            return { success: false, error: error.message };
-        }
-    }
-
-    async saveUsers() {
-        try {
-            // This is where you'd make API calls
-            // await fetch('/api/users', { method: 'PUT', body: JSON.stringify(this.users) });
-
-            // For now, save to localStorage
-            localStorage.setItem('appointme_users', JSON.stringify(this.users));
-            
-            this.notify('usersSaved', this.users);
-            return { success: true };
-
-        } catch (error) {
-            this.notify('error', { message: error.message, type: 'save' });
-            return { success: false, error: error.message };
-        }
-    }
-
-    async loadSampleData() {
-        const sampleUsers = [
-            {
-                firstName: 'John',
-                lastName: 'Doe',
-                email: 'john.doe@example.com',
-                phone: '+1 (555) 123-4567',
-                userType: 'client',
-                status: 'active'
-            },
-            {
-                firstName: 'Dr. Sarah',
-                lastName: 'Smith',
-                email: 'sarah.smith@clinic.com',
-                phone: '+1 (555) 987-6543',
-                userType: 'provider',
-                status: 'active'
-            },
-            {
-                firstName: 'Admin',
-                lastName: 'User',
-                email: 'admin@appointme.com',
-                phone: '+1 (555) 000-0000',
-                userType: 'admin',
-                status: 'active'
-            }
-        ];
-
-        for (const userData of sampleUsers) {
-            await this.createUser(userData);
-        }
-    }
-
-    /**
-     * Auto-save functionality
-     */
-    enableAutoSave(interval = 30000) { // 30 seconds
-        this.autoSaveInterval = setInterval(() => {
-            this.saveUsers();
-        }, interval);
-    }
-
-    disableAutoSave() {
-        if (this.autoSaveInterval) {
-         /**
  * UserUIController - Handles all UI interactions and DOM manipulation
  * Communicates with UserService for business logic
  */
 class UserUIController {
-    constructor(userService) {
+    constructor(userService, auditService = null, fieldSchemaService = null) {
         this.userService = userService;
+        this.auditService = auditService;
+        this.fieldSchemaService = fieldSchemaService;
         this.currentEditId = null;
+        this.openHistoryIds = new Set();
+        this.showingTrash = false;
+        this.isImporting = false; // Per-user updates are batched while an import runs
+        this.searchHighlights = new Map(); // user id -> { [field]: [[start, end]] } of the current search
+        // Directory view: only one page of cards is in the DOM, so large directories stay fast
+        this.view = { userTypes: [], statuses: [], sortBy: 'relevance', sortDirection: 'asc', page: 0, pageSize: 50 };
+        this.viewResults = [];
+        this.searchTimer = null;
+        // Bulk actions: ticked users stay selected across pages, searches and sorting
+        this.selectedIds = new Set();
+        this.selectionAnchorId = null; // Last ticked user, where a shift-click range starts
+        this.bulkFailures = []; // [{ id, user, error }] of the last bulk action
         this.elements = {};
         this.init();
     }
@@ -376,6 +31,7 @@ class UserUIController {
         this.cacheElements();
         this.bindEvents();
         this.subscribeToService();
+        this.applyPermissions();
         this.loadInitialData();
     }
 
@@ -397,10 +53,21 @@ class UserUIController {
             phone: document.getElementById('phone'),
             userType: document.getElementById('userType'),
             status: document.getElementById('status'),
+            suspensionFields: document.getElementById('suspensionFields'),
+            suspensionReason: document.getElementById('suspensionReason'),
+            suspendedUntil: document.getElementById('suspendedUntil'),
+            customFields: document.getElementById('customFields'),
             
             // Search and display
             searchInput: document.getElementById('searchUsers'),
             usersList: document.getElementById('usersList'),
+            directoryTitle: document.getElementById('directoryTitle'),
+            trashToggle: document.getElementById('trashToggle'),
+            directoryToolbar: document.getElementById('directoryToolbar'),
+            directoryFacets: document.getElementById('directoryFacets'),
+            sortUsers: document.getElementById('sortUsers'),
+            usersPager: document.getElementById('usersPager'),
+            bulkActions: document.getElementById('bulkActions'),
             
             // Statistics
             totalUsers: document.getElementById('totalUsers'),
@@ -420,7 +87,21 @@ class UserUIController {
         this.elements.cancelBtn.addEventListener('click', () => this.cancelEdit());
         
         // Search functionality
-        this.elements.searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
+        this.elements.searchInput.addEventListener('input', (e) => {
+            // Searching tens of thousands of users waits until typing pauses
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.handleSearch(e.target.value), 150);
+        });
+        this.elements.sortUsers.addEventListener('change', (e) => this.handleSort(e.target.value));
+
+        // Switch between the directory and the trash
+        this.elements.trashToggle.addEventListener('click', () => this.toggleTrash());
+        
+        // Profile fields depend on the user type
+        this.elements.userType.addEventListener('change', () => this.renderCustomFields());
+        
+        // Suspending asks for a reason and an optional end date
+        this.elements.status.addEventListener('change', () => this.toggleSuspensionFields());
         
         // Auto-save on form changes (optional)
         this.elements.userForm.addEventListener('input', () => this.showUnsavedChanges());
@@ -447,23 +128,65 @@ class UserUIController {
                 case 'userDeleted':
                     this.onUserDeleted(data);
                     break;
+                case 'userRestored':
+                    this.onUserRestored(data);
+                    break;
+                case 'userPurged':
+                    this.onUserPurged(data);
+                    break;
+                case 'usersMerged':
+                    this.onUsersMerged(data);
+                    break;
+                case 'importStarted':
+                    this.isImporting = true;
+                    break;
+                case 'bulkImport':
+                    this.onBulkImport(data);
+                    break;
+                case 'bulkUpdate':
+                    this.onBulkUpdate(data);
+                    break;
+                case 'usersIdled':
+                    this.onUsersIdled(data);
+                    break;
+                case 'suspensionsExpired':
+                    this.onSuspensionsExpired(data);
+                    break;
                 case 'usersChanged':
                     this.onUsersChanged(data);
                     break;
                 case 'usersLoaded':
                     this.onUsersLoaded(data);
                     break;
+                case 'actingUserChanged':
+                    this.onActingUserChanged(data);
+                    break;
                 case 'error':
                     this.onError(data);
                     break;
             }
         });
+
+        if (this.fieldSchemaService) {
+            this.fieldSchemaService.subscribe((event) => {
+                if (event === 'schemaChanged' || event === 'schemaLoaded') {
+                    this.renderCustomFields();
+                    this.renderUsers();
+                }
+            });
+        }
     }
 
     /**
      * Load initial data
      */
-    async loadInitialData() {
+    async loadInitialData(forceReload = false) {
+        // Users may already be loaded (e.g. for sign-in) before this controller exists
+        if (this.userService.isLoaded && !forceReload) {
+            this.onUsersLoaded(this.userService.users);
+            return;
+        }
+
         this.showLoading(true);
         await this.userService.loadUsers();
         this.showLoading(false);
@@ -476,7 +199,12 @@ class UserUIController {
         e.preventDefault();
         
         const formData = new FormData(e.target);
-        const userData = Object.fromEntries(formData);
+        const userData = {
+            // Disabled selects (type and status for non-admins) are not submitted
+            userType: this.elements.userType.value,
+            status: this.elements.status.value,
+            ...Object.fromEntries(formData)
+        };
         
         // Show loading state
         this.setFormLoading(true);
@@ -497,11 +225,53 @@ class UserUIController {
     }
 
     handleSearch(query) {
-        const filteredUsers = this.userService.searchUsers(query);
-        this.renderUsers(filteredUsers);
+        if (this.showingTrash) {
+            this.renderTrash(query);
+            return;
+        }
+
+        this.view.page = 0;
+        this.renderUsers();
+    }
+
+    handleSort(value) {
+        const [sortBy, sortDirection] = value.split(':');
+        this.view = { ...this.view, sortBy, sortDirection, page: 0 };
+        this.renderUsers();
+    }
+
+    toggleFacet(facet, value) {
+        const values = this.view[facet];
+        this.view[facet] = values.includes(value) ? values.filter(existing => existing !== value) : [...values, value];
+        this.view.page = 0;
+        this.renderFacets();
+        this.renderUsers();
+    }
+
+    goToPage(page) {
+        const pageCount = Math.max(Math.ceil(this.viewResults.length / this.view.pageSize), 1);
+        this.view.page = Math.min(Math.max(page, 0), pageCount - 1);
+        this.renderPage();
+        this.elements.usersList.scrollTop = 0;
     }
 
     handleKeyboardShortcuts(e) {
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z (or Ctrl + Y) to redo
+        // Text fields keep the browser's own undo
+        const isTextField = e.target.closest && e.target.closest('input, textarea, select');
+        if ((e.ctrlKey || e.metaKey) && !isTextField) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            }
+        }
+
         // Ctrl/Cmd + S to save
         if ((e.ctrlKey || e.metaKey) && e.key === 's') {
             e.preventDefault();
@@ -527,24 +297,124 @@ class UserUIController {
         }
     }
 
+    /**
+     * Undo/redo
+     */
+    async undo() {
+        const label = this.userService.getHistoryState().undoLabel;
+        const result = await this.userService.undo();
+        if (result.success) {
+            this.showNotification(`Undone: ${label}`, 'info', 6000, { label: 'Redo', onClick: () => this.redo() });
+        } else if (result.error) {
+            this.showNotification(result.error, 'warning');
+        }
+    }
+
+    async redo() {
+        const label = this.userService.getHistoryState().redoLabel;
+        const result = await this.userService.redo();
+        if (result.success) {
+            this.showNotification(`Redone: ${label}`, 'info', 6000, { label: 'Undo', onClick: () => this.undo() });
+        } else if (result.error) {
+            this.showNotification(result.error, 'warning');
+        }
+    }
+
+    undoAction() {
+        return { label: 'Undo', onClick: () => this.undo() };
+    }
+
     /**
      * Service event handlers (Observer pattern callbacks)
      */
     onUserCreated(user) {
-        this.showNotification(`User ${user.firstName} ${user.lastName} created successfully!`, 'success');
+        if (this.userService.isReplaying || this.isImporting) return; // undo/redo and imports show their own toast
+        this.showNotification(`User ${user.firstName} ${user.lastName} created successfully!`, 'success', 6000, this.undoAction());
         this.hideUnsavedChanges();
     }
 
     onUserUpdated(data) {
-        this.showNotification(`User ${data.updated.firstName} ${data.updated.lastName} updated successfully!`, 'success');
+        if (this.userService.isReplaying || this.userService.isBulkUpdating || this.isImporting) return;
+        this.showNotification(`User ${data.updated.firstName} ${data.updated.lastName} updated successfully!`, 'success', 6000, this.undoAction());
         this.hideUnsavedChanges();
     }
 
     onUserDeleted(user) {
-        this.showNotification(`User ${user.firstName} ${user.lastName} deleted successfully!`, 'success');
+        if (this.userService.isReplaying || this.userService.isBulkUpdating || this.isImporting) return;
+        this.showNotification(`User ${user.firstName} ${user.lastName} moved to the trash`, 'success', 6000, this.undoAction());
+    }
+
+    onUserRestored(user) {
+        if (this.currentEditId === user.id) {
+            this.cancelEdit();
+        }
+        if (this.userService.isReplaying) return;
+        this.showNotification(`User ${user.firstName} ${user.lastName} restored`, 'success', 6000, this.undoAction());
+    }
+
+    onUserPurged(user) {
+        this.openHistoryIds.delete(user.id);
+        if (this.currentEditId === user.id) {
+            this.cancelEdit();
+        }
+    }
+
+    onUsersMerged({ updated, merged }) {
+        if (this.currentEditId === updated.id || this.currentEditId === merged.id) {
+            this.cancelEdit();
+        }
+        this.showNotification(`Merged ${merged.firstName} ${merged.lastName} into ${updated.firstName} ${updated.lastName}`,
+            'success', 6000, this.undoAction());
+    }
+
+    onBulkImport(results) {
+        this.isImporting = false;
+        this.onUsersChanged(this.userService.users);
+
+        const message = `Imported ${results.success.length} user${results.success.length === 1 ? '' : 's'}` +
+            (results.failed.length ? `, ${results.failed.length} failed` : '');
+        this.showNotification(message, results.failed.length ? 'warning' : 'success', 6000,
+            results.success.length ? this.undoAction() : null);
+    }
+
+    onBulkUpdate(results) {
+        const verbs = {
+            activate: 'Activated',
+            deactivate: 'Deactivated',
+            archive: 'Archived',
+            changeType: 'Changed the type of',
+            delete: 'Moved to the trash',
+            update: 'Updated'
+        };
+        const count = results.success.length;
+        const message = `${verbs[results.action]} ${count} user${count === 1 ? '' : 's'}` +
+            (results.unchanged.length ? `, ${results.unchanged.length} already up to date` : '') +
+            (results.failed.length ? `, ${results.failed.length} failed` : '');
+        this.showNotification(message, results.failed.length ? 'warning' : 'success', 6000,
+            count ? this.undoAction() : null);
+
+        // Users that could not be changed stay selected, listed with the reason, so they can be fixed and retried
+        this.bulkFailures = results.failed;
+        this.selectedIds = new Set(results.failed.map(failure => failure.id));
+        this.selectionAnchorId = null;
+        if (count === 0) {
+            this.renderPage();
+        }
+    }
+
+    onUsersIdled({ users, idleDays }) {
+        this.showNotification(`${users.length} user${users.length === 1 ? '' : 's'} marked inactive after ` +
+            `${idleDays} days without signing in`, 'info', 6000);
+    }
+
+    onSuspensionsExpired({ users }) {
+        const names = users.map(user => `${user.firstName} ${user.lastName}`).join(', ');
+        this.showNotification(`Suspension ended, active again: ${names}`, 'info', 6000);
     }
 
     onUsersChanged(users) {
+        if (this.isImporting) return;
+        this.pruneSelection();
         this.updateStats();
         this.renderUsers();
         this.userService.saveUsers(); // Auto-save
@@ -556,8 +426,17 @@ class UserUIController {
         this.showNotification('Users loaded successfully!', 'info');
     }
 
+    onActingUserChanged(user) {
+        this.cancelEdit();
+        this.selectedIds.clear();
+        this.bulkFailures = [];
+        this.applyPermissions();
+        this.updateStats();
+        this.renderUsers();
+    }
+
     onError(error) {
-        this.showNotification(error.message, 'error');
+        this.showNotification(error.message, error.code === 'forbidden' ? 'warning' : 'error');
         console.error('UserService Error:', error);
     }
 
@@ -577,12 +456,114 @@ class UserUIController {
         const user = this.userService.getUserById(id);
         if (!user) return;
 
-        const confirmMessage = `Are you sure you want to delete ${user.firstName} ${user.lastName}?`;
+        const confirmMessage = `Move ${user.firstName} ${user.lastName} to the trash?`;
         if (!confirm(confirmMessage)) return;
 
         await this.userService.deleteUser(id);
     }
 
+    async restoreUser(id) {
+        await this.userService.restoreUser(id);
+    }
+
+    async purgeUser(id) {
+        const user = this.userService.getUserById(id, true);
+        if (!user) return;
+
+        const confirmMessage = `Permanently delete ${user.firstName} ${user.lastName}? This cannot be undone.`;
+        if (!confirm(confirmMessage)) return;
+
+        const result = await this.userService.purgeUser(id);
+        if (result.success) {
+            this.showNotification(`User ${user.firstName} ${user.lastName} permanently deleted`, 'success');
+        }
+    }
+
+    /**
+     * Selection and bulk actions
+     */
+    toggleSelection(id, e = {}) {
+        const select = !this.selectedIds.has(id);
+
+        // Shift-click ticks (or clears) every user between the last ticked one and this one, in the current order
+        const ids = e.shiftKey && this.selectionAnchorId !== null ?
+            this.getRangeIds(this.selectionAnchorId, id) :
+            [id];
+        ids.forEach(rangeId => select ? this.selectedIds.add(rangeId) : this.selectedIds.delete(rangeId));
+
+        this.selectionAnchorId = id;
+        this.renderPage();
+    }
+
+    getRangeIds(fromId, toId) {
+        const order = this.viewResults.map(result => result.user.id);
+        const from = order.indexOf(fromId);
+        const to = order.indexOf(toId);
+        if (from === -1 || to === -1) return [toId];
+        return order.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
+
+    selectAllMatching() {
+        this.viewResults.forEach(result => this.selectedIds.add(result.user.id));
+        this.renderPage();
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.selectionAnchorId = null;
+        this.bulkFailures = [];
+        this.renderPage();
+    }
+
+    // Users that were deleted, merged away or hidden from the acting user can no longer be acted on
+    pruneSelection() {
+        this.selectedIds.forEach(id => {
+            if (!this.userService.getUserById(id)) {
+                this.selectedIds.delete(id);
+            }
+        });
+        this.bulkFailures = this.bulkFailures.filter(failure => this.selectedIds.has(failure.id));
+    }
+
+    getSelectedUsers() {
+        return Array.from(this.selectedIds)
+            .map(id => this.userService.getUserById(id))
+            .filter(Boolean);
+    }
+
+    async bulkSetStatus(status) {
+        await this.userService.bulkSetStatus(Array.from(this.selectedIds), status);
+    }
+
+    async bulkSetUserType(userType) {
+        if (!userType) return;
+
+        const count = this.selectedIds.size;
+        const confirmMessage = `Change ${count} user${count === 1 ? '' : 's'} to ${userType}?`;
+        if (!confirm(confirmMessage)) {
+            this.renderBulkActions();
+            return;
+        }
+
+        await this.userService.bulkSetUserType(Array.from(this.selectedIds), userType);
+    }
+
+    async bulkDelete() {
+        const count = this.selectedIds.size;
+        const confirmMessage = `Move ${count} user${count === 1 ? '' : 's'} to the trash?`;
+        if (!confirm(confirmMessage)) return;
+
+        await this.userService.bulkDeleteUsers(Array.from(this.selectedIds));
+    }
+
+    toggleTrash(show = !this.showingTrash) {
+        this.showingTrash = show;
+        this.elements.directoryTitle.textContent = show ? 'Trash' : 'User Directory';
+        this.elements.searchInput.value = '';
+        this.updateTrashToggle();
+        this.renderUsers();
+    }
+
     populateForm(user) {
         this.elements.firstName.value = user.firstName;
         this.elements.lastName.value = user.lastName;
@@ -590,6 +571,15 @@ class UserUIController {
         this.elements.phone.value = user.phone;
         this.elements.userType.value = user.userType;
         this.elements.status.value = user.status;
+        this.elements.suspensionReason.value = user.suspension ? user.suspension.reason : '';
+        this.elements.suspendedUntil.value = user.suspension && user.suspension.until ?
+            this.formatDateInput(user.suspension.until) : '';
+        this.renderCustomFields(user);
+
+        // Only admins may change a user's type or status, and only along the lifecycle
+        this.elements.userType.disabled = !this.isAdminView();
+        this.elements.status.disabled = !this.isAdminView();
+        this.updateStatusOptions(user);
         
         // Update UI state
         this.elements.formTitle.textContent = 'Edit User';
@@ -602,6 +592,7 @@ class UserUIController {
 
     clearForm() {
         this.elements.userForm.reset();
+        this.renderCustomFields({});
         this.cancelEdit();
         this.hideUnsavedChanges();
     }
@@ -612,9 +603,61 @@ class UserUIController {
         this.elements.submitBtn.textContent = 'Add User';
         this.elements.cancelBtn.style.display = 'none';
         this.elements.userForm.classList.remove('editing');
+        this.applyPermissions();
+        this.updateStatusOptions();
         this.hideUnsavedChanges();
     }
 
+    // New users start pending, active or inactive; existing users move along the lifecycle
+    updateStatusOptions(user = null) {
+        const allowed = user ? this.userService.getAllowedStatuses(user) : this.userService.initialStatuses;
+        Array.from(this.elements.status.options).forEach(option => {
+            option.hidden = !allowed.includes(option.value);
+            option.disabled = !allowed.includes(option.value);
+        });
+        if (!allowed.includes(this.elements.status.value)) {
+            this.elements.status.value = user ? user.status : 'active';
+        }
+        this.toggleSuspensionFields();
+    }
+
+    toggleSuspensionFields() {
+        const isSuspending = this.elements.status.value === 'suspended';
+        const isEditable = isSuspending && !this.elements.status.disabled;
+        this.elements.suspensionFields.style.display = isSuspending ? 'block' : 'none';
+
+        // Disabled fields are left out of the submitted form data
+        this.elements.suspensionReason.disabled = !isEditable;
+        this.elements.suspendedUntil.disabled = !isEditable;
+        this.elements.suspensionReason.required = isEditable;
+    }
+
+    /**
+     * Permission-aware form state for the acting user
+     */
+    isAdminView() {
+        const actor = this.userService.getActingUser();
+        return !actor || actor.userType === 'admin';
+    }
+
+    applyPermissions() {
+        const isAdmin = this.isAdminView();
+        const adminOption = this.elements.userType.querySelector('option[value="admin"]');
+        if (adminOption) {
+            adminOption.hidden = !isAdmin;
+            adminOption.disabled = !isAdmin;
+        }
+
+        this.elements.userType.disabled = false;
+        this.elements.status.disabled = !isAdmin;
+
+        // Only people who may delete users can see the trash
+        if (!isAdmin && this.showingTrash) {
+            this.toggleTrash(false);
+        }
+        this.elements.trashToggle.style.display = isAdmin ? '' : 'none';
+    }
+
     /**
      * Rendering methods
      */
@@ -625,18 +668,124 @@ class UserUIController {
         this.animateNumber(this.elements.totalUsers, stats.total);
         this.animateNumber(this.elements.activeUsers, stats.active);
         this.animateNumber(this.elements.newUsersToday, stats.newToday);
+        this.updateTrashToggle();
+        this.renderFacets(stats);
     }
 
-    renderUsers(usersToRender = null) {
-        const users = usersToRender || this.userService.getAllUsers();
-        
-        if (users.length === 0) {
-            this.renderEmptyState(usersToRender !== null);
+    renderFacets(stats = this.userService.getStats()) {
+        const facets = [
+            { facet: 'userTypes', counts: stats.byType, labels: { client: 'Clients', provider: 'Providers', admin: 'Admins' } },
+            {
+                facet: 'statuses',
+                counts: stats.byStatus,
+                labels: { active: 'Active', pending: 'Pending', suspended: 'Suspended', inactive: 'Inactive', archived: 'Archived' }
+            }
+        ];
+
+        this.elements.directoryFacets.innerHTML = facets.map(({ facet, counts, labels }) => `
+            <div class="facet-group">
+                ${Object.keys(labels).map(value => `
+                    <button type="button" class="facet ${this.view[facet].includes(value) ? 'facet-selected' : ''}"
+                        onclick="userUIController.toggleFacet('${facet}', '${value}')">
+                        ${labels[value]} <span class="facet-count">${(counts[value] || 0).toLocaleString()}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    updateTrashToggle() {
+        this.elements.trashToggle.textContent = this.showingTrash ?
+            'Back to Directory' :
+            `Trash (${this.userService.getTrashedUsers().length})`;
+    }
+
+    renderUsers() {
+        this.elements.directoryToolbar.style.display = this.showingTrash ? 'none' : '';
+        if (this.showingTrash) {
+            this.elements.usersPager.innerHTML = '';
+            this.renderBulkActions();
+            this.renderTrash(this.elements.searchInput.value);
             return;
         }
 
-        const usersHTML = users.map(user => this.createUserCardHTML(user)).join('');
-        this.elements.usersList.innerHTML = usersHTML;
+        // Results come ranked and filtered, with the matched parts of each card to highlight
+        this.viewResults = this.userService.browseUsers(this.getViewOptions());
+        this.searchHighlights = new Map(this.viewResults.map(result => [result.user.id, result.highlights]));
+        this.renderPage();
+    }
+
+    renderPage() {
+        this.renderBulkActions();
+
+        const total = this.viewResults.length;
+        if (total === 0) {
+            const isFiltered = this.elements.searchInput.value.trim() !== '' ||
+                this.view.userTypes.length > 0 || this.view.statuses.length > 0;
+            this.elements.usersPager.innerHTML = '';
+            this.renderEmptyState(isFiltered);
+            return;
+        }
+
+        // Edits and deletes can shrink the list below the current page
+        const { pageSize } = this.view;
+        const pageCount = Math.ceil(total / pageSize);
+        this.view.page = Math.min(this.view.page, pageCount - 1);
+        const start = this.view.page * pageSize;
+        const pageResults = this.viewResults.slice(start, start + pageSize);
+
+        this.elements.usersList.innerHTML = pageResults.map(result => this.createUserCardHTML(result.user)).join('');
+        this.elements.usersPager.innerHTML = pageCount > 1 ? `
+            <button type="button" class="btn btn-small" ${this.view.page === 0 ? 'disabled' : ''}
+                onclick="userUIController.goToPage(${this.view.page - 1})">&larr; Previous</button>
+            <span class="pager-info">${(start + 1).toLocaleString()}&ndash;${(start + pageResults.length).toLocaleString()} of ${total.toLocaleString()}</span>
+            <button type="button" class="btn btn-small" ${this.view.page === pageCount - 1 ? 'disabled' : ''}
+                onclick="userUIController.goToPage(${this.view.page + 1})">Next &rarr;</button>
+        ` : `<span class="pager-info">${total.toLocaleString()} user${total === 1 ? '' : 's'}</span>`;
+    }
+
+    renderBulkActions() {
+        const { bulkActions } = this.elements;
+        const isAvailable = this.isAdminView() && !this.showingTrash;
+        bulkActions.style.display = isAvailable ? '' : 'none';
+        if (!isAvailable) {
+            bulkActions.innerHTML = '';
+            return;
+        }
+
+        const count = this.selectedIds.size;
+        const matching = this.viewResults.length;
+        const allMatchingSelected = this.viewResults.every(result => this.selectedIds.has(result.user.id));
+        const typeOptions = { client: 'Client', provider: 'Provider', admin: 'Admin' };
+
+        bulkActions.innerHTML = `
+            <div class="bulk-actions-bar">
+                <span class="bulk-count">${count ? `${count.toLocaleString()} selected` : 'Tick users to change several at once'}</span>
+                ${matching && !allMatchingSelected ? `
+                    <button type="button" class="btn btn-small" onclick="userUIController.selectAllMatching()">Select all ${matching.toLocaleString()} matching</button>
+                ` : ''}
+                ${count ? `
+                    <button type="button" class="btn btn-small" onclick="userUIController.clearSelection()">Clear</button>
+                    <button type="button" class="btn btn-small" onclick="userUIController.bulkSetStatus('active')">Activate</button>
+                    <button type="button" class="btn btn-small" onclick="userUIController.bulkSetStatus('inactive')">Deactivate</button>
+                    <button type="button" class="btn btn-small" onclick="userUIController.bulkSetStatus('archived')">Archive</button>
+                    <select aria-label="Change user type" onchange="userUIController.bulkSetUserType(this.value)">
+                        <option value="">Change type&hellip;</option>
+                        ${Object.keys(typeOptions).map(value => `<option value="${value}">${typeOptions[value]}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn btn-small" onclick="importController.openExport('selected')">Export</button>
+                    <button type="button" class="btn btn-danger btn-small" onclick="userUIController.bulkDelete()">Delete</button>
+                ` : ''}
+            </div>
+            ${this.bulkFailures.length ? `
+                <ul class="bulk-failures">
+                    ${this.bulkFailures.map(failure => `
+                        <li><strong>${failure.user ? escapeHtml(`${failure.user.firstName} ${failure.user.lastName}`) : `#${failure.id}`}:</strong>
+                            ${escapeHtml(failure.error)}</li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
     }
 
     renderEmptyState(isSearchResult = false) {
@@ -654,31 +803,225 @@ class UserUIController {
         `;
     }
 
+    /**
+     * Admin-defined profile fields for the selected user type
+     * Values already typed in are kept when the type changes
+     */
+    renderCustomFields(values = null) {
+        if (!this.fieldSchemaService || !this.elements.customFields) return;
+
+        const current = values || Object.fromEntries(
+            Array.from(this.elements.customFields.querySelectorAll('[name]')).map(input => [input.name, input.value])
+        );
+        const fields = this.fieldSchemaService.getFields(this.elements.userType.value);
+
+        this.elements.customFields.innerHTML = fields.map(field => {
+            const id = `custom-${field.key}`;
+            const value = current[field.key] === undefined || current[field.key] === null ? '' : String(current[field.key]);
+            const required = field.required ? 'required' : '';
+            let input;
+
+            switch (field.type) {
+                case 'textarea':
+                    input = `<textarea id="${id}" name="${field.key}" rows="3" ${required}>${escapeHtml(value)}</textarea>`;
+                    break;
+                case 'select':
+                    input = `
+                        <select id="${id}" name="${field.key}" ${required}>
+                            <option value="">Select ${escapeHtml(field.label.toLowerCase())}</option>
+                            ${field.options.map(option => `
+                                <option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option)}</option>
+                            `).join('')}
+                        </select>
+                    `;
+                    break;
+                default:
+                    input = `<input type="${field.type}" id="${id}" name="${field.key}" value="${escapeHtml(value)}" ${required}>`;
+            }
+
+            return `
+                <div class="form-group">
+                    <label for="${id}">${escapeHtml(field.label)}</label>
+                    ${input}
+                </div>
+            `;
+        }).join('');
+    }
+
+    createCustomFieldsHTML(user, highlights = {}) {
+        if (!this.fieldSchemaService) return '';
+
+        return this.fieldSchemaService.getFields(user.userType)
+            .filter(field => user[field.key] !== undefined && user[field.key] !== null && user[field.key] !== '')
+            .map(field => {
+                // Dates are shown localized, so search matches on the stored value cannot be marked
+                const valueHTML = field.type === 'date' ?
+                    escapeHtml(new Date(`${user[field.key]}T00:00:00`).toLocaleDateString()) :
+                    this.highlight(String(user[field.key]), highlights[field.key]);
+                return `<p class="${field.type === 'textarea' ? 'user-field-long' : ''}"><strong>${escapeHtml(field.label)}:</strong> ${valueHTML}</p>`;
+            })
+            .join('');
+    }
+
     createUserCardHTML(user) {
-        const statusColor = user.status === 'active' ? '#27ae60' : '#e74c3c';
+        const statusColors = { active: '#27ae60', pending: '#f39c12', suspended: '#d35400', inactive: '#e74c3c', archived: '#95a5a6' };
+        const statusColor = statusColors[user.status] || '#7f8c8d';
         const userTypeFormatted = user.userType.charAt(0).toUpperCase() + user.userType.slice(1);
         const statusFormatted = user.status.charAt(0).toUpperCase() + user.status.slice(1);
+        const highlights = this.searchHighlights.get(user.id) || {};
+        const phoneHTML = this.highlight(user.phone, highlights.phone);
+        
+        const isSelectable = this.isAdminView();
+        const isSelected = this.selectedIds.has(user.id);
+        const isInvited = this.userService.isAwaitingOnboarding(user);
         
         return `
-            <div class="user-card" data-user-id="${user.id}">
+            <div class="user-card ${isSelected ? 'user-card-selected' : ''}" data-user-id="${user.id}">
                 <div class="user-info">
                     <div class="user-details">
-                        <h3>${user.firstName} ${user.lastName}</h3>
-                        <p><strong>Email:</strong> ${user.email}</p>
-                        <p><strong>Phone:</strong> ${user.phone}</p>
+                        <h3>${isSelectable ? `<input type="checkbox" class="user-select" ${isSelected ? 'checked' : ''}
+                                aria-label="Select ${escapeHtml(`${user.firstName} ${user.lastName}`)}"
+                                onclick="userUIController.toggleSelection(${user.id}, event)">` : ''}${isInvited ? 'Invited user' :
+                                `${this.highlight(user.firstName, highlights.firstName)} ${this.highlight(user.lastName, highlights.lastName)}`}</h3>
+                        <p><strong>Email:</strong> ${this.highlight(user.email, highlights.email)}</p>
+                        <p><strong>Phone:</strong> ${user.phoneE164 ? `<a href="tel:${user.phoneE164}">${phoneHTML}</a>` : phoneHTML}</p>
                         <p><strong>Type:</strong> ${userTypeFormatted}</p>
-                        <p><strong>Status:</strong> <span style="color: ${statusColor}">${statusFormatted}</span></p>
-                        <p><strong>Joined:</strong> ${new Date(user.createdAt).toLocaleDateString()}</p>
+                        <p><strong>Status:</strong> <span style="color: ${statusColor}">${statusFormatted}</span>${this.userService.isIdle(user) ? ' (idle)' : ''}</p>
+                        ${user.suspension ? `<p><strong>Suspended:</strong> ${escapeHtml(user.suspension.reason)}${user.suspension.until ?
+                            ` (until ${new Date(user.suspension.until).toLocaleDateString()})` : ''}</p>` : ''}
+                        ${isInvited ? `<p><strong>Invited:</strong> ${new Date(user.invitedAt).toLocaleDateString()}, waiting for sign-up</p>` :
+                            `<p><strong>Joined:</strong> ${new Date(user.createdAt).toLocaleDateString()}</p>
+                        <p><strong>Last active:</strong> ${new Date(user.lastActive || user.createdAt).toLocaleDateString()}</p>`}
+                        ${this.createCustomFieldsHTML(user, highlights)}
                     </div>
                     <div class="user-actions">
-                        <button class="btn btn-small" onclick="userUIController.editUser(${user.id})">Edit</button>
-                        <button class="btn btn-danger btn-small" onclick="userUIController.deleteUser(${user.id})">Delete</button>
+                        ${this.userService.can('update', user) ? `<button class="btn btn-small" onclick="userUIController.editUser(${user.id})">Edit</button>` : ''}
+                        ${this.userService.can('delete', user) ? `<button class="btn btn-danger btn-small" onclick="userUIController.deleteUser(${user.id})">Delete</button>` : ''}
+                        ${this.canViewHistory() ? `<button class="btn btn-small" onclick="userUIController.toggleHistory(${user.id})">History</button>` : ''}
+                    </div>
+                </div>
+                <div class="user-history" id="userHistory-${user.id}">
+                    ${this.openHistoryIds.has(user.id) ? this.createHistoryHTML(user.id) : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderTrash(query = '') {
+        const searchTerm = query.toLowerCase().trim();
+        const users = this.userService.getTrashedUsers().filter(user => !searchTerm ||
+            `${user.firstName} ${user.lastName} ${user.email}`.toLowerCase().includes(searchTerm));
+
+        if (users.length === 0) {
+            this.elements.usersList.innerHTML = `
+                <div class="empty-state">
+                    <div style="font-size: 4rem; margin-bottom: 1rem; opacity: 0.3;">🗑️</div>
+                    <h3>${searchTerm ? 'No users found' : 'Trash is empty'}</h3>
+                    <p>Deleted users stay here for ${this.userService.trashRetentionDays} days before they are purged</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.usersList.innerHTML = users.map(user => this.createTrashedUserCardHTML(user)).join('');
+    }
+
+    createTrashedUserCardHTML(user) {
+        const userTypeFormatted = user.userType.charAt(0).toUpperCase() + user.userType.slice(1);
+
+        return `
+            <div class="user-card user-card-trashed" data-user-id="${user.id}">
+                <div class="user-info">
+                    <div class="user-details">
+                        <h3>${escapeHtml(`${user.firstName} ${user.lastName}`)}</h3>
+                        <p><strong>Email:</strong> ${escapeHtml(user.email)}</p>
+                        <p><strong>Type:</strong> ${userTypeFormatted}</p>
+                        <p><strong>Deleted:</strong> ${new Date(user.deletedAt).toLocaleString()}</p>
+                        <p><strong>Purged on:</strong> ${this.userService.getPurgeDate(user).toLocaleDateString()}</p>
+                    </div>
+                    <div class="user-actions">
+                        <button class="btn btn-small" onclick="userUIController.restoreUser(${user.id})">Restore</button>
+                        <button class="btn btn-danger btn-small" onclick="userUIController.purgeUser(${user.id})">Delete Forever</button>
                     </div>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Change history timeline (audit trail)
+     */
+    canViewHistory() {
+        return Boolean(this.auditService) && this.isAdminView();
+    }
+
+    toggleHistory(id) {
+        const panel = document.getElementById(`userHistory-${id}`);
+        if (!panel) return;
+
+        if (this.openHistoryIds.has(id)) {
+            this.openHistoryIds.delete(id);
+            panel.innerHTML = '';
+        } else {
+            this.openHistoryIds.add(id);
+            panel.innerHTML = this.createHistoryHTML(id);
+        }
+    }
+
+    createHistoryHTML(userId) {
+        const entries = this.auditService.getHistory(userId);
+        if (entries.length === 0) {
+            return '<p class="history-empty">No recorded changes yet</p>';
+        }
+
+        const actionLabels = {
+            create: 'Created',
+            import: 'Imported',
+            update: 'Updated',
+            status: 'Status changed',
+            delete: 'Deleted',
+            restore: 'Restored',
+            purge: 'Permanently deleted',
+            merge: 'Merged',
+            credentials: 'Password changed',
+            invite: 'Invited',
+            onboarding: 'Completed sign-up'
+        };
+
+        return `
+            <ul class="history-timeline">
+                ${entries.map(entry => `
+                    <li class="history-entry history-${entry.action}">
+                        <div class="history-meta">
+                            <strong>${actionLabels[entry.action] || entry.action}</strong>
+                            by ${escapeHtml(entry.actorName)}
+                            <span class="history-date">${new Date(entry.at).toLocaleString()}</span>
+                        </div>
+                        ${entry.changes.length ? `
+                            <table class="history-diff">
+                                ${entry.changes.map(change => `
+                                    <tr>
+                                        <td class="history-field">${escapeHtml(change.field)}</td>
+                                        <td class="history-from">${this.formatHistoryValue(change.from)}</td>
+                                        <td class="history-arrow">&rarr;</td>
+                                        <td class="history-to">${this.formatHistoryValue(change.to)}</td>
+                                    </tr>
+                                `).join('')}
+                            </table>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    formatHistoryValue(value) {
+        if (value === null || value === '') {
+            return '<em>empty</em>';
+        }
+        return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+
     /**
      * UI state management
      */
@@ -714,13 +1057,26 @@ class UserUIController {
     /**
      * Notification system
      */
-    showNotification(message, type = 'info', duration = 3000) {
+    showNotification(message, type = 'info', duration = 3000, action = null) {
         // Remove existing notifications of the same type
         this.hideNotifications(type);
         
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.textContent = message;
+
+        // Optional action button, e.g. { label: 'Undo', onClick }
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                this.hideNotification(notification);
+                action.onClick();
+            });
+            notification.appendChild(button);
+        }
         notification.style.cssText = `
             position: fixed;
             top: 20px;
@@ -797,18 +1153,67 @@ class UserUIController {
         }, stepDuration);
     }
 
+    // yyyy-mm-dd in local time, as date inputs expect
+    formatDateInput(value) {
+        const date = new Date(value);
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    // Escapes text and wraps the given [start, end] ranges in <mark>
+    highlight(text, ranges = []) {
+        const value = String(text === undefined || text === null ? '' : text);
+        if (!ranges || ranges.length === 0) return escapeHtml(value);
+
+        const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+        let html = '';
+        let position = 0;
+        sorted.forEach(([start, end]) => {
+            start = Math.max(start, position);
+            if (end <= start) return;
+            html += escapeHtml(value.slice(position, start)) + `<mark>${escapeHtml(value.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + escapeHtml(value.slice(position));
+    }
+
     /**
      * Public methods for external use
      */
     refresh() {
-        this.loadInitialData();
+        this.loadInitialData(true);
     }
 
     exportData() {
         return this.userService.exportUsers();
     }
 
-    async importData(data) {
+    getViewOptions() {
+        return {
+            query: this.elements.searchInput.value,
+            userTypes: this.view.userTypes,
+            statuses: this.view.statuses,
+            sortBy: this.view.sortBy,
+            sortDirection: this.view.sortDirection
+        };
+    }
+
+    getVisibleUsers() {
+        if (this.showingTrash) {
+            return this.userService.getAllUsers();
+        }
+        // Every page of the current search, facets and sort order
+        return this.userService.browseUsers(this.getViewOptions()).map(result => result.user);
+    }
+
+    async importData(data, options = {}) {
+        // Backups (from exportData) keep ids and timestamps; plain arrays are created as new users
+        if (!Array.isArray(data)) {
+            return await this.userService.importBackup(data, options);
+        }
         return await this.userService.importUsers(data);
     }
 }
@@ -818,15 +1223,4 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = UserUIController;
 } else {
     window.UserUIController = UserUIController;
-}   clearInterval(this.autoSaveInterval);
-            this.autoSaveInterval = null;
-        }
-    }
 }
-
-// Export for use in other files
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = UserService;
-} else {
-    window.UserService = UserService;
-}
\ No newline at end of file
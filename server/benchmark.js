@@ -0,0 +1,100 @@
+/**
+ * TalentKit UserService benchmark
+ * Fills an in-memory UserService (no storage adapter) and times the common
+ * lookups and mutations, so index regressions show up before users notice.
+ *
+ * Usage: node server/benchmark.js [count]   (count defaults to 100000)
+ */
+const { performance } = require('perf_hooks');
+
+const UserService = require('../assets/userservice.js');
+const PhoneService = require('../assets/phoneservice.js');
+
+const COUNT = parseInt(process.argv[2]) || 100000;
+const SAMPLES = 1000; // Lookups and mutations are timed over this many random records
+
+const FIRST_NAMES = ['James', 'Maria', 'Chen', 'Aisha', 'Lukas', 'Sofia', 'Omar', 'Emma', 'Raj', 'Zoë'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Wang', 'Okafor', 'Müller', 'Rossi', 'Haddad', 'Brown', 'Patel', 'Nguyen'];
+const USER_TYPES = ['client', 'client', 'client', 'provider', 'admin'];
+
+/**
+ * Helpers
+ */
+function userData(i) {
+    return {
+        firstName: FIRST_NAMES[i % FIRST_NAMES.length],
+        lastName: `${LAST_NAMES[Math.floor(i / FIRST_NAMES.length) % LAST_NAMES.length]}${i}`,
+        email: `user${i}@example.com`,
+        phone: `+1 (555) ${String(1000000 + i).slice(-7, -4)}-${String(i % 10000).padStart(4, '0')}`,
+        userType: USER_TYPES[i % USER_TYPES.length],
+        status: i % 7 === 0 ? 'inactive' : 'active'
+    };
+}
+
+function randomIds(count) {
+    return Array.from({ length: count }, () => 1 + Math.floor(Math.random() * COUNT));
+}
+
+async function time(label, runs, fn) {
+    const start = performance.now();
+    for (let i = 0; i < runs; i++) {
+        await fn(i);
+    }
+    const total = performance.now() - start;
+    results.push({ label, runs, total, each: total / runs });
+}
+
+function report() {
+    const pad = (value, width) => String(value).padStart(width);
+    console.log(`\nUserService with ${COUNT} users\n`);
+    console.log(`${'Operation'.padEnd(28)}${pad('Runs', 8)}${pad('Total ms', 12)}${pad('Per run ms', 14)}`);
+    results.forEach(({ label, runs, total, each }) => {
+        console.log(`${label.padEnd(28)}${pad(runs, 8)}${pad(total.toFixed(1), 12)}${pad(each.toFixed(3), 14)}`);
+    });
+    console.log('');
+}
+
+/**
+ * Benchmark
+ */
+const results = [];
+
+async function run() {
+    const userService = new UserService();
+    userService.setPhoneService(new PhoneService('US'));
+
+    await time('createUser', COUNT, (i) => userService.createUser(userData(i)));
+    if (userService.getAllUsers().length !== COUNT) {
+        throw new Error('Not every user was created');
+    }
+
+    const ids = randomIds(SAMPLES);
+    await time('getUserById', SAMPLES, (i) => userService.getUserById(ids[i]));
+    await time('findUserByEmail', SAMPLES, (i) => userService.findUserByEmail(`USER${ids[i] - 1}@example.com`));
+    await time('getUsersByType', 10, () => userService.getUsersByType('provider'));
+    await time('getStats', 10, () => userService.getStats());
+    await time('getStats (365 day series)', 10, () => {
+        const to = new Date();
+        const from = new Date(to.getTime() - 364 * 24 * 60 * 60 * 1000);
+        return userService.getStats({ from, to, interval: 'day' });
+    });
+    await time('searchUsers (name)', 10, () => userService.searchUsers('garcia'));
+    await time('searchUsers (filters)', 10, () => userService.searchUsers('type:provider status:inactive'));
+    await time('browseUsers (sorted)', 10, () => userService.browseUsers({ sortBy: 'name' }));
+    await time('updateUser', SAMPLES, (i) => {
+        const user = userService.getUserById(ids[i]);
+        return userService.updateUser(ids[i], { ...user, status: user.status === 'active' ? 'inactive' : 'active' });
+    });
+    await time(`bulkSetStatus (${SAMPLES} users)`, 1, () => userService.bulkSetStatus(ids, 'active'));
+    await time('deleteUser', SAMPLES, async (i) => {
+        const user = userService.getUserById(ids[i]);
+        if (user) await userService.deleteUser(ids[i]);
+    });
+
+    report();
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,70 @@
+/**
+ * FileStorageAdapter - Persists records as a JSON array in a file on disk
+ * Implements the same interface as the browser adapters in assets/storageadapters.js
+ */
+const fs = require('fs');
+const path = require('path');
+
+class FileStorageAdapter {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = null; // Cached copy of the file, keyed by id
+        this.writeQueue = Promise.resolve(); // Serializes writes to the file
+    }
+
+    async loadAll() {
+        try {
+            const contents = await fs.promises.readFile(this.filePath, 'utf8');
+            const records = JSON.parse(contents);
+            this.records = new Map(records.map(record => [record.id, record]));
+            return records;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.records = new Map();
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async saveRecord(record) {
+        await this.ensureLoaded();
+        this.records.set(record.id, { ...record });
+        await this.flush();
+    }
+
+    async deleteRecord(id) {
+        await this.ensureLoaded();
+        this.records.delete(id);
+        await this.flush();
+    }
+
+    async saveAll(records) {
+        this.records = new Map(records.map(record => [record.id, { ...record }]));
+        await this.flush();
+    }
+
+    async ensureLoaded() {
+        if (!this.records) {
+            await this.loadAll();
+        }
+    }
+
+    /**
+     * Write via a temporary file and rename so a crash never leaves half a file
+     */
+    flush() {
+        const contents = JSON.stringify(Array.from(this.records.values()), null, 2);
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, contents, 'utf8');
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+
+        return this.writeQueue;
+    }
+}
+
+module.exports = FileStorageAdapter;
\ No newline at end of file
@@ -0,0 +1,478 @@
+/**
+ * TalentKit local server
+ * Serves index.html and assets/ and implements the /api/users REST contract
+ * on top of the same UserService the browser uses, so validation never drifts.
+ * The profile field schema is kept here as well (/api/field-schema) and used when validating users,
+ * and /api/setup records that the first administrator has chosen a password.
+ *
+ * Usage: node server/server.js   (PORT, DATA_FILE, SCHEMA_FILE, SETUP_FILE, TRASH_RETENTION_DAYS and IDLE_DAYS can be set in the environment)
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+const UserService = require('../assets/userservice.js');
+const PhoneService = require('../assets/phoneservice.js');
+const FieldSchemaService = require('../assets/fieldschemaservice.js');
+const FileStorageAdapter = require('./filestorageadapter.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PORT = parseInt(process.env.PORT) || 3000;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'users.json');
+const SCHEMA_FILE = process.env.SCHEMA_FILE || path.join(path.dirname(DATA_FILE), 'field-schema.json');
+const SETUP_FILE = process.env.SETUP_FILE || path.join(path.dirname(DATA_FILE), 'setup.json');
+const MAX_BODY_SIZE = 1024 * 1024; // 1 MB
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const IDLE_DAYS = process.env.IDLE_DAYS !== undefined ? parseInt(process.env.IDLE_DAYS) || 0 : 90; // 0 = never
+const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || 'US';
+const PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+const userService = new UserService(new FileStorageAdapter(DATA_FILE));
+userService.trashRetentionDays = TRASH_RETENTION_DAYS;
+userService.idleDays = IDLE_DAYS;
+userService.setPhoneService(new PhoneService(DEFAULT_PHONE_COUNTRY));
+
+const fieldSchemaService = new FieldSchemaService(userService);
+userService.setFieldSchema(fieldSchemaService);
+
+let setupCompletedAt = null;
+
+/**
+ * Response helpers
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(withoutCredentials(body)));
+}
+
+// Password hashes never leave the server and cannot be written through the API,
+// the same way UserService.exportUsers leaves them out of backups
+function withoutCredentials(value) {
+    if (Array.isArray(value)) return value.map(withoutCredentials);
+    if (!value || typeof value !== 'object' || !('credentials' in value)) return value;
+
+    const { credentials, ...user } = value;
+    return user;
+}
+
+function sendError(res, status, message) {
+    sendJson(res, status, { error: message });
+}
+
+// Map UserService error messages onto HTTP status codes
+function statusForError(message, code) {
+    if (code === 'forbidden') return 403;
+    if (/^User not found/.test(message)) return 404;
+    if (/already exists/.test(message)) return 409;
+    if (/cannot be made/.test(message)) return 409; // Status change outside the lifecycle
+    return 400;
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (chunks.length === 0) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Run a UserService mutation, persist it and send the result
+ */
+async function respondWithResult(res, result, successStatus = 200) {
+    if (!result.success) {
+        sendError(res, statusForError(result.error, result.code), result.error);
+        return;
+    }
+
+    await userService.saveUsers();
+    sendJson(res, successStatus, result.data);
+}
+
+/**
+ * API routes
+ */
+async function handleApi(req, res, url) {
+    const parts = url.pathname.replace(/\/+$/, '').split('/').slice(3); // after /api/users
+    const [segment, subresource] = parts;
+
+    if (parts.length > 2 || (subresource && subresource !== 'restore')) {
+        sendError(res, 404, 'Not found');
+        return;
+    }
+
+    // /api/users
+    if (!segment) {
+        switch (req.method) {
+            case 'GET':
+                // ?includeTrashed=true returns every record in directory order, as HttpStorageAdapter loads them
+                sendJson(res, 200, url.searchParams.get('includeTrashed') === 'true' ?
+                    userService.users :
+                    userService.searchUsers(url.searchParams.get('q') || ''));
+                return;
+            case 'POST':
+                await respondWithResult(res, await userService.createUser(withoutCredentials(await readJsonBody(req))), 201);
+                return;
+            case 'PUT':
+                await replaceAllUsers(req, res);
+                return;
+            default:
+                sendError(res, 405, 'Method not allowed');
+                return;
+        }
+    }
+
+    // /api/users/search, /api/users/stats and /api/users/trash
+    if (segment === 'search' || segment === 'stats' || segment === 'trash') {
+        if (req.method !== 'GET' || subresource) {
+            sendError(res, subresource ? 404 : 405, subresource ? 'Not found' : 'Method not allowed');
+            return;
+        }
+        const handlers = {
+            search: () => userService.searchUsers(url.searchParams.get('q') || ''),
+            stats: () => userService.getStats(),
+            trash: () => userService.getTrashedUsers()
+        };
+        sendJson(res, 200, handlers[segment]());
+        return;
+    }
+
+    // /api/users/:id
+    const id = parseInt(segment);
+    if (isNaN(id) || String(id) !== segment) {
+        sendError(res, 400, 'Invalid user id');
+        return;
+    }
+
+    // /api/users/:id/restore - take a user out of the trash
+    if (subresource === 'restore') {
+        if (req.method !== 'POST') {
+            sendError(res, 405, 'Method not allowed');
+            return;
+        }
+        await respondWithResult(res, await userService.restoreUser(id));
+        return;
+    }
+
+    switch (req.method) {
+        case 'GET': {
+            const user = userService.getUserById(id);
+            if (user) {
+                sendJson(res, 200, user);
+            } else {
+                sendError(res, 404, 'User not found');
+            }
+            return;
+        }
+        case 'PUT': {
+            // Full replacement, creating the record under this id if it is new
+            const body = withoutCredentials(await readJsonBody(req));
+            const existed = Boolean(userService.getUserById(id, true));
+            await respondWithResult(res, await userService.upsertUser({ ...body, id }), existed ? 200 : 201);
+            return;
+        }
+        case 'PATCH': {
+            const existing = userService.getUserById(id);
+            if (!existing) {
+                sendError(res, 404, 'User not found');
+                return;
+            }
+            const body = withoutCredentials(await readJsonBody(req));
+            await respondWithResult(res, await userService.updateUser(id, { ...existing, ...body, id }));
+            return;
+        }
+        case 'DELETE':
+            // Moves the user to the trash; ?purge=true removes the user for good
+            await respondWithResult(res, url.searchParams.get('purge') === 'true' ?
+                await purgeUser(id) :
+                await userService.deleteUser(id));
+            return;
+        default:
+            sendError(res, 405, 'Method not allowed');
+    }
+}
+
+/**
+ * GET /api/field-schema returns the profile field schema, PUT replaces it
+ */
+async function handleSchemaApi(req, res) {
+    switch (req.method) {
+        case 'GET':
+            sendJson(res, 200, fieldSchemaService.getFields());
+            return;
+        case 'PUT': {
+            const result = fieldSchemaService.replaceFields(await readJsonBody(req));
+            if (!result.success) {
+                sendError(res, statusForError(result.error, result.code), result.error);
+                return;
+            }
+            await saveFieldSchema();
+            sendJson(res, 200, result.data);
+            return;
+        }
+        default:
+            sendError(res, 405, 'Method not allowed');
+    }
+}
+
+/**
+ * GET /api/setup tells whether first-run setup has happened, POST claims it once.
+ * Password hashes stay in the browser that set them, so without this flag every
+ * new browser would offer setup and let any visitor choose an admin password.
+ */
+async function handleSetupApi(req, res) {
+    switch (req.method) {
+        case 'GET':
+            sendJson(res, 200, { completed: Boolean(setupCompletedAt), completedAt: setupCompletedAt });
+            return;
+        case 'POST':
+            if (setupCompletedAt) {
+                sendError(res, 409, 'Setup has already been completed');
+                return;
+            }
+            setupCompletedAt = new Date().toISOString();
+            await fs.promises.mkdir(path.dirname(SETUP_FILE), { recursive: true });
+            await fs.promises.writeFile(SETUP_FILE, JSON.stringify({ completedAt: setupCompletedAt }, null, 2));
+            sendJson(res, 201, { completed: true, completedAt: setupCompletedAt });
+            return;
+        default:
+            sendError(res, 405, 'Method not allowed');
+    }
+}
+
+async function loadSetupState() {
+    try {
+        setupCompletedAt = JSON.parse(await fs.promises.readFile(SETUP_FILE, 'utf8')).completedAt || null;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        setupCompletedAt = null;
+    }
+}
+
+// The schema file is written only once an admin changes the schema; until then the defaults apply
+async function loadFieldSchema() {
+    try {
+        fieldSchemaService.fields = JSON.parse(await fs.promises.readFile(SCHEMA_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        fieldSchemaService.fields = fieldSchemaService.getDefaultFields();
+    }
+}
+
+async function saveFieldSchema() {
+    await fs.promises.mkdir(path.dirname(SCHEMA_FILE), { recursive: true });
+    await fs.promises.writeFile(SCHEMA_FILE, JSON.stringify(fieldSchemaService.fields, null, 2));
+}
+
+/**
+ * Purging takes a user out of the trash; one that is not trashed yet (for example
+ * a create undone in the browser) is moved to the trash first
+ */
+async function purgeUser(id) {
+    if (userService.getUserById(id)) {
+        const deleted = await userService.deleteUser(id);
+        if (!deleted.success) return deleted;
+    }
+    return await userService.purgeUser(id);
+}
+
+/**
+ * PUT /api/users - replace the whole collection after validating every record
+ */
+async function replaceAllUsers(req, res) {
+    const body = await readJsonBody(req);
+    if (!Array.isArray(body)) {
+        sendError(res, 400, 'Expected an array of users');
+        return;
+    }
+
+    const invalid = body.findIndex(record => !record || typeof record !== 'object' || Array.isArray(record));
+    if (invalid !== -1) {
+        sendError(res, 400, `Record ${invalid}: Expected a user object`);
+        return;
+    }
+
+    // Stored password hashes are kept; the API can neither read nor replace them.
+    // Records get the same defaults as upsertUser, and phone numbers are normalized
+    // as for any other write, so phoneE164 is computed from the given phone
+    const now = new Date().toISOString();
+    const records = body.map(withoutCredentials).map(record => {
+        const id = parseInt(record.id);
+        const existing = userService.getUserById(id, true);
+        const defaulted = {
+            ...userService.normalizePhone(record),
+            id,
+            createdAt: record.createdAt || now,
+            lastActive: record.lastActive || now,
+            status: record.status || 'active'
+        };
+        const tracked = Array.isArray(record.statusHistory) ? defaulted : userService.trackStatus(null, defaulted);
+        return existing && existing.credentials ? { ...tracked, credentials: existing.credentials } : tracked;
+    });
+
+    const errors = [];
+    const ids = new Set();
+    const emails = new Set();
+    records.forEach((record, index) => {
+        const validation = userService.validateUser(record);
+        if (!validation.isValid) {
+            errors.push(`Record ${index}: ${validation.errors.join(', ')}`);
+        }
+        if (isNaN(record.id) || record.id < 1 || String(record.id) !== String(body[index].id).trim()) {
+            errors.push(`Record ${index}: A valid id is required`);
+        } else if (ids.has(record.id)) {
+            errors.push(`Record ${index}: Another record has id ${record.id}`);
+        }
+        ids.add(record.id);
+        const email = userService.normalizeEmail(record.email);
+        if (emails.has(email)) {
+            errors.push(`Record ${index}: A user with this email already exists`);
+        }
+        emails.add(email);
+    });
+
+    if (errors.length) {
+        sendError(res, 400, errors.join('; '));
+        return;
+    }
+
+    await userService.storage.saveAll(records);
+    await userService.loadUsers();
+    sendJson(res, 200, userService.getAllUsers());
+}
+
+/**
+ * Static files - index.html and assets/
+ */
+function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    let requested;
+    try {
+        requested = url.pathname === '/' ? '/index.html' : decodeURIComponent(url.pathname);
+    } catch (error) {
+        sendError(res, 400, 'Invalid URL encoding'); // A URIError from a malformed %-escape
+        return;
+    }
+    const filePath = path.resolve(ROOT_DIR, `.${requested}`);
+
+    // Only the page itself and the assets folder are public
+    const isPublic = filePath === path.join(ROOT_DIR, 'index.html') ||
+        filePath.startsWith(path.join(ROOT_DIR, 'assets') + path.sep);
+    if (!isPublic) {
+        sendError(res, 404, 'Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, contents) => {
+        if (error) {
+            sendError(res, 404, 'Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(req.method === 'HEAD' ? undefined : contents);
+    });
+}
+
+/**
+ * Request dispatcher
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+        if (url.pathname === '/api/users' || url.pathname.startsWith('/api/users/')) {
+            await handleApi(req, res, url);
+        } else if (url.pathname.replace(/\/+$/, '') === '/api/field-schema') {
+            await handleSchemaApi(req, res);
+        } else if (url.pathname.replace(/\/+$/, '') === '/api/setup') {
+            await handleSetupApi(req, res);
+        } else if (url.pathname.startsWith('/api/')) {
+            sendError(res, 404, 'Not found');
+        } else {
+            serveStatic(req, res, url);
+        }
+    } catch (error) {
+        if (!res.headersSent) {
+            sendError(res, error.status || 500, error.status ? error.message : 'Internal server error');
+        }
+        if (!error.status) {
+            console.error('Request failed:', error);
+        }
+    }
+}
+
+async function start(port = PORT) {
+    await loadFieldSchema();
+    await loadSetupState();
+    const result = await userService.loadUsers();
+    if (!result.success) {
+        throw new Error(`Could not load users from ${DATA_FILE}: ${result.error}`);
+    }
+    await userService.purgeExpiredUsers();
+    await userService.applyLifecycleRules();
+    await userService.saveUsers(); // Persist sample data, purges and status changes on first run
+
+    const server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(port, resolve));
+
+    // While the server runs, trashed users past the retention period are purged,
+    // idle users become inactive and ended suspensions are lifted
+    const purgeTimer = setInterval(async () => {
+        const purged = await userService.purgeExpiredUsers();
+        const lifecycle = await userService.applyLifecycleRules();
+        const { idled, reinstated } = lifecycle.data;
+        if (purged.data.length || idled.length || reinstated.length) await userService.saveUsers();
+    }, PURGE_INTERVAL);
+    purgeTimer.unref();
+    server.on('close', () => clearInterval(purgeTimer));
+
+    console.log(`TalentKit server running at http://localhost:${server.address().port}`);
+    return server;
+}
+
+if (require.main === module) {
+    start().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { start, handleRequest, userService, fieldSchemaService };
\ No newline at end of file
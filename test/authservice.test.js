@@ -0,0 +1,161 @@
+/**
+ * AuthService password resets and invitations: codes only reach private channels and are never kept in storage
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const UserService = require('../assets/userservice.js');
+const NotificationService = require('../assets/notificationservice.js');
+const { ConsoleChannel, InAppChannel } = require('../assets/notificationchannels.js');
+const AuthService = require('../assets/authservice.js');
+
+// In-memory stand-in for the browser's localStorage
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    dump() {
+        return [...this.items.values()].join('\n');
+    }
+}
+
+// Records what it is asked to deliver, like the email gateway would
+class RecordingChannel {
+    constructor() {
+        this.name = 'email';
+        this.private = true;
+        this.sent = [];
+    }
+
+    getAddress(user) {
+        return user.email;
+    }
+
+    async send(message) {
+        this.sent.push({ ...message });
+        return { deliveredAt: new Date().toISOString() };
+    }
+}
+
+async function createServices(channels) {
+    global.localStorage = new MemoryStorage();
+
+    const userService = new UserService();
+    const notificationService = new NotificationService(userService, null, { defaultChannels: channels.map(channel => channel.name) });
+    channels.forEach(channel => notificationService.registerChannel(channel));
+    const authService = new AuthService(userService, notificationService, { iterations: 1000 });
+
+    const user = (await userService.createUser({
+        firstName: 'Jane', lastName: 'Client', email: 'jane@example.com', phone: '555-123-4567', userType: 'client'
+    })).data;
+    await authService.setPassword(user.id, 'old-password');
+
+    return { notificationService, authService, user };
+}
+
+// A console channel that collects what it would print
+function consoleInto(logged) {
+    const channel = new ConsoleChannel();
+    channel.send = async (message) => logged.push(message.body);
+    return channel;
+}
+
+const codeFrom = (body) => body.match(/reset your password: (\S+)/)[1];
+const resetsIn = (messages) => messages.filter(msg => msg.templateId === 'passwordReset');
+
+test('resets are refused until an email or SMS channel is configured', async () => {
+    const logged = [];
+    const { notificationService, authService } = await createServices([new InAppChannel(), consoleInto(logged)]);
+
+    assert.strictEqual(authService.canSendCodes(), false);
+
+    // Unknown addresses get the same answer, so it reveals nothing about accounts
+    for (const email of ['jane@example.com', 'nobody@example.com']) {
+        const result = await authService.requestPasswordReset(email);
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /no email or SMS delivery/);
+    }
+
+    assert.strictEqual(resetsIn(notificationService.queue).length, 0);
+    assert.strictEqual(logged.some(body => /reset your password/.test(body)), false);
+});
+
+test('reset codes go through private channels only and are not kept once delivered', async () => {
+    const email = new RecordingChannel();
+    const inApp = new InAppChannel();
+    const logged = [];
+    const { notificationService, authService } = await createServices([inApp, consoleInto(logged), email]);
+
+    assert.strictEqual(authService.canSendCodes(), true);
+    assert.deepStrictEqual(await authService.requestPasswordReset('jane@example.com'), { success: true });
+
+    const delivered = resetsIn(email.sent);
+    assert.strictEqual(delivered.length, 1);
+    const code = codeFrom(delivered[0].body);
+
+    const resets = resetsIn(notificationService.queue);
+    assert.deepStrictEqual(resets.map(msg => [msg.channel, msg.status, msg.body]), [['email', 'sent', '']]);
+    assert.ok(!logged.join('\n').includes(code));
+    assert.ok(!inApp.outbox.some(entry => entry.body.includes(code)));
+
+    await notificationService.saveNotifications();
+    assert.ok(!localStorage.dump().includes(code));
+
+    assert.deepStrictEqual(await authService.resetPassword(code, 'new-password'), { success: true });
+    assert.strictEqual((await authService.login('jane@example.com', 'new-password')).success, true);
+
+    // Codes are single-use
+    assert.strictEqual((await authService.resetPassword(code, 'other-password')).success, false);
+});
+
+test('a saved queue never holds the code of an undelivered reset', async () => {
+    const email = new RecordingChannel();
+    email.send = async () => { throw new Error('Gateway unavailable'); };
+    const { notificationService, authService } = await createServices([email]);
+
+    await authService.requestPasswordReset('jane@example.com');
+    const [message] = resetsIn(notificationService.queue);
+    assert.strictEqual(message.status, 'queued'); // Waiting for a retry
+
+    await notificationService.saveNotifications();
+    assert.ok(!localStorage.dump().includes(codeFrom(message.body)));
+
+    // After a reload the message cannot be sent without its text, so it is cancelled
+    await notificationService.loadNotifications();
+    assert.strictEqual(notificationService.queue.find(msg => msg.id === message.id).status, 'cancelled');
+});
+
+test('invitations need a private channel and their codes are not kept either', async () => {
+    const refused = await createServices([new InAppChannel(), consoleInto([])]);
+    const result = await refused.authService.inviteUser('new@example.com', 'client');
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /no email or SMS delivery/);
+    assert.strictEqual(refused.authService.findUserByEmail('new@example.com'), undefined); // No invitee left behind
+
+    const email = new RecordingChannel();
+    const { notificationService, authService } = await createServices([new InAppChannel(), email]);
+    const invited = await authService.inviteUser('new@example.com', 'client');
+    assert.strictEqual(invited.success, true, invited.error);
+
+    const [message] = email.sent.filter(msg => msg.templateId === 'invitation');
+    const code = message.body.match(/code on the sign-in page: (\S+)/)[1];
+    await notificationService.saveNotifications();
+    assert.ok(!localStorage.dump().includes(code));
+
+    const accepted = await authService.acceptInvitation(code, { firstName: 'New', lastName: 'User', phone: '555-222-3333' }, 'new-password');
+    assert.strictEqual(accepted.success, true, accepted.error);
+});
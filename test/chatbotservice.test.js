@@ -0,0 +1,120 @@
+/**
+ * ChatbotService booking flow, with open times expanded from a provider's weekly hours
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const UserService = require('../assets/userservice.js');
+const AppointmentService = require('../assets/appointmentservice.js');
+const AvailabilityService = require('../assets/availabilityservice.js');
+const ChatbotService = require('../assets/chatbotservice.js');
+
+// Monday 7 January 2030, local time
+const at = (day, hours, minutes = 0) => new Date(2030, 0, day, hours, minutes);
+
+async function createServices(now) {
+    const userService = new UserService();
+    const appointmentService = new AppointmentService(userService);
+    const availabilityService = new AvailabilityService(userService, appointmentService);
+    const chatbot = new ChatbotService(userService, appointmentService, availabilityService, {
+        now: () => now,
+        maxOptions: 3
+    });
+
+    const client = (await userService.createUser({
+        firstName: 'Jane', lastName: 'Client', email: 'jane@example.com', phone: '555-123-4567', userType: 'client'
+    })).data;
+    const provider = (await userService.createUser({
+        firstName: 'Paul', lastName: 'Provider', email: 'paul@example.com', phone: '555-123-4568', userType: 'provider'
+    })).data;
+
+    // Monday to Friday, 9:00-10:30
+    const weekdays = [1, 2, 3, 4, 5].reduce((hours, day) => ({ ...hours, [day]: [{ start: '09:00', end: '10:30' }] }), {});
+    await availabilityService.setWeeklyHours(provider.id, weekdays);
+
+    return { userService, appointmentService, availabilityService, chatbot, client, provider };
+}
+
+async function say(chatbot, conversationId, message) {
+    const result = await chatbot.sendMessage(conversationId, message);
+    assert.strictEqual(result.success, true);
+    return result.data;
+}
+
+test('weekly hours repeat on every working day and skip the weekend', async () => {
+    const { availabilityService, provider } = await createServices(at(7, 8));
+
+    const slots = availabilityService.getAvailableSlots(provider.id, at(11, 0), at(14, 0), 30, { notBefore: at(11, 0) }).data;
+
+    assert.deepStrictEqual(slots.map(slot => slot.start), [
+        at(11, 9), at(11, 9, 30), at(11, 10), // Friday
+        at(14, 9), at(14, 9, 30), at(14, 10) // Monday
+    ].map(date => date.toISOString()));
+});
+
+test('exceptions replace the weekly hours for their days', async () => {
+    const { availabilityService, provider } = await createServices(at(7, 8));
+    await availabilityService.addException(provider.id, { startDate: '2030-01-08', reason: 'Holiday' });
+    await availabilityService.addException(provider.id, { startDate: '2030-01-09', hours: [{ start: '14:00', end: '15:00' }] });
+
+    const slots = availabilityService.getAvailableSlots(provider.id, at(8, 0), at(9, 0), 30, { notBefore: at(8, 0) }).data;
+
+    assert.deepStrictEqual(slots.map(slot => slot.start), [at(9, 14), at(9, 14, 30)].map(date => date.toISOString()));
+});
+
+test('a duration or step that does not move forward is refused', async () => {
+    const { availabilityService, provider } = await createServices(at(7, 8));
+
+    assert.deepStrictEqual(availabilityService.getAvailableSlots(provider.id, at(8, 0), at(9, 0), 0),
+        { success: false, error: 'Duration must be more than zero minutes' });
+    assert.strictEqual(availabilityService.getAvailableSlots(provider.id, at(8, 0), at(9, 0), -30).success, false);
+    assert.deepStrictEqual(availabilityService.getAvailableSlots(provider.id, at(8, 0), at(9, 0), 30, { step: 0 }),
+        { success: false, error: 'Step must be more than zero minutes' });
+    assert.strictEqual(availabilityService.isAvailable(provider.id, at(8, 9), at(8, 9)), false);
+});
+
+test('books the chosen open time over several turns', async () => {
+    const { appointmentService, chatbot, client, provider } = await createServices(at(7, 9, 15));
+    const { conversationId } = chatbot.startConversation();
+
+    let reply = await say(chatbot, conversationId, 'I want to book an appointment');
+    assert.strictEqual(reply.step, 'client');
+
+    // The only provider is picked without asking; times before now are not offered
+    reply = await say(chatbot, conversationId, 'jane');
+    assert.strictEqual(reply.step, 'time');
+    assert.strictEqual(reply.options.length, 3);
+    assert.deepStrictEqual(chatbot.getConversation(conversationId).choices.map(choice => choice.value),
+        [at(7, 9, 30), at(7, 10), at(8, 9)].map(date => date.toISOString()));
+
+    reply = await say(chatbot, conversationId, '2');
+    assert.strictEqual(reply.step, 'confirm');
+
+    reply = await say(chatbot, conversationId, 'yes');
+    assert.strictEqual(reply.done, true);
+    assert.strictEqual(reply.appointment.clientId, client.id);
+    assert.strictEqual(reply.appointment.providerId, provider.id);
+    assert.strictEqual(reply.appointment.start, at(7, 10).toISOString());
+    assert.strictEqual(reply.appointment.end, at(7, 10, 30).toISOString());
+    assert.strictEqual(appointmentService.getAllAppointments().length, 1);
+
+    // The booked time is no longer offered
+    await say(chatbot, conversationId, 'book another appointment');
+    reply = await say(chatbot, conversationId, 'jane@example.com');
+    assert.deepStrictEqual(chatbot.getConversation(conversationId).choices.map(choice => choice.value),
+        [at(7, 9, 30), at(8, 9), at(8, 9, 30)].map(date => date.toISOString()));
+});
+
+test('cancel ends the booking flow without booking', async () => {
+    const { appointmentService, chatbot } = await createServices(at(7, 8));
+    const { conversationId } = chatbot.startConversation();
+
+    await say(chatbot, conversationId, 'book');
+    await say(chatbot, conversationId, 'jane');
+    const reply = await say(chatbot, conversationId, 'cancel');
+
+    assert.strictEqual(reply.step, null);
+    assert.strictEqual(chatbot.getConversation(conversationId).flow, null);
+    assert.strictEqual(appointmentService.getAllAppointments().length, 0);
+});
@@ -0,0 +1,84 @@
+/**
+ * NotificationService queue: overlapping runs deliver each message once, and old history is pruned
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const UserService = require('../assets/userservice.js');
+const NotificationService = require('../assets/notificationservice.js');
+
+// A channel whose deliveries only finish when the test says so
+class SlowChannel {
+    constructor() {
+        this.name = 'slow';
+        this.private = false;
+        this.sent = [];
+        this.pending = [];
+    }
+
+    getAddress(user) {
+        return user.email;
+    }
+
+    send(message) {
+        this.sent.push(message.id);
+        return new Promise(resolve => this.pending.push(resolve));
+    }
+
+    finish() {
+        this.pending.splice(0).forEach(resolve => resolve({ deliveredAt: new Date().toISOString() }));
+    }
+}
+
+async function createServices() {
+    const userService = new UserService();
+    const notificationService = new NotificationService(userService, null, { defaultChannels: ['slow'] });
+    const channel = new SlowChannel();
+    notificationService.registerChannel(channel);
+
+    const user = (await userService.createUser({
+        firstName: 'Jane', lastName: 'Client', email: 'jane@example.com', phone: '555-123-4567', userType: 'client'
+    })).data;
+
+    return { notificationService, channel, user };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('a run that starts while another is delivering skips the messages in flight', async () => {
+    const { notificationService, channel } = await createServices(); // The welcome message is queued
+
+    const first = notificationService.processQueue();
+    await tick();
+    assert.strictEqual(notificationService.queue[0].status, 'sending');
+
+    const second = await notificationService.processQueue();
+    assert.strictEqual(second.data.processed, 0);
+
+    channel.finish();
+    assert.strictEqual((await first).data.processed, 1);
+    assert.deepStrictEqual(channel.sent, [1]);
+    assert.strictEqual(notificationService.queue[0].status, 'sent');
+});
+
+test('sent and cancelled messages and their log entries are pruned after historyDays', async () => {
+    const { notificationService, channel, user } = await createServices();
+
+    const run = notificationService.processQueue();
+    await tick();
+    channel.finish();
+    await run;
+
+    const inTwoMonths = Date.now() + 60 * 24 * 60 * 60000;
+    const cancelled = (await notificationService.queueMessage(user.id, 'welcome', {}, { sendAt: inTwoMonths })).data[0];
+    const upcoming = (await notificationService.queueMessage(user.id, 'welcome', {}, { sendAt: inTwoMonths })).data[0];
+    notificationService.cancelMessages(msg => msg.id === cancelled.id);
+
+    assert.strictEqual(notificationService.pruneHistory(new Date(Date.now() + 29 * 24 * 60 * 60000)), 0);
+
+    const result = await notificationService.processQueue(new Date(Date.now() + 31 * 24 * 60 * 60000));
+    assert.strictEqual(result.data.pruned, 4); // Two messages and their log entries
+    assert.deepStrictEqual(notificationService.queue.map(msg => [msg.id, msg.status]), [[upcoming.id, 'queued']]);
+    assert.deepStrictEqual(notificationService.deliveryLog, []);
+});
@@ -0,0 +1,176 @@
+/**
+ * Local server: the /api/setup flag shared by every browser, and the REST API holding
+ * writes to the same rules as UserService
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server reads its file locations when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'talentkit-'));
+process.env.DATA_FILE = path.join(dataDir, 'users.json');
+
+const { start } = require('../server/server.js');
+const UserService = require('../assets/userservice.js');
+const AuthService = require('../assets/authservice.js');
+const { HttpStorageAdapter } = require('../assets/storageadapters.js');
+
+// In-memory stand-in for the browser's localStorage; every "browser" gets its own
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+let server;
+let origin;
+
+test.before(async () => {
+    const log = console.log;
+    console.log = () => {}; // Startup banner
+    server = await start(0);
+    console.log = log;
+    origin = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function request(method, url, body) {
+    const response = await fetch(`${origin}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function openBrowser() {
+    global.localStorage = new MemoryStorage();
+    const userService = new UserService(new HttpStorageAdapter(`${origin}/api/users`, undefined, `${origin}/api/setup`));
+    await userService.loadUsers();
+    const authService = new AuthService(userService, null, { iterations: 1000 });
+    await authService.loadSetupState();
+    return authService;
+}
+
+test('first-run setup can only be completed once, from any browser', async () => {
+    assert.deepStrictEqual(await (await fetch(`${origin}/api/setup`)).json(), { completed: false, completedAt: null });
+
+    const first = await openBrowser();
+    const second = await openBrowser();
+    assert.strictEqual(first.needsSetup(), true);
+    assert.strictEqual(second.needsSetup(), true);
+
+    const done = await first.completeSetup('admin@appointme.com', 'admin-password');
+    assert.strictEqual(done.success, true, done.error);
+
+    // The browser that opened setup at the same time is turned away by the server
+    const late = await second.completeSetup('admin@appointme.com', 'other-password');
+    assert.deepStrictEqual(late, { success: false, error: 'Setup has already been completed' });
+
+    // A fresh browser has no password hashes, but the server remembers that setup happened
+    const third = await openBrowser();
+    assert.strictEqual(third.needsSetup(), false);
+
+    const claim = await fetch(`${origin}/api/setup`, { method: 'POST' });
+    assert.strictEqual(claim.status, 409);
+    assert.strictEqual((await (await fetch(`${origin}/api/setup`)).json()).completed, true);
+    assert.ok(fs.existsSync(path.join(dataDir, 'setup.json')));
+});
+
+test('PUT /api/users/:id refuses status changes outside the lifecycle', async () => {
+    const created = await request('POST', '/api/users', {
+        firstName: 'Lee', lastName: 'Sync', email: 'lee.sync@example.com', phone: '555-123-4567', userType: 'client'
+    });
+    assert.strictEqual(created.status, 201);
+    const user = created.body;
+
+    const noReason = await request('PUT', `/api/users/${user.id}`, { ...user, status: 'suspended' });
+    assert.deepStrictEqual(noReason, { status: 400, body: { error: 'A reason is required to suspend a user' } });
+
+    const inactive = await request('PUT', `/api/users/${user.id}`, { ...user, status: 'inactive' });
+    assert.strictEqual(inactive.status, 200);
+    assert.strictEqual((await request('PUT', `/api/users/${user.id}`, { ...inactive.body, status: 'archived' })).status, 200);
+
+    const reopened = await request('PUT', `/api/users/${user.id}`, { ...inactive.body, status: 'pending' });
+    assert.deepStrictEqual(reopened, { status: 409, body: { error: 'A archived user cannot be made pending' } });
+    assert.strictEqual((await request('GET', `/api/users/${user.id}`)).body.status, 'archived');
+});
+
+test('POST and PATCH ignore the fields UserService manages', async () => {
+    const first = (await request('GET', '/api/users/1')).body;
+    const created = await request('POST', '/api/users', {
+        id: 1, createdAt: '1999-01-01T00:00:00.000Z', invitedAt: '1999-01-01T00:00:00.000Z',
+        firstName: 'Max', lastName: 'Patch', email: 'max.patch@example.com', phone: '555-123-4567', userType: 'client'
+    });
+    assert.strictEqual(created.status, 201);
+    const user = created.body;
+    assert.notStrictEqual(user.id, 1);
+    assert.notStrictEqual(user.createdAt, '1999-01-01T00:00:00.000Z');
+    assert.strictEqual(user.invitedAt, undefined);
+    assert.deepStrictEqual((await request('GET', '/api/users/1')).body, first);
+
+    const patched = await request('PATCH', `/api/users/${user.id}`, {
+        firstName: 'Maxine', createdAt: '1999-01-01T00:00:00.000Z', mergedInto: 5, deletedAt: '2030-01-01T00:00:00.000Z',
+        statusHistory: [], phoneE164: '+19999999999', onboardedAt: '2030-01-01T00:00:00.000Z'
+    });
+    assert.strictEqual(patched.status, 200);
+    assert.strictEqual(patched.body.firstName, 'Maxine');
+    ['createdAt', 'mergedInto', 'deletedAt', 'statusHistory', 'phoneE164', 'onboardedAt'].forEach(field => {
+        assert.deepStrictEqual(patched.body[field], user[field], field);
+    });
+});
+
+test('GET of a malformed %-escape is a bad request', async () => {
+    const response = await fetch(`${origin}/assets/%E0%A4%A`);
+    assert.strictEqual(response.status, 400);
+});
+
+// Replaces the whole collection, so it runs last
+test('PUT /api/users coerces ids, refuses duplicates and fills in defaults', async () => {
+    const person = (id, email, extra = {}) => ({
+        id, firstName: 'Ann', lastName: 'Bulk', email, phone: '555-123-4567', userType: 'client', ...extra
+    });
+
+    const duplicate = await request('PUT', '/api/users', [person(1, 'a@example.com'), person('1', 'b@example.com')]);
+    assert.deepStrictEqual(duplicate, { status: 400, body: { error: 'Record 1: Another record has id 1' } });
+    const invalid = await request('PUT', '/api/users', [person('7x', 'a@example.com'), person(0, 'b@example.com')]);
+    assert.deepStrictEqual(invalid, {
+        status: 400,
+        body: { error: 'Record 0: A valid id is required; Record 1: A valid id is required' }
+    });
+
+    const replaced = await request('PUT', '/api/users', [
+        person('4', 'a@example.com'),
+        person(9, 'b@example.com', { status: 'inactive', createdAt: '2030-01-01T00:00:00.000Z' })
+    ]);
+    assert.strictEqual(replaced.status, 200);
+    const [first, second] = replaced.body;
+
+    assert.strictEqual(first.id, 4);
+    assert.strictEqual(first.status, 'active');
+    assert.ok(first.createdAt && first.lastActive);
+    assert.deepStrictEqual(first.statusHistory, [{ status: 'active', at: first.createdAt }]);
+    assert.strictEqual(second.createdAt, '2030-01-01T00:00:00.000Z');
+    assert.deepStrictEqual(second.statusHistory, [{ status: 'inactive', at: second.createdAt }]);
+
+    assert.strictEqual((await request('GET', '/api/users/4')).body.email, 'a@example.com');
+});
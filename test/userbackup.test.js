@@ -0,0 +1,64 @@
+/**
+ * UserService backups: restored records are normalized and held to the status lifecycle like any other write
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const UserService = require('../assets/userservice.js');
+const PhoneService = require('../assets/phoneservice.js');
+
+async function createService() {
+    const userService = new UserService();
+    userService.setPhoneService(new PhoneService('US'));
+
+    const user = (await userService.createUser({
+        firstName: 'Jane', lastName: 'Client', email: 'jane@example.com', phone: '555-123-4567', userType: 'client'
+    })).data;
+    await userService.setStatus(user.id, 'inactive');
+    await userService.setStatus(user.id, 'archived');
+
+    return { userService, user: userService.getUserById(user.id) };
+}
+
+const backupOf = (...users) => ({ format: 'talentkit-users', version: 1, users });
+
+test('restored records get their phone numbers normalized', async () => {
+    const { userService } = await createService();
+
+    const result = await userService.importBackup(backupOf({
+        id: 7, firstName: 'Sam', lastName: 'New', email: 'sam@example.com', phone: '(555) 987 6543',
+        userType: 'client', status: 'active', createdAt: '2030-01-01T00:00:00.000Z'
+    }));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(userService.getUserById(7).phoneE164, '+15559876543');
+});
+
+test('overwriting is held to the lifecycle and suspensions need a reason', async () => {
+    const { userService, user } = await createService();
+
+    const reopened = await userService.importBackup(backupOf({ ...user, status: 'pending' }), { strategy: 'overwrite' });
+    assert.deepStrictEqual(reopened.data.failed.map(failure => failure.error), ['A archived user cannot be made pending']);
+
+    const suspended = await userService.importBackup(backupOf({
+        id: 8, firstName: 'Sue', lastName: 'Pended', email: 'sue@example.com', phone: '555-123-4568', userType: 'client', status: 'suspended'
+    }));
+    assert.deepStrictEqual(suspended.data.failed.map(failure => failure.error), ['A reason is required to suspend a user']);
+
+    const reactivated = await userService.importBackup(backupOf({ ...user, status: 'active', firstName: 'Janet' }), { strategy: 'overwrite' });
+    assert.strictEqual(reactivated.data.overwritten.length, 1);
+    assert.strictEqual(userService.getUserById(user.id).firstName, 'Janet');
+});
+
+test('a restore announces the changed directory, a dry run does not', async () => {
+    const { userService, user } = await createService();
+    const events = [];
+    userService.subscribe(event => events.push(event));
+
+    await userService.importBackup(backupOf({ ...user, firstName: 'Janet', status: 'active' }), { strategy: 'overwrite', dryRun: true });
+    assert.ok(!events.includes('usersChanged'));
+
+    await userService.importBackup(backupOf({ ...user, firstName: 'Janet', status: 'active' }), { strategy: 'overwrite' });
+    assert.ok(events.includes('usersChanged'));
+});
@@ -0,0 +1,131 @@
+/**
+ * UserService indexes: email, type and status lookups stay in step with the records
+ * through updates, deletes, bulk changes, undo and redo
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const UserService = require('../assets/userservice.js');
+
+async function createDirectory() {
+    const userService = new UserService();
+    const people = [
+        ['Anna', 'anna@example.com', 'client'],
+        ['Bob', 'bob@example.com', 'provider'],
+        ['Carl', 'carl@example.com', 'client'],
+        ['Dana', 'dana@example.com', 'client']
+    ];
+    const users = [];
+    for (const [firstName, email, userType] of people) {
+        const result = await userService.createUser({ firstName, lastName: 'Index', email, phone: '555-123-4567', userType });
+        assert.strictEqual(result.success, true, result.error);
+        users.push(result.data);
+    }
+    return { userService, users };
+}
+
+const ids = (users) => users.map(user => user.id);
+
+// Every lookup has to give what a full scan of the records gives, in directory order
+function assertIndexesMatchRecords(userService) {
+    const visible = userService.users.filter(user => !user.deletedAt);
+    ['client', 'provider', 'admin'].forEach(type => {
+        assert.deepStrictEqual(ids(userService.getUsersByType(type)), ids(visible.filter(user => user.userType === type)), type);
+    });
+    ['pending', 'active', 'inactive', 'suspended', 'archived'].forEach(status => {
+        assert.deepStrictEqual(ids(userService.getUsersByStatus(status)), ids(visible.filter(user => user.status === status)), status);
+    });
+    userService.users.forEach(user => {
+        const found = userService.findUserByEmail(user.email);
+        assert.strictEqual(found && found.id, user.deletedAt ? undefined : user.id, user.email);
+    });
+}
+
+test('an update moves the user between email, type and status lookups', async () => {
+    const { userService, users: [anna] } = await createDirectory();
+
+    const updated = await userService.updateUser(anna.id, { ...anna, email: 'Anna.New@example.com', userType: 'provider', status: 'inactive' });
+    assert.strictEqual(updated.success, true, updated.error);
+
+    assert.strictEqual(userService.findUserByEmail('anna@example.com'), undefined);
+    assert.strictEqual(userService.findUserByEmail(' anna.new@EXAMPLE.com ').id, anna.id);
+    assert.ok(!ids(userService.getUsersByType('client')).includes(anna.id));
+    assert.ok(ids(userService.getUsersByType('provider')).includes(anna.id));
+    assert.deepStrictEqual(ids(userService.getUsersByStatus('inactive')), [anna.id]);
+    assertIndexesMatchRecords(userService);
+
+    // The old email is free again
+    const taken = await userService.createUser({
+        firstName: 'Other', lastName: 'Index', email: 'anna@example.com', phone: '555-123-4569', userType: 'client'
+    });
+    assert.strictEqual(taken.success, true, taken.error);
+    assertIndexesMatchRecords(userService);
+});
+
+test('deleted users leave every lookup, and undo and redo put them back in place', async () => {
+    const { userService, users: [anna, bob, carl, dana] } = await createDirectory();
+
+    await userService.deleteUser(carl.id);
+    assert.strictEqual(userService.findUserByEmail('carl@example.com'), undefined);
+    assert.ok(!ids(userService.getUsersByType('client')).includes(carl.id));
+    assertIndexesMatchRecords(userService);
+
+    assert.strictEqual((await userService.undo()).success, true);
+    assert.strictEqual(userService.findUserByEmail('carl@example.com').id, carl.id);
+    assert.deepStrictEqual(ids(userService.getUsersByType('client')), [anna.id, carl.id, dana.id]);
+    assertIndexesMatchRecords(userService);
+
+    assert.strictEqual((await userService.redo()).success, true);
+    assert.strictEqual(userService.findUserByEmail('carl@example.com'), undefined);
+    assertIndexesMatchRecords(userService);
+
+    // Undoing a create drops the record entirely
+    const created = await userService.createUser({
+        firstName: 'Eve', lastName: 'Index', email: 'eve@example.com', phone: '555-123-4570', userType: 'provider'
+    });
+    assert.deepStrictEqual(ids(userService.getUsersByType('provider')), [bob.id, created.data.id]);
+    assert.strictEqual((await userService.undo()).success, true);
+    assert.strictEqual(userService.getUserById(created.data.id, true), undefined);
+    assert.strictEqual(userService.findUserByEmail('eve@example.com'), undefined);
+    assert.deepStrictEqual(ids(userService.getUsersByType('provider')), [bob.id]);
+    assertIndexesMatchRecords(userService);
+});
+
+test('undoing an update puts the old email, type and status back', async () => {
+    const { userService, users: [anna] } = await createDirectory();
+
+    await userService.updateUser(anna.id, { ...anna, email: 'anna.new@example.com', userType: 'provider' });
+    assert.strictEqual((await userService.setStatus(anna.id, 'inactive')).success, true);
+
+    assert.strictEqual((await userService.undo()).success, true);
+    assert.deepStrictEqual(ids(userService.getUsersByStatus('inactive')), []);
+    assert.strictEqual((await userService.undo()).success, true);
+    assert.strictEqual(userService.findUserByEmail('anna@example.com').id, anna.id);
+    assert.strictEqual(userService.findUserByEmail('anna.new@example.com'), undefined);
+    assert.ok(ids(userService.getUsersByType('client')).includes(anna.id));
+    assertIndexesMatchRecords(userService);
+
+    assert.strictEqual((await userService.redo()).success, true);
+    assert.strictEqual(userService.findUserByEmail('anna.new@example.com').id, anna.id);
+    assertIndexesMatchRecords(userService);
+});
+
+test('bulk changes and their undo keep the lookups in step', async () => {
+    const { userService, users } = await createDirectory();
+    const clientIds = ids(userService.getUsersByType('client'));
+
+    await userService.bulkSetUserType(clientIds, 'provider');
+    assert.deepStrictEqual(ids(userService.getUsersByType('client')), []);
+    assertIndexesMatchRecords(userService);
+
+    await userService.bulkDeleteUsers([users[1].id, users[3].id]);
+    assert.deepStrictEqual(ids(userService.getUsersByType('provider')), [users[0].id, users[2].id]);
+    assertIndexesMatchRecords(userService);
+
+    assert.strictEqual((await userService.undo()).success, true);
+    assert.strictEqual((await userService.undo()).success, true);
+    assert.deepStrictEqual(ids(userService.getUsersByType('client')), clientIds);
+    assert.deepStrictEqual(ids(userService.getUsersByType('provider')), [users[1].id]);
+    assertIndexesMatchRecords(userService);
+});
@@ -0,0 +1,71 @@
+/**
+ * UserService lifecycle: transitions outside statusTransitions and suspensions without a reason are refused,
+ * whether they come from an edit, a synced record or an undo
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const UserService = require('../assets/userservice.js');
+
+async function createUser(userService, status = 'active') {
+    const result = await userService.createUser({
+        firstName: 'Jane', lastName: 'Client', email: 'jane@example.com', phone: '555-123-4567', userType: 'client', status
+    });
+    assert.strictEqual(result.success, true, result.error);
+    return result.data;
+}
+
+test('setStatus and updateUser follow the lifecycle', async () => {
+    const userService = new UserService();
+    const user = await createUser(userService);
+
+    assert.deepStrictEqual(await userService.setStatus(user.id, 'archived'),
+        { success: false, error: 'A active user cannot be made archived', code: undefined });
+    assert.strictEqual((await userService.updateUser(user.id, { ...user, status: 'pending' })).error,
+        'A active user cannot be made pending');
+    assert.strictEqual((await userService.suspendUser(user.id, '  ')).error, 'A reason is required to suspend a user');
+
+    const suspended = await userService.suspendUser(user.id, 'Unpaid invoices');
+    assert.strictEqual(suspended.success, true);
+    assert.strictEqual(suspended.data.suspension.reason, 'Unpaid invoices');
+    assert.strictEqual((await userService.setStatus(user.id, 'archived')).success, true);
+    assert.strictEqual((await userService.setStatus(user.id, 'inactive')).error, 'A archived user cannot be made inactive');
+    assert.strictEqual(userService.getUserById(user.id).status, 'archived');
+});
+
+test('synced records are held to the lifecycle and need a suspension reason', async () => {
+    const userService = new UserService();
+    const user = await createUser(userService);
+
+    const noReason = await userService.upsertUser({ ...user, status: 'suspended' });
+    assert.strictEqual(noReason.error, 'A reason is required to suspend a user');
+    const blankReason = await userService.upsertUser({ ...user, status: 'suspended', suspension: { reason: '', until: null } });
+    assert.strictEqual(blankReason.error, 'A reason is required to suspend a user');
+
+    const suspension = { reason: 'Chargeback', until: null, at: '2030-01-01T00:00:00.000Z', by: 1 };
+    const synced = await userService.upsertUser({ ...user, status: 'suspended', suspension });
+    assert.strictEqual(synced.success, true, synced.error);
+    assert.deepStrictEqual(synced.data.suspension, suspension); // Taken as the other store recorded it
+
+    assert.strictEqual((await userService.upsertUser({ ...synced.data, status: 'archived', suspension: undefined })).success, true);
+    const reopened = await userService.upsertUser({ ...synced.data, status: 'pending' });
+    assert.strictEqual(reopened.error, 'A archived user cannot be made pending');
+    assert.strictEqual(userService.getUserById(user.id).status, 'archived');
+});
+
+test('undo cannot take a user back to a status the lifecycle does not allow', async () => {
+    const userService = new UserService();
+    const user = await createUser(userService, 'pending');
+
+    assert.strictEqual((await userService.setStatus(user.id, 'active')).success, true);
+    const undone = await userService.undo();
+    assert.strictEqual(undone.success, false);
+    assert.match(undone.error, /a active user cannot be made pending/);
+    assert.strictEqual(userService.getUserById(user.id).status, 'active');
+
+    // Undoing a change the lifecycle can reverse still works
+    assert.strictEqual((await userService.suspendUser(user.id, 'Unpaid invoices')).success, true);
+    assert.strictEqual((await userService.undo()).success, true);
+    assert.strictEqual(userService.getUserById(user.id).status, 'active');
+});
@@ -0,0 +1,104 @@
+/**
+ * UserService search: query parsing, relevance ranking, highlight ranges and the directory view
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const UserService = require('../assets/userservice.js');
+
+async function createDirectory() {
+    const userService = new UserService();
+    const people = [
+        ['Anna', 'Smith', 'anna@example.com', 'client'],
+        ['Smithers', 'Jones', 'bob@example.com', 'provider'],
+        ['Carl', 'Blacksmith', 'carl@example.com', 'client'],
+        ['Dana', 'Smyth', 'dana@example.com', 'client'],
+        ['Eve', 'Adams', 'smith@example.com', 'client'],
+        ['Frank', 'Miller', 'frank@example.com', 'client']
+    ];
+    for (const [firstName, lastName, email, userType] of people) {
+        const result = await userService.createUser({ firstName, lastName, email, phone: '555-123-4567', userType });
+        assert.strictEqual(result.success, true, result.error);
+    }
+    return userService;
+}
+
+const names = (results) => results.map(({ user }) => `${user.firstName} ${user.lastName}`);
+
+test('parseSearchQuery splits terms, phrases, filters and exclusions', () => {
+    const parsed = UserService.parseSearchQuery('type:client,provider -status:inactive joined:>=2025-03 "van der" Berg -bob');
+
+    assert.deepStrictEqual(parsed.terms, [
+        { text: 'van der', exact: true, negate: false },
+        { text: 'berg', exact: false, negate: false },
+        { text: 'bob', exact: false, negate: true }
+    ]);
+    assert.deepStrictEqual(parsed.filters.map(({ field, op, value, negate }) => ({ field, op, value, negate })), [
+        { field: 'userType', op: '=', value: 'client,provider', negate: false },
+        { field: 'status', op: '=', value: 'inactive', negate: true },
+        { field: 'createdAt', op: '>=', value: '2025-03', negate: false }
+    ]);
+    assert.strictEqual(parsed.filters[2].from, new Date(2025, 2, 1).toISOString());
+    assert.strictEqual(parsed.filters[2].to, new Date(2025, 3, 1).toISOString());
+    assert.deepStrictEqual(parsed.errors, []);
+
+    assert.deepStrictEqual(UserService.parseSearchQuery('joined:2025-13 status:""').errors, [
+        'joined: "2025-13" is not a date (use YYYY, YYYY-MM or YYYY-MM-DD)',
+        'status: needs a value'
+    ]);
+});
+
+test('ranks whole names over prefixes, email, partial and misspelled names', async () => {
+    const userService = await createDirectory();
+
+    const results = userService.searchUsersWithMatches('smith');
+
+    assert.deepStrictEqual(names(results), ['Anna Smith', 'Smithers Jones', 'Eve Adams', 'Carl Blacksmith', 'Dana Smyth']);
+    const scores = results.map(result => result.score);
+    assert.deepStrictEqual([...scores].sort((a, b) => b - a), scores);
+    assert.deepStrictEqual(results.map(result => result.highlights), [
+        { lastName: [[0, 5]] },
+        { firstName: [[0, 5]] },
+        { email: [[0, 5]] },
+        { lastName: [[5, 10]] },
+        { lastName: [[0, 5]] } // The misspelling marks the whole word
+    ]);
+});
+
+test('highlights a phrase across first and last name', async () => {
+    const userService = await createDirectory();
+
+    const [result, ...others] = userService.searchUsersWithMatches('"anna smith"');
+
+    assert.strictEqual(others.length, 0);
+    assert.strictEqual(result.score, 1);
+    assert.deepStrictEqual(result.highlights, { firstName: [[0, 4]], lastName: [[0, 5]] });
+});
+
+test('every term has to match, and excluded terms and filters remove users', async () => {
+    const userService = await createDirectory();
+
+    assert.deepStrictEqual(names(userService.searchUsersWithMatches('smith carl')), ['Carl Blacksmith']);
+    assert.deepStrictEqual(names(userService.searchUsersWithMatches('smith -anna -smyth')),
+        ['Smithers Jones', 'Eve Adams', 'Carl Blacksmith']);
+    assert.deepStrictEqual(names(userService.searchUsersWithMatches('type:prov smith')), ['Smithers Jones']);
+    assert.deepStrictEqual(names(userService.searchUsersWithMatches('-type:provider smith')),
+        ['Anna Smith', 'Eve Adams', 'Carl Blacksmith', 'Dana Smyth']);
+});
+
+test('browseUsers narrows by facets and sorts by relevance or name', async () => {
+    const userService = await createDirectory();
+
+    assert.deepStrictEqual(names(userService.browseUsers({ query: 'smith', userTypes: ['client'] })),
+        ['Anna Smith', 'Eve Adams', 'Carl Blacksmith', 'Dana Smyth']);
+    assert.deepStrictEqual(names(userService.browseUsers({ query: 'smith', userTypes: ['client'], sortBy: 'name' })),
+        ['Eve Adams', 'Carl Blacksmith', 'Anna Smith', 'Dana Smyth']);
+    assert.deepStrictEqual(names(userService.browseUsers({ userTypes: ['client'], sortBy: 'name', sortDirection: 'desc' })),
+        ['Dana Smyth', 'Anna Smith', 'Frank Miller', 'Carl Blacksmith', 'Eve Adams']);
+
+    // An empty query lists everyone in directory order, without highlights
+    const all = userService.browseUsers();
+    assert.strictEqual(all.length, 6);
+    assert.ok(all.every(result => result.score === 0 && Object.keys(result.highlights).length === 0));
+});
@@ -0,0 +1,88 @@
+/**
+ * UserService trash: deleted users can be restored or purged, and their appointments
+ * are only cancelled once they are purged
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const UserService = require('../assets/userservice.js');
+const AppointmentService = require('../assets/appointmentservice.js');
+
+async function createServices() {
+    const userService = new UserService();
+    const appointmentService = new AppointmentService(userService);
+
+    const client = (await userService.createUser({
+        firstName: 'Jane', lastName: 'Client', email: 'jane@example.com', phone: '555-123-4567', userType: 'client'
+    })).data;
+    const provider = (await userService.createUser({
+        firstName: 'Paul', lastName: 'Provider', email: 'paul@example.com', phone: '555-123-4568', userType: 'provider'
+    })).data;
+    const appointment = (await appointmentService.createAppointment({
+        clientId: client.id, providerId: provider.id, start: new Date(2099, 0, 5, 9).toISOString(), duration: 30
+    })).data;
+
+    return { userService, appointmentService, client, appointment };
+}
+
+const statusOf = (appointmentService, id) => appointmentService.getAppointmentById(id).status;
+
+test('a trashed user can be restored with their appointments intact', async () => {
+    const { userService, appointmentService, client, appointment } = await createServices();
+
+    const deleted = await userService.deleteUser(client.id);
+    assert.strictEqual(deleted.success, true);
+    assert.strictEqual(userService.getUserById(client.id), undefined);
+    assert.deepStrictEqual(userService.getTrashedUsers().map(user => user.id), [client.id]);
+    assert.strictEqual(statusOf(appointmentService, appointment.id), 'scheduled');
+
+    // The email is free while the user is in the trash, so restoring fails once someone else takes it
+    const taken = await userService.createUser({
+        firstName: 'Other', lastName: 'Client', email: 'jane@example.com', phone: '555-123-4569', userType: 'client'
+    });
+    assert.strictEqual((await userService.restoreUser(client.id)).error, 'A user with this email already exists');
+    await userService.deleteUser(taken.data.id);
+    await userService.purgeUser(taken.data.id);
+
+    const restored = await userService.restoreUser(client.id);
+    assert.strictEqual(restored.success, true, restored.error);
+    assert.strictEqual(restored.data.deletedAt, undefined);
+    assert.strictEqual(userService.getUserById(client.id).email, 'jane@example.com');
+    assert.strictEqual(statusOf(appointmentService, appointment.id), 'scheduled');
+});
+
+test('undoing a delete brings the user back without touching appointments', async () => {
+    const { userService, appointmentService, client, appointment } = await createServices();
+
+    await userService.deleteUser(client.id);
+    assert.strictEqual((await userService.undo()).success, true);
+
+    assert.ok(userService.getUserById(client.id));
+    assert.strictEqual(statusOf(appointmentService, appointment.id), 'scheduled');
+});
+
+test('purging removes the user for good and cancels their upcoming appointments', async () => {
+    const { userService, appointmentService, client, appointment } = await createServices();
+
+    assert.strictEqual((await userService.purgeUser(client.id)).error, 'User not found in trash');
+
+    await userService.deleteUser(client.id);
+    const purged = await userService.purgeUser(client.id);
+    assert.strictEqual(purged.success, true);
+    assert.strictEqual(userService.getUserById(client.id, true), undefined);
+    assert.strictEqual(statusOf(appointmentService, appointment.id), 'cancelled');
+    assert.strictEqual(appointmentService.getAppointmentById(appointment.id).cancellationReason, 'User was removed');
+});
+
+test('the retention policy purges users trashed longer than trashRetentionDays', async () => {
+    const { userService, appointmentService, client, appointment } = await createServices();
+    await userService.deleteUser(client.id);
+
+    const tooEarly = await userService.purgeExpiredUsers(new Date(Date.now() + 29 * 24 * 60 * 60 * 1000));
+    assert.deepStrictEqual(tooEarly.data, []);
+
+    const expired = await userService.purgeExpiredUsers(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000));
+    assert.deepStrictEqual(expired.data.map(user => user.id), [client.id]);
+    assert.strictEqual(statusOf(appointmentService, appointment.id), 'cancelled');
+});